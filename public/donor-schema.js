@@ -0,0 +1,238 @@
+/**
+ * Donor Schema
+ * The one set of rules for donor fields. The server validates registrations,
+ * staff edits and imports with it, and the registration page loads the same
+ * file to run the same checks before sending the form:
+ *
+ *   Node:    const DonorSchema = require('../public/donor-schema');
+ *   Browser: <script src="donor-schema.js"></script>  ->  window.DonorSchema
+ *
+ * server/schema.sql keeps the database limits in line with these.
+ *
+ * validate() returns either { value } with the cleaned fields, or
+ * { errors } mapping each invalid field to a message for the donor, the
+ * same `errors` object API responses carry.
+ *
+ * Some rules are set by an admin, so callers pass them in:
+ *   - departments (/api/settings/classes): once there are some, department
+ *     is required and must be one of them
+ *   - the registration form (/api/settings/form, see server/form.js): the
+ *     year options, and extra fields such as an employee ID or hostel,
+ *     whose values come back under `details`
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DonorSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+    const ACADEMIC_YEARS = ['FY', 'SY', 'TY', 'Final Year'];
+    // How the name is shown on public screens: "Asha Patil", "Asha P." or "Anonymous Hero"
+    const NAME_DISPLAYS = ['full', 'initial', 'anonymous'];
+
+    /**
+     * Field rules. A field has a `type` ('string' or 'integer'), may be
+     * `required` (or have a `default`), and may set minLength/maxLength,
+     * min/max or `oneOf`. `messages` holds the message for each broken rule.
+     */
+    const FIELDS = {
+        fullName: {
+            type: 'string',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            messages: {
+                required: 'Please enter your full name',
+                minLength: 'Name must be at least 2 characters long',
+                maxLength: 'Name must be 100 characters or fewer'
+            }
+        },
+        bloodGroup: {
+            type: 'string',
+            required: true,
+            oneOf: BLOOD_GROUPS,
+            messages: {
+                required: 'Please select your blood group',
+                oneOf: 'Invalid blood group'
+            }
+        },
+        age: {
+            type: 'integer',
+            required: true,
+            min: 18,
+            max: 65,
+            messages: {
+                required: 'Please enter your age',
+                type: 'Age must be a whole number',
+                min: 'Donors must be at least 18 years old',
+                max: 'Donors must be 65 years or younger'
+            }
+        },
+        year: {
+            type: 'string',
+            required: true,
+            maxLength: 20,
+            oneOf: ACADEMIC_YEARS,
+            messages: {
+                required: 'Please select your academic year',
+                maxLength: 'Invalid academic year',
+                oneOf: 'Invalid academic year'
+            }
+        },
+        department: {
+            type: 'string',
+            maxLength: 100,
+            messages: {
+                required: 'Please select your department',
+                maxLength: 'Department must be 100 characters or fewer',
+                oneOf: 'Invalid department'
+            }
+        },
+        nameDisplay: {
+            type: 'string',
+            default: 'full',
+            oneOf: NAME_DISPLAYS,
+            messages: {
+                oneOf: `Invalid name display. Use one of: ${NAME_DISPLAYS.join(', ')}`
+            }
+        }
+    };
+
+    // A submitted value, never one inherited from Object.prototype ("toString")
+    function ownValue(source, key) {
+        return Object.prototype.hasOwnProperty.call(source, key) ? source[key] : undefined;
+    }
+
+    function isEmpty(raw) {
+        return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+    }
+
+    /**
+     * Checks one field's value
+     * @param {string} name - Key of FIELDS
+     * @param {*} raw - Value as typed or sent
+     * @param {object} [rule] - Rule to check against, when it differs from FIELDS[name]
+     * @returns {{error: string}|{value: *}} value is undefined for an empty optional field
+     */
+    function validateField(name, raw, rule = FIELDS[name]) {
+        const messages = rule.messages;
+
+        if (isEmpty(raw)) {
+            return rule.required ? { error: messages.required } : { value: undefined };
+        }
+
+        let value;
+        if (rule.type === 'integer') {
+            value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(value)) return { error: messages.type };
+            if (rule.min !== undefined && value < rule.min) return { error: messages.min };
+            if (rule.max !== undefined && value > rule.max) return { error: messages.max };
+        } else {
+            if (typeof raw !== 'string') return { error: messages.oneOf || messages.required };
+            value = raw.trim();
+            if (rule.minLength !== undefined && value.length < rule.minLength) return { error: messages.minLength };
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: messages.maxLength };
+        }
+
+        if (rule.oneOf && !rule.oneOf.includes(value)) return { error: messages.oneOf };
+        return { value };
+    }
+
+    /**
+     * The donor field rules with the admin's settings applied
+     * @param {object} [options]
+     * @param {string[]} [options.departments] - Configured departments
+     * @param {object} [options.form] - Registration form definition
+     */
+    function fieldsFor({ departments, form } = {}) {
+        const rules = { ...FIELDS };
+        if (form && form.years) {
+            rules.year = { ...FIELDS.year, oneOf: form.years };
+        }
+        if (departments && departments.length > 0) {
+            rules.department = { ...FIELDS.department, required: true, oneOf: departments };
+        }
+        return rules;
+    }
+
+    /**
+     * The rule for an extra field of the registration form: free text, or
+     * one of the field's options
+     * @param {object} field - { key, label, type: 'text' | 'select', required, maxLength, options }
+     */
+    function extraFieldRule(field) {
+        const isSelect = field.type === 'select';
+        return {
+            type: 'string',
+            required: Boolean(field.required),
+            maxLength: isSelect ? undefined : field.maxLength,
+            oneOf: isSelect ? field.options : undefined,
+            messages: {
+                required: `Please ${isSelect ? 'select' : 'enter'} ${field.label}`,
+                maxLength: `${field.label} must be ${field.maxLength} characters or fewer`,
+                oneOf: `Invalid ${field.label}`
+            }
+        };
+    }
+
+    /**
+     * Checks every donor field in the input
+     * @param {object} input - Form values or request body
+     * @param {object} [options]
+     * @param {boolean} [options.partial=false] - Only check fields that are present (staff edits)
+     * @param {string[]} [options.departments] - Configured departments (none: department is free text)
+     * @param {object} [options.form] - Registration form definition (none: the default years, no extra fields)
+     * @returns {{errors: object}|{value: object}}
+     */
+    function validate(input, { partial = false, departments, form } = {}) {
+        const source = input || {};
+        const rules = fieldsFor({ departments, form });
+        const extraFields = form && form.fields ? form.fields : [];
+        const errors = {};
+        const value = {};
+
+        Object.keys(rules).forEach(name => {
+            const raw = ownValue(source, name);
+            if (partial && raw === undefined) return;
+
+            const result = validateField(name, raw, rules[name]);
+            if (result.error) {
+                errors[name] = result.error;
+            } else if (result.value !== undefined) {
+                value[name] = result.value;
+            } else if (!partial && rules[name].default !== undefined) {
+                value[name] = rules[name].default;
+            }
+        });
+
+        extraFields.forEach(field => {
+            const raw = ownValue(source, field.key);
+            if (partial && raw === undefined) return;
+
+            const result = validateField(field.key, raw, extraFieldRule(field));
+            if (result.error) {
+                errors[field.key] = result.error;
+            } else if (result.value !== undefined) {
+                value.details = { ...value.details, [field.key]: result.value };
+            }
+        });
+
+        return Object.keys(errors).length > 0 ? { errors } : { value };
+    }
+
+    return {
+        BLOOD_GROUPS,
+        ACADEMIC_YEARS,
+        NAME_DISPLAYS,
+        FIELDS,
+        fieldsFor,
+        extraFieldRule,
+        validateField,
+        validate
+    };
+}));
@@ -10,9 +10,19 @@
 const CONFIG = {
     API_BASE_URL: window.location.origin,
     THANK_YOU_DURATION: 10, // seconds
-    STATS_REFRESH_INTERVAL: 5000, // 5 seconds
+    STATS_REFRESH_INTERVAL: 5000, // 5 seconds, used when live updates are unavailable
+    LIVE_MAX_FAILURES: 3, // failed connections before falling back to the next live update method
+    CELEBRATION_DISPLAY_TIME: 6000, // ms each new donor's popup stays on the dashboard
+    GOAL_CELEBRATION_TIME: 12000, // ms the goal reached overlay stays on the dashboard
+    GOAL_REFRESH_INTERVAL: 60000, // 1 minute, keeps the time-to-goal estimate current between donations
+    TIMELINE_REFRESH_INTERVAL: 60000, // 1 minute, moves the donation trend chart and current rate along
+    LEADERBOARD_ROTATE_INTERVAL: 10000, // 10 seconds per leaderboard (classes, departments, years)
+    LEADERBOARD_ROWS: 5, // groups shown on each leaderboard
     SLOGAN_INTERVAL: 4000, // 4 seconds
-    COUNT_ANIMATION_DURATION: 2000 // 2 seconds
+    COUNT_ANIMATION_DURATION: 2000, // 2 seconds
+    DONOR_PAGE_SIZE: 50, // donors per page in the All Donors modal
+    QUEUE_REFRESH_INTERVAL: 10000, // 10 seconds, for the staff console's donor queue
+    SEARCH_DEBOUNCE: 300 // ms to wait after typing before searching
 };
 
 // ============================================
@@ -27,13 +37,23 @@ const CONFIG = {
  */
 async function apiRequest(endpoint, options = {}) {
     try {
+        const { headers = {}, ...fetchOptions } = options;
+        const session = getAuthSession();
+
         const response = await fetch(`${CONFIG.API_BASE_URL}${endpoint}`, {
             headers: {
                 'Content-Type': 'application/json',
+                ...(session ? { 'Authorization': `Bearer ${session.token}` } : {}),
+                ...headers
             },
-            ...options
+            ...fetchOptions
         });
 
+        // Stored token expired or was revoked - forget it so the user is asked to log in again
+        if (response.status === 401 && session) {
+            clearAuthSession();
+        }
+
         // Try to parse JSON only when content-type is application/json
         const contentType = response.headers.get('content-type') || '';
         let data = null;
@@ -49,7 +69,10 @@ async function apiRequest(endpoint, options = {}) {
 
         if (!response.ok) {
             const msg = data && data.message ? data.message : (data && data.rawText ? data.rawText : 'Request failed');
-            throw new Error(msg);
+            const error = new Error(msg);
+            // Invalid input: the message for each invalid field
+            if (data && data.errors) error.errors = data.errors;
+            throw error;
         }
 
         return data;
@@ -67,10 +90,21 @@ async function apiRequest(endpoint, options = {}) {
  * @returns {boolean} Is field valid
  */
 function validateField(field, errorId, message) {
+    return showFieldError(field, errorId, field.value.trim() ? '' : message);
+}
+
+/**
+ * Shows a field's error message, or clears it when there is none
+ * @param {HTMLElement} field - Input field
+ * @param {string} errorId - Error message element ID
+ * @param {string} [message] - Error message, empty when the field is valid
+ * @returns {boolean} Is field valid
+ */
+function showFieldError(field, errorId, message) {
     const errorElement = document.getElementById(errorId);
     const formGroup = field.closest('.form-group');
 
-    if (!field.value.trim()) {
+    if (message) {
         errorElement.textContent = message;
         errorElement.classList.add('show');
         formGroup.classList.add('error');
@@ -113,6 +147,17 @@ function animateNumber(element, start, end, duration) {
     requestAnimationFrame(updateNumber);
 }
 
+/**
+ * Escapes HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 /**
  * Stores donor info in session storage for thank you page
  * @param {object} donorInfo - Donor information
@@ -137,6 +182,86 @@ function clearDonorInfo() {
     sessionStorage.removeItem('donorInfo');
 }
 
+/**
+ * Display names of donor statuses (see server/lifecycle.js)
+ */
+const STATUS_LABELS = {
+    registered: 'Registered',
+    screened: 'Screened',
+    donating: 'Donating',
+    completed: 'Completed',
+    deferred: 'Deferred',
+    walked_out: 'Walked out',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * Role ranks, mirroring server/auth.js
+ */
+const ROLE_RANK = { viewer: 0, desk: 1, admin: 2 };
+
+/**
+ * Retrieves the staff login session, discarding it once expired
+ * @returns {object|null} Session with token, expiresAt and user
+ */
+function getAuthSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem('authSession'));
+        if (session && new Date(session.expiresAt) > new Date()) {
+            return session;
+        }
+    } catch (e) {
+        // Corrupt entry - fall through and clear it
+    }
+    localStorage.removeItem('authSession');
+    return null;
+}
+
+/**
+ * Stores the staff login session
+ * @param {object} session - Session returned by /api/auth/login
+ */
+function storeAuthSession(session) {
+    localStorage.setItem('authSession', JSON.stringify(session));
+}
+
+/**
+ * Clears the staff login session
+ */
+function clearAuthSession() {
+    localStorage.removeItem('authSession');
+}
+
+/**
+ * Checks whether the logged-in user has at least the given role
+ * @param {string} role - viewer, desk or admin
+ * @returns {boolean}
+ */
+function hasRole(role) {
+    const session = getAuthSession();
+    const rank = session ? ROLE_RANK[session.user.role] : ROLE_RANK.viewer;
+    return rank >= ROLE_RANK[role];
+}
+
+/**
+ * Drive the dashboard shows: the `event` URL parameter (a slug, or `all` for
+ * every drive), defaulting to whichever drive is currently active
+ * @returns {string}
+ */
+function getEventScope() {
+    return new URLSearchParams(window.location.search).get('event') || 'active';
+}
+
+/**
+ * Adds the dashboard's drive to an API path
+ * @param {string} endpoint - API path, with or without a query string
+ * @returns {string}
+ */
+function withEventScope(endpoint) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return `${endpoint}${separator}event=${encodeURIComponent(getEventScope())}`;
+}
+
 /**
  * Formats a date to readable string
  * @param {string} dateString - ISO date string
@@ -152,6 +277,29 @@ function formatDate(dateString) {
     });
 }
 
+/**
+ * Formats a donation time slot, e.g. "Tue, Dec 1 · 10:00 AM – 11:00 AM"
+ * @param {object} slot - Slot with startsAt and endsAt
+ * @returns {string}
+ */
+function formatSlot(slot) {
+    const time = date => new Date(date).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    const day = new Date(slot.startsAt).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return `${day} · ${time(slot.startsAt)} – ${time(slot.endsAt)}`;
+}
+
+/**
+ * Label for a slot in a picker: its time and how many beds are left
+ * @param {object} slot - Slot from /api/events/:slug/slots
+ * @returns {string}
+ */
+function slotOptionLabel(slot) {
+    const left = slot.available > 0
+        ? `${slot.available} ${slot.available === 1 ? 'bed' : 'beds'} left`
+        : 'full, join the waitlist';
+    return `${formatSlot(slot)} (${left})`;
+}
+
 // ============================================
 // REGISTRATION FORM (index.html)
 // ============================================
@@ -199,6 +347,322 @@ function initRegistrationForm() {
 
     const submitBtn = document.getElementById('submitBtn');
     const formMessage = document.getElementById('formMessage');
+    const weightInput = document.getElementById('weightKg');
+    const lastDonationInput = document.getElementById('lastDonationDate');
+    const tattooInput = document.getElementById('tattooDate');
+    const slotGroup = document.getElementById('slotGroup');
+    const slotSelect = document.getElementById('slotId');
+    const departmentGroup = document.getElementById('departmentGroup');
+    const departmentSelect = document.getElementById('department');
+    const yearSelect = document.getElementById('year');
+    const yearLabel = document.getElementById('yearLabel');
+    const extraFieldsEl = document.getElementById('extraFields');
+    const phoneInput = document.getElementById('phone');
+    const phoneConsent = document.getElementById('phoneConsent');
+    const emailInput = document.getElementById('email');
+    const emailConsent = document.getElementById('emailConsent');
+    const honeypotInput = document.getElementById('website');
+    const formTokenMeta = document.querySelector('meta[name="form-token"]');
+
+    // Token the server checks with every registration (see guardRegistration
+    // in server/server.js). Pages served without one fetch it.
+    let formToken = formTokenMeta ? formTokenMeta.content : '';
+
+    // Donor fields checked with the shared schema (public/donor-schema.js)
+    const SCHEMA_FIELDS = ['fullName', 'bloodGroup', 'age', 'year', 'department'];
+
+    // Departments set by an admin; none means the form doesn't ask
+    let departments = [];
+
+    // Year label and options, and extra fields, set by an admin (see server/form.js)
+    let registrationForm = { yearLabel: 'Academic Year', years: DonorSchema.ACADEMIC_YEARS, fields: [] };
+
+    // Longer names shown for the default years
+    const YEAR_NAMES = { FY: 'First Year', SY: 'Second Year', TY: 'Third Year' };
+
+    // Yes/no questions of the health check (see server/eligibility.js)
+    const HEALTH_QUESTIONS = ['recentIllness', 'medication', 'pregnancy', 'recentSurgery', 'bloodBorneInfection', 'chronicCondition'];
+
+    // Past dates only
+    const today = new Date().toISOString().slice(0, 10);
+    lastDonationInput.max = today;
+    tattooInput.max = today;
+
+    // Let the browser apply the schema's limits too
+    const { fullName: nameRule, age: ageRule } = DonorSchema.FIELDS;
+    const fullNameInput = document.getElementById('fullName');
+    const ageInput = document.getElementById('age');
+    fullNameInput.minLength = nameRule.minLength;
+    fullNameInput.maxLength = nameRule.maxLength;
+    ageInput.min = ageRule.min;
+    ageInput.max = ageRule.max;
+
+    // Blood groups are fixed (stock and compatibility depend on them); years come with the form
+    const bloodGroupSelect = document.getElementById('bloodGroup');
+    DonorSchema.BLOOD_GROUPS.forEach(group => {
+        const rh = group.endsWith('+') ? 'Positive' : 'Negative';
+        bloodGroupSelect.add(new Option(`${group} (${group.slice(0, -1)} ${rh})`, group));
+    });
+
+    /**
+     * Checks one donor field against the shared schema and shows its error
+     * @param {string} name - Field name, also the input's ID
+     * @returns {boolean} Is field valid
+     */
+    function checkSchemaField(name) {
+        const input = document.getElementById(name);
+        const { error } = DonorSchema.validateField(name, input.value, DonorSchema.fieldsFor({ departments, form: registrationForm })[name]);
+        return showFieldError(input, `${name}Error`, error);
+    }
+
+    /**
+     * Checks one extra field of the form and shows its error
+     * @param {object} field - Extra field from the form definition
+     * @returns {boolean} Is field valid
+     */
+    function checkExtraField(field) {
+        const input = document.getElementById(`extra-${field.key}`);
+        const { error } = DonorSchema.validateField(field.key, input.value, DonorSchema.extraFieldRule(field));
+        return showFieldError(input, `extra-${field.key}Error`, error);
+    }
+
+    /**
+     * Answers to the extra fields, sent alongside the donor fields
+     */
+    function extraFieldValues() {
+        const values = {};
+        registrationForm.fields.forEach(field => {
+            values[field.key] = document.getElementById(`extra-${field.key}`).value.trim() || undefined;
+        });
+        return values;
+    }
+
+    /**
+     * Shows the field errors of a rejected registration next to their fields
+     * @param {object} errors - Field name -> message, from the API
+     */
+    function showServerErrors(errors) {
+        Object.keys(errors).forEach(field => {
+            let errorId = `${field}Error`;
+            if (field === 'eligibility') errorId = 'healthCheckError';
+            else if (registrationForm.fields.some(f => f.key === field)) errorId = `extra-${field}Error`;
+            const errorElement = document.getElementById(errorId);
+            if (!errorElement) return;
+            errorElement.textContent = errors[field];
+            errorElement.classList.add('show');
+            const group = errorElement.closest('.form-group');
+            if (group) group.classList.add('error');
+        });
+    }
+
+    /**
+     * Radio button picked for a yes/no question, if any
+     */
+    function checkedAnswer(name) {
+        return form.querySelector(`input[name="${name}"]:checked`);
+    }
+
+    /**
+     * Collects the health check answers for /api/donate
+     */
+    function healthAnswers() {
+        const answers = {
+            weightKg: parseFloat(weightInput.value),
+            lastDonationDate: lastDonationInput.value || null,
+            tattooDate: tattooInput.value || null
+        };
+        HEALTH_QUESTIONS.forEach(name => {
+            answers[name] = checkedAnswer(name).value === 'yes';
+        });
+        return answers;
+    }
+
+    /**
+     * The form token, fetched when the page came without one
+     */
+    async function getFormToken() {
+        if (!formToken) {
+            const response = await apiRequest('/api/form-token');
+            formToken = response.data.token;
+        }
+        return formToken;
+    }
+
+    /**
+     * Checks that a phone number or email is only sent with its consent box
+     * ticked, and a ticked box with something to contact
+     */
+    function validateContact(input, consent, errorId, what) {
+        const errorElement = document.getElementById(errorId);
+        let message = '';
+        if (input.value.trim() && !consent.checked) {
+            message = `Please agree to be contacted by ${what}, or leave it empty`;
+        } else if (!input.value.trim() && consent.checked) {
+            message = `Please enter your ${what === 'phone' ? 'phone number' : 'email address'}`;
+        } else if (!input.checkValidity()) {
+            message = `Please enter a valid ${what === 'phone' ? 'phone number' : 'email address'}`;
+        }
+
+        errorElement.textContent = message;
+        errorElement.classList.toggle('show', Boolean(message));
+        input.closest('.form-group').classList.toggle('error', Boolean(message));
+        return !message;
+    }
+
+    /**
+     * Offers the active drive's upcoming time slots. Drives without slots
+     * (or no active drive) register donors without one.
+     */
+    async function loadSlots() {
+        let slots = [];
+        try {
+            const response = await apiRequest('/api/events/active/slots');
+            const now = new Date();
+            slots = response.data.filter(slot => new Date(slot.endsAt) > now);
+        } catch (error) {
+            // No active drive - nothing to book
+        }
+
+        const selected = slotSelect.value;
+        slotSelect.innerHTML = '<option value="">Choose when to donate</option>';
+        slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.id;
+            option.textContent = slotOptionLabel(slot);
+            slotSelect.appendChild(option);
+        });
+        slotSelect.value = slots.some(slot => slot.id === selected) ? selected : '';
+        slotSelect.required = slots.length > 0;
+        slotGroup.hidden = slots.length === 0;
+    }
+
+    /**
+     * Offers the departments an admin has listed, for the class leaderboard
+     */
+    async function loadDepartments() {
+        try {
+            const response = await apiRequest('/api/settings/classes');
+            departments = response.data.departments;
+        } catch (error) {
+            console.error('Failed to load departments:', error);
+            departments = [];
+        }
+
+        departmentSelect.innerHTML = '<option value="">Select your department</option>';
+        departments.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            departmentSelect.appendChild(option);
+        });
+        departmentSelect.required = departments.length > 0;
+        departmentGroup.hidden = departments.length === 0;
+    }
+
+    /**
+     * Builds the input for an extra field: a text box, or a list of its options
+     */
+    function extraFieldGroup(field) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `extra-${field.key}`;
+        label.innerHTML = '<span class="label-icon">📝</span>';
+        label.append(field.label);
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            input.add(new Option(`Select ${field.label}`, ''));
+            field.options.forEach(name => input.add(new Option(name, name)));
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = field.maxLength;
+            input.placeholder = `Enter ${field.label}`;
+        }
+        input.id = `extra-${field.key}`;
+        input.name = field.key;
+        input.required = field.required;
+        input.addEventListener(field.type === 'select' ? 'change' : 'blur', () => checkExtraField(field));
+
+        const error = document.createElement('span');
+        error.className = 'error-message';
+        error.id = `extra-${field.key}Error`;
+
+        group.append(label, input, error);
+        return group;
+    }
+
+    /**
+     * Applies the form an admin set: the year label and options, and the
+     * extra fields. Without it the form keeps the default years.
+     */
+    async function loadRegistrationForm() {
+        try {
+            const response = await apiRequest('/api/settings/form');
+            registrationForm = response.data;
+        } catch (error) {
+            console.error('Failed to load the registration form:', error);
+        }
+
+        yearLabel.textContent = registrationForm.yearLabel;
+        yearSelect.innerHTML = '<option value="">Select your year</option>';
+        registrationForm.years.forEach(year => {
+            yearSelect.add(new Option(YEAR_NAMES[year] ? `${year} (${YEAR_NAMES[year]})` : year, year));
+        });
+        extraFieldsEl.replaceChildren(...registrationForm.fields.map(extraFieldGroup));
+    }
+
+    /**
+     * Confirms the booked slot, or the place on its waitlist, with the link
+     * for cancelling or rescheduling
+     */
+    function showBooking(booking) {
+        const manageUrl = `${window.location.origin}${booking.manageUrl}`;
+        const heading = document.createElement('strong');
+        heading.textContent = booking.status === 'confirmed'
+            ? `Registration successful! Your slot: ${formatSlot(booking.slot)}.`
+            : `Registration successful! ${formatSlot(booking.slot)} is full, so you are on its waitlist. You get a bed automatically when someone cancels.`;
+
+        const note = document.createElement('p');
+        const link = document.createElement('a');
+        link.href = manageUrl;
+        link.textContent = manageUrl;
+        note.append('Keep this link to check, cancel or change your slot: ', link);
+
+        formMessage.replaceChildren(heading, note);
+        formMessage.className = 'form-message success';
+    }
+
+    /**
+     * Explains a deferral: why, and when to come back
+     */
+    function showDeferral(eligibility) {
+        const heading = document.createElement('strong');
+        if (eligibility.outcome === 'permanently_deferred') {
+            heading.textContent = 'Thank you for coming forward. Unfortunately you cannot donate blood:';
+        } else {
+            const date = new Date(eligibility.deferredUntil).toLocaleDateString('en-US', {
+                month: 'long',
+                day: 'numeric',
+                year: 'numeric',
+                timeZone: 'UTC'
+            });
+            heading.textContent = `Thank you! You can't donate today, but you are welcome back from ${date}:`;
+        }
+
+        const reasons = document.createElement('ul');
+        eligibility.reasons.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason.message;
+            reasons.appendChild(item);
+        });
+
+        formMessage.replaceChildren(heading, reasons);
+        formMessage.className = 'form-message deferred';
+    }
 
     // Form submission handler
     form.addEventListener('submit', async (e) => {
@@ -212,35 +676,43 @@ function initRegistrationForm() {
 
         // Reset previous errors
         document.querySelectorAll('.error-message').forEach(el => el.classList.remove('show'));
-        document.querySelectorAll('.form-group').forEach(el => el.classList.remove('error'));
+        document.querySelectorAll('.form-group, .health-question').forEach(el => el.classList.remove('error'));
         formMessage.className = 'form-message';
 
         // Validate all fields
         let isValid = true;
 
-        if (!validateField(fullName, 'fullNameError', 'Please enter your full name')) {
+        SCHEMA_FIELDS.forEach(name => {
+            if (!checkSchemaField(name)) isValid = false;
+        });
+
+        registrationForm.fields.forEach(field => {
+            if (!checkExtraField(field)) isValid = false;
+        });
+
+        if (!slotGroup.hidden && !validateField(slotSelect, 'slotIdError', 'Please choose a time slot')) {
             isValid = false;
         }
 
-        if (!validateField(bloodGroup, 'bloodGroupError', 'Please select your blood group')) {
+        if (!validateField(weightInput, 'weightKgError', 'Please enter your weight')) {
             isValid = false;
         }
 
-        if (!validateField(age, 'ageError', 'Please enter your age')) {
-            isValid = false;
-        } else if (parseInt(age.value) < 18) {
-            document.getElementById('ageError').textContent = 'You must be at least 18 years old';
-            document.getElementById('ageError').classList.add('show');
-            age.closest('.form-group').classList.add('error');
+        const unanswered = HEALTH_QUESTIONS.filter(name => !checkedAnswer(name));
+        if (unanswered.length > 0) {
+            unanswered.forEach(name => {
+                form.querySelector(`input[name="${name}"]`).closest('.health-question').classList.add('error');
+            });
+            document.getElementById('healthCheckError').textContent = 'Please answer every health question';
+            document.getElementById('healthCheckError').classList.add('show');
             isValid = false;
-        } else if (parseInt(age.value) > 65) {
-            document.getElementById('ageError').textContent = 'Maximum age for donation is 65 years';
-            document.getElementById('ageError').classList.add('show');
-            age.closest('.form-group').classList.add('error');
+        }
+
+        if (!validateContact(phoneInput, phoneConsent, 'phoneError', 'phone')) {
             isValid = false;
         }
 
-        if (!validateField(year, 'yearError', 'Please select your academic year')) {
+        if (!validateContact(emailInput, emailConsent, 'emailError', 'email')) {
             isValid = false;
         }
 
@@ -255,59 +727,201 @@ function initRegistrationForm() {
                 method: 'POST',
                 body: JSON.stringify({
                     fullName: fullName.value.trim(),
+                    nameDisplay: document.getElementById('nameDisplay').value,
                     bloodGroup: bloodGroup.value,
                     age: parseInt(age.value),
-                    year: year.value
+                    year: year.value,
+                    department: departmentSelect.value || undefined,
+                    ...extraFieldValues(),
+                    slotId: slotGroup.hidden ? undefined : slotSelect.value,
+                    eligibility: healthAnswers(),
+                    phone: phoneInput.value.trim(),
+                    phoneConsent: phoneConsent.checked,
+                    email: emailInput.value.trim(),
+                    emailConsent: emailConsent.checked,
+                    website: honeypotInput.value,
+                    formToken: await getFormToken()
                 })
             });
 
             console.log('Donation successful:', response);
-            
-            // Show toast notification with random message
-            showToast(fullName.value.trim());
-            
-            // Show success message on form
-            formMessage.textContent = 'Registration successful! Thank you!';
-            formMessage.className = 'form-message success';
+
+            if (response.data.eligibility.outcome !== 'eligible') {
+                showDeferral(response.data.eligibility);
+            } else {
+                // Show toast notification with random message
+                showToast(fullName.value.trim());
+
+                // Show success message on form
+                if (response.data.booking) {
+                    showBooking(response.data.booking);
+                } else {
+                    formMessage.textContent = 'Registration successful! Please wait to be called for your health screening.';
+                    formMessage.className = 'form-message success';
+                }
+            }
             
             // Reset form
             form.reset();
             submitBtn.classList.remove('loading');
+            loadSlots();
 
         } catch (error) {
             // Show error message
             formMessage.textContent = error.message || 'Registration failed. Please try again.';
             formMessage.className = 'form-message error';
+            if (error.errors) showServerErrors(error.errors);
             submitBtn.classList.remove('loading');
+            // The token may have expired; the next attempt fetches a new one
+            formToken = '';
+            // Beds may have been taken or slots added since the page loaded
+            loadSlots();
         }
     });
 
+    // Fetch the token now, so a quick first submit isn't turned away as too fast
+    getFormToken().catch(error => console.error('Failed to get form token:', error));
+
     // Real-time validation on blur
-    document.getElementById('fullName').addEventListener('blur', (e) => {
-        validateField(e.target, 'fullNameError', 'Please enter your full name');
+    SCHEMA_FIELDS.forEach(name => {
+        const input = document.getElementById(name);
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'blur', () => checkSchemaField(name));
+    });
+
+    weightInput.addEventListener('blur', (e) => {
+        validateField(e.target, 'weightKgError', 'Please enter your weight');
     });
 
-    document.getElementById('bloodGroup').addEventListener('change', (e) => {
-        validateField(e.target, 'bloodGroupError', 'Please select your blood group');
+    slotSelect.addEventListener('change', (e) => {
+        validateField(e.target, 'slotIdError', 'Please choose a time slot');
     });
 
-    document.getElementById('age').addEventListener('blur', (e) => {
-        if (e.target.value && parseInt(e.target.value) < 18) {
-            document.getElementById('ageError').textContent = 'You must be at least 18 years old';
-            document.getElementById('ageError').classList.add('show');
-            e.target.closest('.form-group').classList.add('error');
-        } else if (e.target.value && parseInt(e.target.value) > 65) {
-            document.getElementById('ageError').textContent = 'Maximum age for donation is 65 years';
-            document.getElementById('ageError').classList.add('show');
-            e.target.closest('.form-group').classList.add('error');
+    form.querySelectorAll('.health-question input').forEach(input => {
+        input.addEventListener('change', () => {
+            input.closest('.health-question').classList.remove('error');
+        });
+    });
+
+    loadSlots();
+    loadDepartments();
+    loadRegistrationForm();
+}
+
+// ============================================
+// BOOKING PAGE (booking.html)
+// ============================================
+
+/**
+ * Initializes the page donors reach from their booking link: shows their
+ * slot or waitlist place and lets them move or cancel it
+ */
+function initBookingPage() {
+    const driveEl = document.getElementById('bookingDrive');
+    const detailsEl = document.getElementById('bookingDetails');
+    const statusEl = document.getElementById('bookingStatus');
+    const form = document.getElementById('rescheduleForm');
+    const slotSelect = document.getElementById('rescheduleSlot');
+    const rescheduleBtn = document.getElementById('rescheduleBtn');
+    const cancelBtn = document.getElementById('cancelBookingBtn');
+    const messageEl = document.getElementById('bookingMessage');
+    if (!detailsEl) return;
+
+    const token = new URLSearchParams(window.location.search).get('token') || '';
+    const endpoint = `/api/bookings/${encodeURIComponent(token)}`;
+
+    function showMessage(text, type) {
+        messageEl.textContent = text;
+        messageEl.className = `form-message ${type}`;
+    }
+
+    /**
+     * Describes the booking and offers the slots it can move to
+     */
+    function renderBooking({ donor, event, booking, slots }) {
+        driveEl.textContent = event
+            ? `${donor.fullName} · ${event.name}${event.venue ? `, ${event.venue}` : ''}`
+            : donor.fullName;
+
+        const heading = document.createElement('strong');
+        const detail = document.createElement('span');
+        const slotText = booking.slot ? formatSlot(booking.slot) : 'a slot that is no longer on the schedule';
+        if (donor.status === 'cancelled') {
+            heading.textContent = 'This booking is cancelled.';
+            detail.textContent = 'You are welcome to register again for another slot.';
+        } else if (!booking.changeable) {
+            heading.textContent = `Thank you for coming! (${STATUS_LABELS[donor.status] || donor.status})`;
+            detail.textContent = 'Your booking can no longer be changed.';
+        } else if (booking.status === 'waitlisted') {
+            heading.textContent = `You are number ${booking.waitlistPosition} on the waitlist for ${slotText}.`;
+            detail.textContent = 'You get a bed automatically when someone cancels. Check back here for updates.';
         } else {
-            validateField(e.target, 'ageError', 'Please enter your age');
+            heading.textContent = `Your slot: ${slotText}`;
+            detail.textContent = 'Please arrive a few minutes early. Can\'t make it? Move or cancel your booking below.';
+        }
+        statusEl.replaceChildren(heading, detail);
+
+        const options = slots.filter(slot => slot.available > 0 && slot.id !== (booking.slot && booking.slot.id));
+        slotSelect.innerHTML = '<option value="">Choose a new time</option>';
+        options.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.id;
+            option.textContent = slotOptionLabel(slot);
+            slotSelect.appendChild(option);
+        });
+        slotSelect.disabled = options.length === 0;
+        rescheduleBtn.disabled = options.length === 0;
+
+        form.hidden = !booking.changeable;
+        detailsEl.hidden = false;
+    }
+
+    async function loadBooking() {
+        try {
+            const response = await apiRequest(endpoint);
+            renderBooking(response.data);
+        } catch (error) {
+            driveEl.textContent = '';
+            showMessage(error.message === 'Booking not found'
+                ? 'This booking link is not valid. Please check that you copied all of it.'
+                : 'Could not load your booking. Please try again later.', 'error');
+        }
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!slotSelect.value) return;
+
+        rescheduleBtn.disabled = true;
+        try {
+            const response = await apiRequest(endpoint, {
+                method: 'PATCH',
+                body: JSON.stringify({ slotId: slotSelect.value })
+            });
+            renderBooking(response.data);
+            showMessage('Your booking was moved.', 'success');
+        } catch (error) {
+            showMessage(error.message || 'Could not move your booking', 'error');
+            await loadBooking();
         }
     });
 
-    document.getElementById('year').addEventListener('change', (e) => {
-        validateField(e.target, 'yearError', 'Please select your academic year');
+    cancelBtn.addEventListener('click', async () => {
+        if (!confirm('Cancel your booking? Your bed goes to the next person on the waitlist.')) return;
+
+        cancelBtn.disabled = true;
+        try {
+            const response = await apiRequest(endpoint, { method: 'DELETE' });
+            renderBooking(response.data);
+            showMessage('Your booking was cancelled. Thank you for letting us know!', 'success');
+        } catch (error) {
+            showMessage(error.message || 'Could not cancel your booking', 'error');
+            await loadBooking();
+        } finally {
+            cancelBtn.disabled = false;
+        }
     });
+
+    loadBooking();
 }
 
 // ============================================
@@ -376,11 +990,42 @@ function initDashboard() {
     const livesSavedEl = document.getElementById('livesSaved');
     const lastUpdatedEl = document.getElementById('lastUpdated');
     const donorsListEl = document.getElementById('donorsList');
+    const bloodGroupChartEl = document.getElementById('bloodGroupChart');
+    const yearChartEl = document.getElementById('yearChart');
+    const ageBandChartEl = document.getElementById('ageBandChart');
+    const eventSubtitleEl = document.getElementById('eventSubtitle');
+    const goalCardEl = document.getElementById('goalCard');
+    const goalRingEl = document.getElementById('goalRing');
+    const goalRingFillEl = document.getElementById('goalRingFill');
+    const trendChartEl = document.getElementById('trendChart');
+    const trendAxisEl = document.getElementById('trendAxis');
+    const trendBucketsEl = document.getElementById('trendBuckets');
+    const trendRateEl = document.getElementById('trendRate');
+    const trendPeakEl = document.getElementById('trendPeak');
+    const leaderboardCardEl = document.getElementById('leaderboardCard');
+    const leaderboardTitleEl = document.getElementById('leaderboardTitle');
+    const leaderboardDotsEl = document.getElementById('leaderboardDots');
+    const leaderboardNoteEl = document.getElementById('leaderboardNote');
+    const leaderboardListEl = document.getElementById('leaderboardList');
 
     if (!totalUnitsEl) return;
 
     let previousTotal = 0;
     let isFirstLoad = true;
+    // Goal progress last shown, to spot the moment the goal is reached
+    let previousProgress = null;
+    // Bucket size of the donation trend chart: '15m', '1h' or '1d'
+    let trendBucket = '1h';
+    // Leaderboards from /api/stats/leaderboard, and the one on screen
+    const LEADERBOARD_TITLES = { class: 'Top Classes', department: 'Top Departments', year: 'Top Years' };
+    let leaderboards = null;
+    let leaderboardIndex = 0;
+
+    // New donors waiting for their popup, and the donatedAt of the newest donor
+    // already queued (the `since` cursor for /api/donors)
+    const celebrationQueue = [];
+    let isCelebrating = false;
+    let lastSeenDonatedAt = null;
 
     /**
      * Shows the thank you popup overlay
@@ -395,10 +1040,10 @@ function initDashboard() {
             if (bloodEl) bloodEl.textContent = bloodGroup;
             overlay.classList.add('show');
 
-            // Hide after 10 seconds
+            // Hide once this donor's turn is over
             setTimeout(() => {
                 overlay.classList.remove('show');
-            }, 10000);
+            }, CONFIG.CELEBRATION_DISPLAY_TIME);
         }
     }
 
@@ -444,24 +1089,41 @@ function initDashboard() {
         // Show notification
         setTimeout(() => notification.classList.add('show'), 100);
 
-        // Hide and remove notification after 5 seconds
+        // Hide and remove notification once this donor's turn is over
         setTimeout(() => {
             notification.classList.remove('show');
             setTimeout(() => notification.remove(), 500);
-        }, 5000);
+        }, CONFIG.CELEBRATION_DISPLAY_TIME);
+    }
+
+    /**
+     * Shows the goal reached overlay with a bigger, golden confetti burst
+     * @param {object} progress - Goal progress from the stats
+     */
+    function showGoalCelebration(progress) {
+        const overlay = document.getElementById('goalOverlay');
+        if (!overlay) return;
+
+        document.getElementById('goalOverlayUnits').textContent = progress.collected.toLocaleString();
+        overlay.classList.add('show');
+        createConfetti(['#F5B301', '#FFD54F', '#DC143C', '#FFFFFF'], 150);
+        setTimeout(() => createConfetti(['#F5B301', '#FFD54F', '#FFFFFF'], 100), 1500);
+
+        setTimeout(() => {
+            overlay.classList.remove('show');
+        }, CONFIG.GOAL_CELEBRATION_TIME);
     }
 
     /**
      * Creates elegant confetti effect
+     * @param {string[]} [colors] - Confetti colours
+     * @param {number} [confettiCount] - Pieces of confetti
      */
-    function createConfetti() {
+    function createConfetti(colors = ['#DC143C', '#FF4D6A', '#FF6B6B', '#FFFFFF'], confettiCount = 50) {
         const container = document.createElement('div');
         container.className = 'confetti-container';
         document.body.appendChild(container);
 
-        const colors = ['#DC143C', '#FF4D6A', '#FF6B6B', '#FFFFFF'];
-        const confettiCount = 50;
-
         for (let i = 0; i < confettiCount; i++) {
             const confetti = document.createElement('div');
             confetti.className = 'confetti';
@@ -486,108 +1148,617 @@ function initDashboard() {
     }
 
     /**
-     * Fetches the latest donor and shows popup
+     * Shows the popups for each queued donor in turn, and the goal
+     * celebration when its turn comes
      */
-    async function fetchLatestDonorAndShowPopup() {
-        try {
-            const response = await apiRequest('/api/donors?limit=1');
-            if (response.data && response.data.length > 0) {
-                const latestDonor = response.data[0];
-                showCelebrationNotification(latestDonor.fullName, latestDonor.bloodGroup);
-                showThankYouPopup(latestDonor.fullName, latestDonor.bloodGroup);
-            }
-        } catch (error) {
-            console.error('Failed to fetch latest donor:', error);
+    function playNextCelebration() {
+        const donor = celebrationQueue.shift();
+        if (!donor) {
+            isCelebrating = false;
+            return;
+        }
+
+        isCelebrating = true;
+        if (donor.goalReached) {
+            showGoalCelebration(donor.goalReached);
+            setTimeout(playNextCelebration, CONFIG.GOAL_CELEBRATION_TIME + 600);
+            return;
         }
+
+        showCelebrationNotification(donor.fullName, donor.bloodGroup);
+        showThankYouPopup(donor.fullName, donor.bloodGroup);
+
+        // Leave time for the previous popup's exit animation before the next one
+        setTimeout(playNextCelebration, CONFIG.CELEBRATION_DISPLAY_TIME + 600);
     }
 
     /**
-     * Fetches and updates statistics
+     * Queues donors for a celebration, skipping any already seen
+     * @param {Array} donors - Donors in registration order
      */
-    async function fetchStats() {
-        try {
-            const response = await apiRequest('/api/stats');
-            const { totalBloodUnits, lastUpdated } = response.data;
+    function queueCelebrations(donors) {
+        donors.forEach(donor => {
+            if (lastSeenDonatedAt && new Date(donor.donatedAt) <= new Date(lastSeenDonatedAt)) return;
+            celebrationQueue.push(donor);
+            lastSeenDonatedAt = donor.donatedAt;
+        });
 
-            // Detect new donor (count increased) - skip on first load
-            if (!isFirstLoad && totalBloodUnits > previousTotal) {
-                // New donor detected, fetch and show popup
-                fetchLatestDonorAndShowPopup();
-            }
+        if (!isCelebrating) playNextCelebration();
+    }
 
-            // Animate number if changed
-            if (totalBloodUnits !== previousTotal) {
-                animateNumber(totalUnitsEl, previousTotal, totalBloodUnits, CONFIG.COUNT_ANIMATION_DURATION);
-                
-                // Calculate lives saved (each unit can save up to 3 lives)
-                const livesSaved = totalBloodUnits * 3;
-                animateNumber(livesSavedEl, previousTotal * 3, livesSaved, CONFIG.COUNT_ANIMATION_DURATION);
-                
-                previousTotal = totalBloodUnits;
+    /**
+     * Fetches every donor registered since the last one seen and queues them
+     */
+    async function fetchNewDonorsAndCelebrate() {
+        try {
+            // Nothing seen yet: just celebrate the latest donor
+            if (!lastSeenDonatedAt) {
+                const response = await apiRequest(withEventScope('/api/donors?limit=1'));
+                queueCelebrations(response.data || []);
+                return;
             }
 
-            isFirstLoad = false;
-
-            // Update last updated time
-            if (lastUpdated) {
-                lastUpdatedEl.textContent = `Last updated: ${formatDate(lastUpdated)}`;
+            let hasMore = true;
+            while (hasMore) {
+                const response = await apiRequest(withEventScope(`/api/donors?since=${encodeURIComponent(lastSeenDonatedAt)}&limit=20`));
+                const donors = response.data || [];
+                queueCelebrations(donors);
+                hasMore = response.pagination.hasMore && donors.length > 0;
             }
-
         } catch (error) {
-            console.error('Failed to fetch stats:', error);
+            console.error('Failed to fetch new donors:', error);
         }
     }
 
     /**
-     * Fetches and displays recent donors
+     * Renders a horizontal bar chart, updating existing bars in place so
+     * width changes animate
+     * @param {HTMLElement} container - Chart element
+     * @param {Array<{label: string, count: number}>} series - Bars to show
      */
-    async function fetchRecentDonors() {
-        try {
-            const response = await apiRequest('/api/donors?limit=8');
-            const donors = response.data;
-
-            if (donors.length === 0) {
-                donorsListEl.innerHTML = '<p class="no-donors">No donors registered yet. Be the first!</p>';
-                return;
+    function renderBarChart(container, series) {
+        if (!container) return;
+
+        const max = Math.max(1, ...series.map(entry => entry.count));
+        const existing = new Map([...container.querySelectorAll('.bar-row')].map(row => [row.dataset.label, row]));
+
+        series.forEach(entry => {
+            let row = existing.get(entry.label);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'bar-row';
+                row.dataset.label = entry.label;
+                row.innerHTML = `
+                    <span class="bar-label">${escapeHtml(entry.label)}</span>
+                    <span class="bar-track"><span class="bar-fill"></span></span>
+                    <span class="bar-count"></span>
+                `;
+                container.appendChild(row);
             }
+            existing.delete(entry.label);
 
-            donorsListEl.innerHTML = donors.map((donor, index) => `
-                <div class="donor-chip" style="animation-delay: ${index * 0.08}s">
-                    <span class="donor-name">${escapeHtml(donor.fullName)}</span>
-                    <span class="blood-badge">${escapeHtml(donor.bloodGroup)}</span>
-                </div>
-            `).join('');
+            row.querySelector('.bar-count').textContent = entry.count.toLocaleString();
+            // Set the width on the next frame so newly added bars grow from zero
+            requestAnimationFrame(() => {
+                row.querySelector('.bar-fill').style.width = `${(entry.count / max) * 100}%`;
+            });
+        });
+
+        existing.forEach(row => row.remove());
+    }
+
+    /**
+     * Fetches blood group / year / age breakdown and updates the charts
+     */
+    async function fetchBreakdown() {
+        try {
+            const response = await apiRequest(withEventScope('/api/stats/breakdown'));
+            const { bloodGroups, years, ageBands } = response.data;
 
+            renderBarChart(bloodGroupChartEl, bloodGroups);
+            renderBarChart(yearChartEl, years);
+            renderBarChart(ageBandChartEl, ageBands);
         } catch (error) {
-            console.error('Failed to fetch donors:', error);
-            donorsListEl.innerHTML = '<p class="loading-state">Failed to load donors</p>';
+            console.error('Failed to fetch breakdown:', error);
         }
     }
 
     /**
-     * Escapes HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Labels a timeline bucket by its start: a day for daily buckets,
+     * otherwise a time (with the weekday when it isn't today)
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function formatBucketLabel(dateString, bucket) {
+        const date = new Date(dateString);
+        if (bucket === '1d') return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        if (date.toDateString() === new Date().toDateString()) return time;
+        return `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${time}`;
     }
 
-    // Initial fetch
-    fetchStats();
-    fetchRecentDonors();
-
-    // Auto-refresh stats
-    setInterval(fetchStats, CONFIG.STATS_REFRESH_INTERVAL);
-    setInterval(fetchRecentDonors, CONFIG.STATS_REFRESH_INTERVAL);
-
-    // Initialize slogans carousel
+    /**
+     * Draws the donation trend as columns, reusing the columns already on
+     * screen so their heights animate, and fills in the rate and peak hour
+     * @param {object} timeline - Response data from /api/stats/timeline
+     */
+    function renderTimeline({ bucket, series, currentRate, peakHour }) {
+        const max = Math.max(1, ...series.map(entry => entry.count));
+        const existing = new Map([...trendChartEl.children].map(bar => [bar.dataset.start, bar]));
+        const peakStart = peakHour ? new Date(peakHour.start).getTime() : null;
+        const peakEnd = peakHour ? new Date(peakHour.end).getTime() : null;
+
+        trendChartEl.replaceChildren(...series.map(entry => {
+            let bar = existing.get(entry.start);
+            if (!bar) {
+                bar = document.createElement('span');
+                bar.className = 'trend-bar';
+                bar.dataset.start = entry.start;
+            }
+            const start = new Date(entry.start).getTime();
+            bar.classList.toggle('peak', bucket !== '1d' && peakStart !== null && start >= peakStart && start < peakEnd);
+            bar.title = `${formatBucketLabel(entry.start, bucket)}: ${entry.count} ${entry.count === 1 ? 'donation' : 'donations'}`;
+            // Set the height on the next frame so new columns grow from zero
+            requestAnimationFrame(() => {
+                bar.style.height = `${(entry.count / max) * 100}%`;
+            });
+            return bar;
+        }));
+
+        // First, middle and last bucket under the chart
+        const labelled = series.length > 2 ? [series[0], series[Math.floor(series.length / 2)], series[series.length - 1]] : series;
+        trendAxisEl.innerHTML = labelled.map(entry => `<span>${escapeHtml(formatBucketLabel(entry.start, bucket))}</span>`).join('');
+
+        trendRateEl.textContent = `${currentRate.perHour} / hour`;
+        trendPeakEl.textContent = peakHour
+            ? `${formatBucketLabel(peakHour.start, '1h')} – ${new Date(peakHour.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} (${peakHour.count})`
+            : 'No donations yet';
+    }
+
+    /**
+     * Fetches the donation timeline in the chosen bucket size, lined up with
+     * this screen's clock
+     */
+    async function fetchTimeline() {
+        if (!trendChartEl) return;
+        try {
+            const utcOffset = -new Date().getTimezoneOffset();
+            const response = await apiRequest(withEventScope(`/api/stats/timeline?bucket=${trendBucket}&utcOffset=${utcOffset}`));
+            renderTimeline(response.data);
+        } catch (error) {
+            console.error('Failed to fetch timeline:', error);
+        }
+    }
+
+    /**
+     * Leaderboards worth showing: those where someone has donated
+     */
+    function activeLeaderboards() {
+        if (!leaderboards) return [];
+        return Object.keys(LEADERBOARD_TITLES)
+            .filter(key => leaderboards[key] && leaderboards[key].rows.some(row => row.donations > 0));
+    }
+
+    /**
+     * Shows the current leaderboard: its top groups, by donations or by
+     * donations per 100 students when class sizes are set
+     */
+    function renderLeaderboard() {
+        const keys = activeLeaderboards();
+        leaderboardCardEl.hidden = keys.length === 0;
+        if (keys.length === 0) return;
+
+        leaderboardIndex %= keys.length;
+        const key = keys[leaderboardIndex];
+        const { normalised, rows } = leaderboards[key];
+
+        leaderboardTitleEl.textContent = LEADERBOARD_TITLES[key];
+        leaderboardNoteEl.textContent = normalised ? 'Donations per 100 students' : 'Donations';
+        leaderboardDotsEl.innerHTML = keys.map((k, i) => `<span class="leaderboard-dot${i === leaderboardIndex ? ' active' : ''}"></span>`).join('');
+
+        leaderboardListEl.innerHTML = rows.slice(0, CONFIG.LEADERBOARD_ROWS).map(row => {
+            const score = normalised && row.perHundred !== null ? row.perHundred : row.donations;
+            const detail = normalised && row.strength ? `${row.donations} of ${row.strength}` : '';
+            return `
+                <li class="leaderboard-row${row.rank === 1 ? ' leader' : ''}">
+                    <span class="leaderboard-rank">${row.rank === null ? '–' : row.rank}</span>
+                    <span class="leaderboard-label">${escapeHtml(row.label)}</span>
+                    <span class="leaderboard-detail">${escapeHtml(detail)}</span>
+                    <span class="leaderboard-score">${score.toLocaleString()}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fetches the class, department and year leaderboards
+     */
+    async function fetchLeaderboard() {
+        if (!leaderboardCardEl) return;
+        try {
+            const response = await apiRequest(withEventScope('/api/stats/leaderboard'));
+            leaderboards = response.data;
+            renderLeaderboard();
+        } catch (error) {
+            console.error('Failed to fetch leaderboard:', error);
+        }
+    }
+
+    /**
+     * Formats when the goal is expected to be reached: a time today, or a
+     * day and time later on
+     */
+    function formatProjection(dateString) {
+        const date = new Date(dateString);
+        const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        if (date.toDateString() === new Date().toDateString()) return `around ${time}`;
+        return `around ${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}, ${time}`;
+    }
+
+    /**
+     * Shows the drive's goal progress ring, and celebrates when the goal is
+     * reached while the dashboard is open
+     * @param {object|null} progress - Goal progress from the stats (null: no goal)
+     */
+    function renderGoal(progress) {
+        if (!goalCardEl) return;
+
+        if (!progress) {
+            goalCardEl.hidden = true;
+            previousProgress = null;
+            return;
+        }
+
+        const circumference = 2 * Math.PI * goalRingFillEl.r.baseVal.value;
+        goalCardEl.hidden = false;
+        goalCardEl.classList.toggle('reached', progress.reached);
+        goalRingFillEl.style.strokeDasharray = circumference;
+        goalRingFillEl.style.strokeDashoffset = circumference * (1 - Math.min(progress.percent, 100) / 100);
+        goalRingEl.setAttribute('aria-label', `${progress.percent}% of the goal collected`);
+        document.getElementById('goalPercent').textContent = `${progress.percent}%`;
+        document.getElementById('goalCollected').textContent = progress.collected.toLocaleString();
+        document.getElementById('goalTarget').textContent = progress.goal.toLocaleString();
+
+        document.getElementById('goalRemaining').textContent = progress.reached
+            ? 'Goal reached! Every extra unit still saves lives.'
+            : `${progress.remaining.toLocaleString()} more ${progress.remaining === 1 ? 'unit' : 'units'} to go`;
+        document.getElementById('goalProjection').textContent = progress.reached
+            ? ''
+            : progress.projectedAt
+                ? `At ${progress.ratePerHour} units an hour, the goal will be reached ${formatProjection(progress.projectedAt)}`
+                : 'No donations in the last hour to estimate when the goal will be reached';
+
+        // Only a goal reached just now is celebrated, not one reached before the page opened
+        if (previousProgress && !previousProgress.reached && progress.reached && previousProgress.goal === progress.goal) {
+            celebrationQueue.push({ goalReached: progress });
+            if (!isCelebrating) playNextCelebration();
+        }
+        previousProgress = progress;
+    }
+
+    /**
+     * Updates the counters and charts from a stats snapshot
+     * @param {object} stats - { totalBloodUnits, lastUpdated, progress }
+     * @param {object} [options]
+     * @param {boolean} [options.celebrateNew] - Look up and celebrate the latest donor when the
+     *   total went up (only when polling; live updates push each donation instead)
+     */
+    function applyStats({ totalBloodUnits, lastUpdated, progress }, { celebrateNew = false } = {}) {
+        // Detect new donor (count increased) - skip on first load
+        if (celebrateNew && !isFirstLoad && totalBloodUnits > previousTotal) {
+            // New donors detected, fetch and celebrate each of them
+            fetchNewDonorsAndCelebrate();
+        }
+
+        // Animate number if changed
+        if (totalBloodUnits !== previousTotal) {
+            animateNumber(totalUnitsEl, previousTotal, totalBloodUnits, CONFIG.COUNT_ANIMATION_DURATION);
+            
+            // Calculate lives saved (each unit can save up to 3 lives)
+            const livesSaved = totalBloodUnits * 3;
+            animateNumber(livesSavedEl, previousTotal * 3, livesSaved, CONFIG.COUNT_ANIMATION_DURATION);
+            
+            previousTotal = totalBloodUnits;
+
+            // Counts changed, so the charts, the leaderboard and recent donors are stale too
+            fetchBreakdown();
+            fetchTimeline();
+            fetchLeaderboard();
+            if (!isFirstLoad) fetchRecentDonors();
+        }
+
+        isFirstLoad = false;
+
+        // All-time stats have no goal
+        renderGoal(progress || null);
+
+        // Update last updated time
+        if (lastUpdated) {
+            lastUpdatedEl.textContent = `Last updated: ${formatDate(lastUpdated)}`;
+        }
+    }
+
+    /**
+     * Shows which drive the dashboard is following under the title
+     * @param {object|null} event - Event from /api/stats (null: all drives)
+     */
+    function showEventName(event) {
+        if (!eventSubtitleEl) return;
+        eventSubtitleEl.textContent = event
+            ? [event.name, event.venue].filter(Boolean).join(' · ')
+            : 'Real-Time Statistics Dashboard';
+    }
+
+    /**
+     * Fetches and updates statistics
+     */
+    async function fetchStats() {
+        try {
+            const response = await apiRequest(withEventScope('/api/stats'));
+            applyStats(response.data, { celebrateNew: true });
+            showEventName(response.data.event);
+        } catch (error) {
+            console.error('Failed to fetch stats:', error);
+        }
+    }
+
+    /**
+     * Handles one live update event from the stream or a long-poll response
+     * @param {string} type - 'donation.created' or 'stats.updated'
+     * @param {object} data - Event payload
+     */
+    function handleLiveEvent(type, data) {
+        if (type === 'donation.created') {
+            queueCelebrations([data]);
+        } else if (type === 'stats.updated') {
+            applyStats(data);
+        }
+    }
+
+    /**
+     * Falls back to refreshing everything on a fixed interval
+     */
+    function startPolling() {
+        console.warn('Live updates unavailable, refreshing every few seconds instead');
+        fetchStats();
+        setInterval(fetchStats, CONFIG.STATS_REFRESH_INTERVAL);
+        setInterval(fetchRecentDonors, CONFIG.STATS_REFRESH_INTERVAL);
+    }
+
+    /**
+     * Receives live updates by long-polling /api/live/poll, which works on
+     * hosts that can't keep a stream open
+     */
+    async function startLongPoll() {
+        let cursor = null;
+        let failures = 0;
+
+        while (failures < CONFIG.LIVE_MAX_FAILURES) {
+            try {
+                const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+                const response = await apiRequest(withEventScope(`/api/live/poll${query}`));
+                response.data.events.forEach(event => handleLiveEvent(event.type, event.data));
+                cursor = response.data.cursor;
+                failures = 0;
+            } catch (error) {
+                failures++;
+                await new Promise(resolve => setTimeout(resolve, CONFIG.STATS_REFRESH_INTERVAL));
+            }
+        }
+
+        startPolling();
+    }
+
+    /**
+     * Keeps the dashboard live: Server-Sent Events where the server supports
+     * them, long-polling where it doesn't, and interval polling if both fail
+     */
+    function connectLiveUpdates() {
+        if (!window.EventSource) {
+            startLongPoll();
+            return;
+        }
+
+        const source = new EventSource(`${CONFIG.API_BASE_URL}${withEventScope('/api/live/stream')}`);
+        let failures = 0;
+
+        source.addEventListener('open', () => {
+            failures = 0;
+        });
+
+        ['donation.created', 'stats.updated'].forEach(type => {
+            source.addEventListener(type, (e) => handleLiveEvent(type, JSON.parse(e.data)));
+        });
+
+        source.addEventListener('error', () => {
+            failures++;
+            // CLOSED means the server turned streaming down (204) rather than a dropped connection
+            if (source.readyState === EventSource.CLOSED || failures >= CONFIG.LIVE_MAX_FAILURES) {
+                source.close();
+                startLongPoll();
+            }
+        });
+    }
+
+    /**
+     * Fetches and displays recent donors
+     */
+    async function fetchRecentDonors() {
+        try {
+            const response = await apiRequest(withEventScope('/api/donors?limit=8'));
+            const donors = response.data;
+
+            // Donors already on screen when the dashboard opens aren't celebrated again
+            if (!lastSeenDonatedAt && donors.length > 0) {
+                lastSeenDonatedAt = donors[0].donatedAt;
+            }
+
+            if (donors.length === 0) {
+                donorsListEl.innerHTML = '<p class="no-donors">No donors registered yet. Be the first!</p>';
+                return;
+            }
+
+            donorsListEl.innerHTML = donors.map((donor, index) => `
+                <div class="donor-chip" style="animation-delay: ${index * 0.08}s">
+                    <span class="donor-name">${escapeHtml(donor.fullName)}</span>
+                    <span class="blood-badge">${escapeHtml(donor.bloodGroup)}</span>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Failed to fetch donors:', error);
+            donorsListEl.innerHTML = '<p class="loading-state">Failed to load donors</p>';
+        }
+    }
+
+    // Initial fetch
+    fetchStats();
+    fetchRecentDonors();
+    fetchBreakdown();
+    fetchTimeline();
+    fetchLeaderboard();
+
+    // Push new donations and totals as they happen
+    connectLiveUpdates();
+
+    // The pace behind the time-to-goal estimate and the trend chart's current
+    // rate change between donations too
+    setInterval(fetchStats, CONFIG.GOAL_REFRESH_INTERVAL);
+    setInterval(fetchTimeline, CONFIG.TIMELINE_REFRESH_INTERVAL);
+
+    if (leaderboardCardEl) {
+        setInterval(() => {
+            if (activeLeaderboards().length < 2) return;
+            leaderboardIndex++;
+            renderLeaderboard();
+        }, CONFIG.LEADERBOARD_ROTATE_INTERVAL);
+    }
+
+    if (trendBucketsEl) {
+        trendBucketsEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bucket]');
+            if (!button || button.dataset.bucket === trendBucket) return;
+            trendBucket = button.dataset.bucket;
+            trendBucketsEl.querySelectorAll('[data-bucket]').forEach(b => b.classList.toggle('active', b === button));
+            trendChartEl.replaceChildren();
+            fetchTimeline();
+        });
+    }
+
+    // Initialize slogans carousel
     initSlogansCarousel();
     
+    // Initialize staff login before the modals that depend on it
+    initLoginModal();
+
     // Initialize all donors modal
     initAllDonorsModal();
+
+    // Initialize the compatibility matcher
+    initMatchModal();
+}
+
+/**
+ * Opens the staff login modal. Set by initLoginModal.
+ * @param {string} role - Minimum role needed for the action that prompted the login
+ * @returns {Promise<boolean>} Resolves true once logged in with that role, false if cancelled
+ */
+let requestLogin = async () => false;
+
+/**
+ * Initializes the staff login modal and header sign-in button
+ */
+function initLoginModal() {
+    const modal = document.getElementById('loginModal');
+    const form = document.getElementById('loginForm');
+    const closeBtn = document.getElementById('closeLoginBtn');
+    const backdrop = document.getElementById('loginBackdrop');
+    const errorEl = document.getElementById('loginError');
+    const subtitleEl = document.getElementById('loginSubtitle');
+    const authBtn = document.getElementById('authStatusBtn');
+
+    if (!modal || !form) return;
+
+    let pending = null;
+
+    /**
+     * Reflects the current session on the header button
+     */
+    function updateAuthButton() {
+        if (!authBtn) return;
+        const session = getAuthSession();
+        authBtn.textContent = session ? `Sign out (${session.user.username})` : 'Staff login';
+    }
+
+    /**
+     * Updates the header and lets the page re-render staff-only controls
+     */
+    function onSessionChange() {
+        updateAuthButton();
+        document.dispatchEvent(new Event('authchange'));
+    }
+
+    function closeLogin(result) {
+        modal.classList.remove('show');
+        form.reset();
+        errorEl.textContent = '';
+        if (pending) {
+            pending(result);
+            pending = null;
+        }
+    }
+
+    requestLogin = function (role) {
+        if (hasRole(role)) return Promise.resolve(true);
+
+        subtitleEl.textContent = role === 'admin' ? 'Admin access required' : 'Staff access required';
+        modal.classList.add('show');
+        document.getElementById('loginUsername').focus();
+
+        return new Promise(resolve => {
+            pending = (ok) => resolve(ok && hasRole(role));
+        });
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorEl.textContent = '';
+
+        try {
+            const response = await apiRequest('/api/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value.trim(),
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            storeAuthSession(response.data);
+            onSessionChange();
+            closeLogin(true);
+        } catch (error) {
+            errorEl.textContent = error.message || 'Login failed';
+        }
+    });
+
+    closeBtn.addEventListener('click', () => closeLogin(false));
+    backdrop.addEventListener('click', () => closeLogin(false));
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('show')) {
+            closeLogin(false);
+        }
+    });
+
+    if (authBtn) {
+        authBtn.addEventListener('click', () => {
+            if (getAuthSession()) {
+                clearAuthSession();
+                onSessionChange();
+            } else {
+                requestLogin('desk').then(updateAuthButton);
+            }
+        });
+    }
+
+    updateAuthButton();
 }
 
 /**
@@ -641,12 +1812,56 @@ function initAllDonorsModal() {
     const closeBtn = document.getElementById('closeModalBtn');
     const backdrop = document.getElementById('modalBackdrop');
     const searchInput = document.getElementById('donorSearch');
+    const bloodGroupFilter = document.getElementById('filterBloodGroup');
+    const yearFilter = document.getElementById('filterYear');
+    const statusFilter = document.getElementById('filterStatus');
+    const fromFilter = document.getElementById('filterFrom');
+    const toFilter = document.getElementById('filterTo');
+    const sortSelect = document.getElementById('donorSort');
+    const eventFilter = document.getElementById('filterEvent');
+    const exportToggleBtn = document.getElementById('exportToggleBtn');
+    const exportPanel = document.getElementById('exportPanel');
+    const exportColumnsEl = document.getElementById('exportColumns');
+    const exportFormatSelect = document.getElementById('exportFormat');
+    const exportDownloadBtn = document.getElementById('exportDownloadBtn');
+    const exportErrorEl = document.getElementById('exportError');
     const content = document.getElementById('allDonorsContent');
     const countEl = document.getElementById('donorCount');
 
     if (!modal || !openBtn) return;
 
+    const { BLOOD_GROUPS, ACADEMIC_YEARS } = DonorSchema;
+    // How a donor's name appears on public screens (see the registration form)
+    const NAME_DISPLAY_LABELS = {
+        full: 'Full name',
+        initial: 'First name + initial',
+        anonymous: 'Anonymous Hero'
+    };
+    // Columns offered for export (see server/export.js), and whether they start ticked
+    const EXPORT_COLUMNS = [
+        { key: 'fullName', label: 'Name', checked: true },
+        { key: 'bloodGroup', label: 'Blood group', checked: true },
+        { key: 'age', label: 'Age', checked: true },
+        { key: 'year', label: 'Year', checked: true },
+        { key: 'donatedAt', label: 'Donated at', checked: true },
+        { key: 'event', label: 'Drive', checked: true },
+        { key: 'status', label: 'Status', checked: false },
+        { key: 'registeredAt', label: 'Registered at', checked: false },
+        { key: 'eligibility', label: 'Eligibility', checked: false },
+        { key: 'deferredUntil', label: 'Deferred until', checked: false },
+        { key: 'id', label: 'Donor ID', checked: false }
+    ];
+
     let allDonors = [];
+    let nextCursor = null;
+    let totalCount = null;
+    let isLoading = false;
+    // Incremented on every fresh search so responses for stale filters are ignored
+    let requestId = 0;
+    let searchTimer = null;
+    let eventsLoaded = false;
+    // Years on the registration form, refreshed when the modal opens
+    let formYears = ACADEMIC_YEARS;
 
     /**
      * Formats date for display
@@ -662,6 +1877,51 @@ function initAllDonorsModal() {
         });
     }
 
+    /**
+     * Tag telling staff that a donor's name is hidden on public screens
+     */
+    function nameDisplayTagHtml(donor) {
+        const label = NAME_DISPLAY_LABELS[donor.nameDisplay];
+        return donor.nameDisplay && donor.nameDisplay !== 'full'
+            ? `<span class="status-tag">Shown as ${escapeHtml(label)}</span>`
+            : '';
+    }
+
+    /**
+     * Tag shown next to donors whose donation isn't completed
+     */
+    function statusTagHtml(donor) {
+        if (!donor.status || donor.status === 'completed') return '';
+        if (donor.status === 'deferred' && donor.deferredUntil) {
+            const until = new Date(donor.deferredUntil).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+            return `<span class="status-tag">Deferred until ${until}</span>`;
+        }
+        return `<span class="status-tag">${escapeHtml(STATUS_LABELS[donor.status] || donor.status)}</span>`;
+    }
+
+    /**
+     * Builds the HTML for one donor row
+     */
+    function rowHtml(donor, index) {
+        const canEdit = hasRole('desk');
+        const canDelete = hasRole('admin');
+
+        return `
+            <div class="donor-row" data-id="${escapeHtml(donor.id)}" style="animation-delay: ${(index % CONFIG.DONOR_PAGE_SIZE) * 0.03}s">
+                <span class="donor-name">${escapeHtml(donor.fullName)}${statusTagHtml(donor)}${nameDisplayTagHtml(donor)}</span>
+                <span class="donor-blood">${escapeHtml(donor.bloodGroup)}</span>
+                <span class="donor-date">${formatDonorDate(donor.donatedAt)}</span>
+                ${canEdit ? `
+                    <span class="donor-actions">
+                        <button class="row-action" data-action="edit">Edit</button>
+                        ${canDelete && donor.hasContact ? '<button class="row-action" data-action="contact">Contact</button>' : ''}
+                        ${canDelete ? '<button class="row-action danger" data-action="delete">Delete</button>' : ''}
+                    </span>
+                ` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Renders donors table
      */
@@ -679,20 +1939,17 @@ function initAllDonorsModal() {
             return;
         }
 
+        const canEdit = hasRole('desk');
+
         const html = `
-            <div class="donors-table">
+            <div class="donors-table${canEdit ? ' with-actions' : ''}">
                 <div class="donors-table-header">
                     <span>Name</span>
                     <span>Blood Group</span>
                     <span>Date</span>
+                    ${canEdit ? '<span>Actions</span>' : ''}
                 </div>
-                ${donors.map((donor, index) => `
-                    <div class="donor-row" style="animation-delay: ${index * 0.03}s">
-                        <span class="donor-name">${escapeHtml(donor.fullName)}</span>
-                        <span class="donor-blood">${escapeHtml(donor.bloodGroup)}</span>
-                        <span class="donor-date">${formatDonorDate(donor.donatedAt)}</span>
-                    </div>
-                `).join('')}
+                ${donors.map(rowHtml).join('')}
             </div>
         `;
 
@@ -700,90 +1957,1791 @@ function initAllDonorsModal() {
     }
 
     /**
-     * Filters donors based on search
+     * Appends the next page of donors to the table
      */
-    function filterDonors(searchTerm) {
-        const filtered = allDonors.filter(donor => {
-            const name = donor.fullName.toLowerCase();
-            const blood = donor.bloodGroup.toLowerCase();
-            const term = searchTerm.toLowerCase();
-            return name.includes(term) || blood.includes(term);
-        });
-        renderDonors(filtered);
+    function appendDonors(donors, startIndex) {
+        const table = content.querySelector('.donors-table');
+        if (!table) {
+            renderDonors(allDonors);
+            return;
+        }
+        table.insertAdjacentHTML('beforeend', donors.map((d, i) => rowHtml(d, startIndex + i)).join(''));
     }
 
     /**
-     * Fetches all donors from API
+     * Shows or hides the "loading more" indicator below the table
      */
-    async function loadAllDonors() {
-        try {
-            content.innerHTML = `
-                <div class="loading-state">
+    function setLoadingMore(show) {
+        const existing = content.querySelector('.load-more-state');
+        if (show && !existing) {
+            content.insertAdjacentHTML('beforeend', `
+                <div class="loading-state load-more-state">
                     <div class="loading-spinner"></div>
-                    <span>Loading all donors...</span>
-                </div>
-            `;
-
-            const response = await apiRequest('/api/donors?limit=1000');
-            allDonors = response.data;
-            
-            countEl.textContent = `${allDonors.length} ${allDonors.length === 1 ? 'donor' : 'donors'} registered`;
-            renderDonors(allDonors);
-
-        } catch (error) {
-            console.error('Failed to load all donors:', error);
-            content.innerHTML = `
-                <div class="no-results">
-                    <p>Failed to load donors. Please try again.</p>
+                    <span>Loading more donors...</span>
                 </div>
-            `;
+            `);
+        } else if (!show && existing) {
+            existing.remove();
         }
     }
 
     /**
-     * Opens modal
+     * Converts a date input (local calendar day) to an ISO timestamp.
+     * `nextDay` gives the start of the following day, for inclusive "to" dates.
      */
-    function openModal() {
-        modal.classList.add('show');
-        document.body.style.overflow = 'hidden';
-        loadAllDonors();
+    function dayToIso(value, nextDay) {
+        const date = new Date(`${value}T00:00:00`);
+        if (nextDay) date.setDate(date.getDate() + 1);
+        return date.toISOString();
     }
 
     /**
-     * Closes modal
+     * Builds the /api/donors query string from the current filters
      */
-    function closeModal() {
-        modal.classList.remove('show');
-        document.body.style.overflow = '';
-        searchInput.value = '';
-        allDonors = [];
+    function buildQuery(cursor) {
+        const params = new URLSearchParams({
+            limit: CONFIG.DONOR_PAGE_SIZE,
+            sort: sortSelect.value
+        });
+        const term = searchInput.value.trim();
+
+        if (term) params.set('q', term);
+        if (eventFilter.value) params.set('event', eventFilter.value);
+        if (bloodGroupFilter.value) params.set('bloodGroup', bloodGroupFilter.value);
+        if (yearFilter.value) params.set('year', yearFilter.value);
+        if (statusFilter.value) params.set('status', statusFilter.value);
+        if (fromFilter.value) params.set('from', dayToIso(fromFilter.value, false));
+        if (toFilter.value) params.set('to', dayToIso(toFilter.value, true));
+        if (cursor) params.set('cursor', cursor);
+
+        return params.toString();
     }
 
     /**
-     * Escapes HTML to prevent XSS
+     * Whether any filter other than sort order and drive is active
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function isFiltered() {
+        return !!(searchInput.value.trim() || bloodGroupFilter.value || yearFilter.value ||
+            statusFilter.value || fromFilter.value || toFilter.value);
     }
 
-    // Event listeners
-    openBtn.addEventListener('click', openModal);
-    closeBtn.addEventListener('click', closeModal);
-    backdrop.addEventListener('click', closeModal);
-
-    // Search functionality
-    searchInput.addEventListener('input', (e) => {
-        filterDonors(e.target.value);
-    });
+    /**
+     * Fills the drive filter and selects the drive the dashboard is showing
+     */
+    async function loadEventOptions() {
+        if (eventsLoaded) return;
+        try {
+            const { data: events } = await apiRequest('/api/events');
+            const scope = getEventScope();
+            const current = scope === 'active'
+                ? events.find(e => e.active)
+                : events.find(e => e.slug === scope);
+
+            eventFilter.insertAdjacentHTML('beforeend', events.map(e => `
+                <option value="${escapeHtml(e.slug)}">${escapeHtml(e.name)}</option>
+            `).join(''));
+            eventFilter.value = current ? current.slug : '';
+            eventsLoaded = true;
+        } catch (error) {
+            console.error('Failed to load events:', error);
+        }
+    }
 
-    // Close on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal.classList.contains('show')) {
-            closeModal();
+    /**
+     * Fills the year filter with the years the registration form offers
+     */
+    async function loadFormYears() {
+        try {
+            const { data: form } = await apiRequest('/api/settings/form');
+            formYears = form.years;
+        } catch (error) {
+            console.error('Failed to load the registration form:', error);
+        }
+
+        const selected = yearFilter.value;
+        yearFilter.innerHTML = `<option value="">All years</option>${optionsHtml(formYears)}`;
+        yearFilter.value = formYears.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Updates the donor count subtitle
+     */
+    function updateCount() {
+        if (totalCount === null) return;
+        const noun = totalCount === 1 ? 'donor' : 'donors';
+        countEl.textContent = isFiltered()
+            ? `${totalCount} ${noun} match`
+            : `${totalCount} ${noun} registered`;
+    }
+
+    /**
+     * Loads donors from the API. `reset` starts over from the first page with
+     * the current filters; otherwise the next page is appended.
+     */
+    async function loadDonors(reset) {
+        if (reset) {
+            requestId++;
+            allDonors = [];
+            nextCursor = null;
+            isLoading = false;
+            content.innerHTML = `
+                <div class="loading-state">
+                    <div class="loading-spinner"></div>
+                    <span>Loading donors...</span>
+                </div>
+            `;
+        } else if (!nextCursor || isLoading) {
+            return;
+        }
+
+        const thisRequest = requestId;
+        isLoading = true;
+        if (!reset) setLoadingMore(true);
+
+        try {
+            const response = await apiRequest(`/api/donors?${buildQuery(reset ? null : nextCursor)}`);
+            if (thisRequest !== requestId) return;
+
+            const startIndex = allDonors.length;
+            allDonors = allDonors.concat(response.data);
+            nextCursor = response.pagination ? response.pagination.nextCursor : null;
+
+            if (reset) {
+                totalCount = response.pagination && response.pagination.total !== undefined
+                    ? response.pagination.total
+                    : response.data.length;
+                updateCount();
+                renderDonors(allDonors);
+            } else {
+                setLoadingMore(false);
+                appendDonors(response.data, startIndex);
+            }
+        } catch (error) {
+            if (thisRequest !== requestId) return;
+            console.error('Failed to load donors:', error);
+            setLoadingMore(false);
+            if (reset) {
+                content.innerHTML = `
+                    <div class="no-results">
+                        <p>Failed to load donors. Please try again.</p>
+                    </div>
+                `;
+            }
+        } finally {
+            if (thisRequest === requestId) {
+                isLoading = false;
+                // Keep loading until the list overflows so scrolling can take over
+                if (nextCursor && content.scrollHeight <= content.clientHeight) {
+                    loadDonors(false);
+                }
+            }
+        }
+    }
+
+    /**
+     * Builds <option> tags, marking the current value as selected
+     */
+    function optionsHtml(values, selected) {
+        return values.map(v => `
+            <option value="${escapeHtml(v)}"${v === selected ? ' selected' : ''}>${escapeHtml(v)}</option>
+        `).join('');
+    }
+
+    /**
+     * Options for the name display select, labelled for staff
+     */
+    function nameDisplayOptionsHtml(selected) {
+        return Object.entries(NAME_DISPLAY_LABELS).map(([value, label]) => `
+            <option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Downloads every donor matching the current filters in the chosen
+     * format and columns. Uses fetch rather than a link so the staff token
+     * goes in the Authorization header.
+     */
+    async function downloadExport() {
+        const columns = [...exportColumnsEl.querySelectorAll('input:checked')].map(input => input.value);
+        exportErrorEl.textContent = '';
+        if (columns.length === 0) {
+            exportErrorEl.textContent = 'Choose at least one column';
+            return;
+        }
+
+        const params = new URLSearchParams(buildQuery(null));
+        params.delete('limit');
+        params.set('format', exportFormatSelect.value);
+        params.set('columns', columns.join(','));
+
+        const session = getAuthSession();
+        exportDownloadBtn.disabled = true;
+        exportDownloadBtn.textContent = 'Preparing...';
+
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/api/donors/export?${params}`, {
+                headers: session ? { 'Authorization': `Bearer ${session.token}` } : {}
+            });
+            if (response.status === 401 && session) {
+                clearAuthSession();
+            }
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Export failed');
+            }
+
+            const blob = await response.blob();
+            const disposition = response.headers.get('content-disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `donors.${exportFormatSelect.value}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Export failed:', error);
+            exportErrorEl.textContent = error.message || 'Export failed';
+        } finally {
+            exportDownloadBtn.disabled = false;
+            exportDownloadBtn.textContent = 'Download';
+        }
+    }
+
+    /**
+     * Puts a donor row back to its read-only form
+     */
+    function restoreRow(row) {
+        const index = allDonors.findIndex(d => d.id === row.dataset.id);
+        if (index !== -1) {
+            row.outerHTML = rowHtml(allDonors[index], 0);
+        }
+    }
+
+    /**
+     * Turns a donor row into an inline edit form
+     */
+    async function startEdit(row) {
+        try {
+            const [{ data: donor }, { data: classes }] = await Promise.all([
+                apiRequest(`/api/donors/${encodeURIComponent(row.dataset.id)}`),
+                apiRequest('/api/settings/classes')
+            ]);
+            // Donors registered before a department or year was renamed keep their old one
+            const departments = [...new Set([...classes.departments, ...(donor.department ? [donor.department] : [])])];
+            const years = [...new Set([...formYears, donor.year])];
+            const departmentSelect = departments.length === 0 ? '' : `
+                    <select class="edit-input" name="department" title="Department" data-original="${escapeHtml(donor.department || '')}">
+                        ${donor.department ? '' : '<option value="">Department</option>'}
+                        ${optionsHtml(departments, donor.department)}
+                    </select>`;
+
+            row.classList.add('editing');
+            row.innerHTML = `
+                <input class="edit-input" name="fullName" value="${escapeHtml(donor.fullName)}" minlength="2" required />
+                <select class="edit-input" name="bloodGroup">${optionsHtml(BLOOD_GROUPS, donor.bloodGroup)}</select>
+                <span class="edit-pair">
+                    <input class="edit-input" name="age" type="number" min="18" max="65" value="${escapeHtml(donor.age)}" />
+                    <select class="edit-input" name="year" data-original="${escapeHtml(donor.year)}">${optionsHtml(years, donor.year)}</select>${departmentSelect}
+                    <select class="edit-input" name="nameDisplay" title="Name on public screens">${nameDisplayOptionsHtml(donor.nameDisplay || 'full')}</select>
+                </span>
+                <span class="donor-actions">
+                    <button class="row-action" data-action="save">Save</button>
+                    <button class="row-action" data-action="cancel">Cancel</button>
+                </span>
+                <span class="row-error"></span>
+            `;
+        } catch (error) {
+            alert(error.message || 'Could not load donor');
+        }
+    }
+
+    /**
+     * Saves an inline edit
+     */
+    async function saveEdit(row) {
+        const field = name => row.querySelector(`[name="${name}"]`).value;
+        // Only a changed year or department is sent: an old one may no longer be on the list
+        const yearSelect = row.querySelector('[name="year"]');
+        const departmentSelect = row.querySelector('[name="department"]');
+        const department = departmentSelect && departmentSelect.value !== departmentSelect.dataset.original
+            ? departmentSelect.value
+            : '';
+
+        try {
+            const { data: updated } = await apiRequest(`/api/donors/${encodeURIComponent(row.dataset.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    fullName: field('fullName').trim(),
+                    bloodGroup: field('bloodGroup'),
+                    age: parseInt(field('age')),
+                    year: yearSelect.value !== yearSelect.dataset.original ? yearSelect.value : undefined,
+                    department: department || undefined,
+                    nameDisplay: field('nameDisplay')
+                })
+            });
+
+            const donor = allDonors.find(d => d.id === updated.id);
+            if (donor) {
+                donor.fullName = updated.fullName;
+                donor.bloodGroup = updated.bloodGroup;
+                donor.nameDisplay = updated.nameDisplay;
+            }
+            restoreRow(row);
+        } catch (error) {
+            row.querySelector('.row-error').textContent = error.message || 'Update failed';
+        }
+    }
+
+    /**
+     * Shows the phone number and email a donor agreed to be contacted on
+     * (admins only)
+     */
+    async function showContact(row) {
+        try {
+            const { data: contact } = await apiRequest(`/api/donors/${encodeURIComponent(row.dataset.id)}/contact`);
+            const consented = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            const lines = [`Contact details of ${contact.fullName}`, ''];
+            if (contact.phone) lines.push(`Phone: ${contact.phone} (consent given ${consented(contact.phoneConsentAt)})`);
+            if (contact.email) lines.push(`Email: ${contact.email} (consent given ${consented(contact.emailConsentAt)})`);
+            alert(lines.join('\n'));
+        } catch (error) {
+            alert(error.message || 'Could not load contact details');
+        }
+    }
+
+    /**
+     * Deletes a donor after confirmation
+     */
+    async function deleteDonor(row) {
+        const donor = allDonors.find(d => d.id === row.dataset.id);
+        if (!donor || !confirm(`Delete ${donor.fullName} (${donor.bloodGroup})? This also removes one unit from the total.`)) {
+            return;
+        }
+
+        try {
+            await apiRequest(`/api/donors/${encodeURIComponent(donor.id)}`, { method: 'DELETE' });
+            allDonors = allDonors.filter(d => d.id !== donor.id);
+            totalCount = Math.max(0, totalCount - 1);
+            updateCount();
+            row.remove();
+            if (allDonors.length === 0 && !nextCursor) renderDonors(allDonors);
+        } catch (error) {
+            alert(error.message || 'Delete failed');
+        }
+    }
+
+    /**
+     * Opens modal
+     */
+    async function openModal() {
+        // The full donor list is restricted to desk volunteers and admins
+        if (!(await requestLogin('desk'))) return;
+
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        countEl.textContent = 'Loading...';
+        await Promise.all([loadEventOptions(), loadFormYears()]);
+        loadDonors(true);
+    }
+
+    /**
+     * Closes modal
+     */
+    function closeModal() {
+        modal.classList.remove('show');
+        document.body.style.overflow = '';
+        searchInput.value = '';
+        [bloodGroupFilter, yearFilter, statusFilter, fromFilter, toFilter].forEach(el => { el.value = ''; });
+        sortSelect.value = 'newest';
+        exportPanel.hidden = true;
+        exportToggleBtn.setAttribute('aria-expanded', 'false');
+        exportErrorEl.textContent = '';
+        requestId++;
+        allDonors = [];
+        nextCursor = null;
+    }
+
+    // Fill the filter dropdowns
+    bloodGroupFilter.insertAdjacentHTML('beforeend', optionsHtml(BLOOD_GROUPS));
+    yearFilter.insertAdjacentHTML('beforeend', optionsHtml(formYears));
+    exportColumnsEl.innerHTML = EXPORT_COLUMNS.map(column => `
+        <label><input type="checkbox" value="${column.key}"${column.checked ? ' checked' : ''} /> ${escapeHtml(column.label)}</label>
+    `).join('');
+
+    // Event listeners
+    openBtn.addEventListener('click', openModal);
+    closeBtn.addEventListener('click', closeModal);
+    backdrop.addEventListener('click', closeModal);
+
+    // Name search runs on the server, debounced while typing
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadDonors(true), CONFIG.SEARCH_DEBOUNCE);
+    });
+
+    [eventFilter, bloodGroupFilter, yearFilter, statusFilter, fromFilter, toFilter, sortSelect].forEach(el => {
+        el.addEventListener('change', () => loadDonors(true));
+    });
+
+    // Export uses the filters above, so it lives next to them
+    exportToggleBtn.addEventListener('click', () => {
+        exportPanel.hidden = !exportPanel.hidden;
+        exportToggleBtn.setAttribute('aria-expanded', String(!exportPanel.hidden));
+    });
+    exportDownloadBtn.addEventListener('click', downloadExport);
+
+    // Infinite scroll: fetch the next page when nearing the bottom
+    content.addEventListener('scroll', () => {
+        if (content.scrollTop + content.clientHeight >= content.scrollHeight - 200) {
+            loadDonors(false);
+        }
+    });
+
+    // Row actions (edit / save / cancel / delete)
+    content.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const row = button.closest('.donor-row');
+
+        switch (button.dataset.action) {
+            case 'edit':
+                startEdit(row);
+                break;
+            case 'save':
+                saveEdit(row);
+                break;
+            case 'cancel':
+                restoreRow(row);
+                break;
+            case 'contact':
+                showContact(row);
+                break;
+            case 'delete':
+                deleteDonor(row);
+                break;
+        }
+    });
+
+    // Close on Escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('show')) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Initializes the compatibility matcher (dashboard): for a recipient's blood
+ * group and component, the donor groups they can receive from with the
+ * units in stock and the completed donations of those groups
+ */
+function initMatchModal() {
+    const modal = document.getElementById('matchModal');
+    const openBtn = document.getElementById('findBloodBtn');
+    const closeBtn = document.getElementById('closeMatchBtn');
+    const backdrop = document.getElementById('matchBackdrop');
+    const form = document.getElementById('matchForm');
+    const bloodGroupSelect = document.getElementById('matchBloodGroup');
+    const componentSelect = document.getElementById('matchComponent');
+    const subtitleEl = document.getElementById('matchSubtitle');
+    const content = document.getElementById('matchContent');
+
+    if (!modal || !openBtn) return;
+
+    const DEFAULT_SUBTITLE = subtitleEl.textContent;
+    const EMPTY_HTML = content.innerHTML;
+    // Incremented on every search so a slow response can't replace a newer one
+    let requestId = 0;
+
+    /**
+     * Builds a section listing units or donors, or saying there are none
+     */
+    function sectionHtml(title, headers, rows, emptyText) {
+        return `
+            <div class="match-section">
+                <h4>${escapeHtml(title)}</h4>
+                ${rows.length ? `
+                    <div class="donors-table">
+                        <div class="donors-table-header">
+                            ${headers.map(header => `<span>${header}</span>`).join('')}
+                        </div>
+                        ${rows.join('')}
+                    </div>
+                ` : `<div class="no-results"><p>${escapeHtml(emptyText)}</p></div>`}
+            </div>
+        `;
+    }
+
+    function unitRowHtml(unit) {
+        const expires = unit.daysLeft === 0 ? `Today, ${formatDate(unit.expiresAt)}` : formatDate(unit.expiresAt);
+        return `
+            <div class="donor-row">
+                <span class="donor-name">${escapeHtml(unit.bagId)}<span class="status-tag">${unit.volumeMl} ml</span></span>
+                <span class="donor-blood">${escapeHtml(unit.bloodGroup)}</span>
+                <span class="donor-date">${escapeHtml(expires)}</span>
+            </div>
+        `;
+    }
+
+    function donorRowHtml(donor) {
+        return `
+            <div class="donor-row">
+                <span class="donor-name">${escapeHtml(donor.fullName)}</span>
+                <span class="donor-blood">${escapeHtml(donor.bloodGroup)}</span>
+                <span class="donor-date">${formatDate(donor.donatedAt)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the compatible groups, then the units and donors of those groups
+     */
+    function renderMatch(match) {
+        const component = componentSelect.options[componentSelect.selectedIndex].text;
+        subtitleEl.textContent = `${component} for ${match.bloodGroup}: ${match.units.length} ${match.units.length === 1 ? 'unit' : 'units'} in stock`;
+
+        const groupsHtml = match.groups.map(group => `
+            <div class="match-group${group.match === 'identical' ? ' identical' : ''}">
+                ${escapeHtml(group.bloodGroup)}
+                <small>${group.units} in stock</small>
+            </div>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="match-groups">${groupsHtml}</div>
+            ${sectionHtml('In stock', ['Bag', 'Group', 'Expires'], match.units.map(unitRowHtml), 'No compatible units in stock')}
+            ${sectionHtml('Completed donations', ['Donor', 'Group', 'Donated'], match.donors.map(donorRowHtml), 'No completed donations of these groups')}
+        `;
+    }
+
+    /**
+     * Looks up compatible groups, units and donors for the chosen recipient
+     */
+    async function search() {
+        if (!bloodGroupSelect.value) return;
+        const current = ++requestId;
+        content.innerHTML = `
+            <div class="loading-state">
+                <div class="loading-spinner"></div>
+                <span>Finding compatible blood...</span>
+            </div>
+        `;
+
+        try {
+            const params = new URLSearchParams({ bloodGroup: bloodGroupSelect.value, component: componentSelect.value });
+            const { data } = await apiRequest(`/api/compatibility?${params}`);
+            if (current === requestId) renderMatch(data);
+        } catch (error) {
+            if (current !== requestId) return;
+            content.innerHTML = `<div class="no-results"><p>${escapeHtml(error.message || 'Search failed')}</p></div>`;
+        }
+    }
+
+    /**
+     * Opens modal
+     */
+    async function openModal() {
+        // Donor names and stock are for desk volunteers and admins
+        if (!(await requestLogin('desk'))) return;
+
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        bloodGroupSelect.focus();
+    }
+
+    /**
+     * Closes modal
+     */
+    function closeModal() {
+        modal.classList.remove('show');
+        document.body.style.overflow = '';
+        form.reset();
+        requestId++;
+        subtitleEl.textContent = DEFAULT_SUBTITLE;
+        content.innerHTML = EMPTY_HTML;
+    }
+
+    bloodGroupSelect.insertAdjacentHTML('beforeend', DonorSchema.BLOOD_GROUPS.map(group => `
+        <option value="${group}">${group}</option>
+    `).join(''));
+
+    openBtn.addEventListener('click', openModal);
+    closeBtn.addEventListener('click', closeModal);
+    backdrop.addEventListener('click', closeModal);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        search();
+    });
+    // Searching again on every change saves a click while someone is on the phone
+    [bloodGroupSelect, componentSelect].forEach(el => el.addEventListener('change', search));
+
+    // Logging out hides donor names again
+    document.addEventListener('authchange', () => {
+        if (modal.classList.contains('show') && !hasRole('desk')) closeModal();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('show')) {
+            closeModal();
+        }
+    });
+}
+
+// ============================================
+// STAFF CONSOLE
+// ============================================
+
+/**
+ * Initializes the staff console: the history of every drive and its time
+ * slots, (for admins) creating, editing and activating drives and their
+ * slots and the blocked registration attempts, and (for desk staff) the
+ * donor queue, the blood inventory and importing paper registrations from CSV
+ */
+function initStaffConsole() {
+    const tableEl = document.getElementById('eventsTable');
+    const summaryEl = document.getElementById('eventsSummary');
+    const form = document.getElementById('eventForm');
+    const lockedEl = document.getElementById('eventFormLocked');
+    const titleEl = document.getElementById('eventFormTitle');
+    const errorEl = document.getElementById('eventFormError');
+    const submitBtn = document.getElementById('eventFormSubmit');
+    const cancelBtn = document.getElementById('eventFormCancel');
+    const importForm = document.getElementById('importForm');
+    const importLockedEl = document.getElementById('importLocked');
+    const importEventSelect = document.getElementById('importEvent');
+    const importErrorEl = document.getElementById('importError');
+    const importCheckBtn = document.getElementById('importCheckBtn');
+    const importSubmitBtn = document.getElementById('importSubmitBtn');
+    const importReportEl = document.getElementById('importReport');
+    const importSummaryEl = document.getElementById('importSummary');
+    const importRowsEl = document.getElementById('importRows');
+    const queueTableEl = document.getElementById('queueTable');
+    const queueLockedEl = document.getElementById('queueLocked');
+    const queueSummaryEl = document.getElementById('queueSummary');
+    const inventoryPanel = document.getElementById('inventoryPanel');
+    const inventoryLockedEl = document.getElementById('inventoryLocked');
+    const inventorySummaryEl = document.getElementById('inventorySummary');
+    const stockTableEl = document.getElementById('stockTable');
+    const expiryDaysSelect = document.getElementById('expiryDays');
+    const expiryTableEl = document.getElementById('expiryTable');
+    const unitForm = document.getElementById('unitForm');
+    const unitDonorSelect = document.getElementById('unitDonor');
+    const unitComponentSelect = document.getElementById('unitComponent');
+    const unitErrorEl = document.getElementById('unitFormError');
+    const unitSubmitBtn = document.getElementById('unitFormSubmit');
+    const slotEventSelect = document.getElementById('slotEvent');
+    const slotsTableEl = document.getElementById('slotsTable');
+    const slotForm = document.getElementById('slotForm');
+    const slotLockedEl = document.getElementById('slotFormLocked');
+    const slotErrorEl = document.getElementById('slotFormError');
+    const slotSubmitBtn = document.getElementById('slotFormSubmit');
+    const slotCancelBtn = document.getElementById('slotFormCancel');
+    const formSettingsForm = document.getElementById('formSettingsForm');
+    const formLockedEl = document.getElementById('formLocked');
+    const formSummaryEl = document.getElementById('formSummary');
+    const formSettingsErrorEl = document.getElementById('formSettingsError');
+    const formSettingsSubmitBtn = document.getElementById('formSettingsSubmit');
+    const classesForm = document.getElementById('classesForm');
+    const classesLockedEl = document.getElementById('classesLocked');
+    const classesSummaryEl = document.getElementById('classesSummary');
+    const classesErrorEl = document.getElementById('classesError');
+    const classesSubmitBtn = document.getElementById('classesSubmit');
+    const abuseSummaryEl = document.getElementById('abuseSummary');
+    const abuseLockedEl = document.getElementById('abuseLocked');
+    const abuseSpikesEl = document.getElementById('abuseSpikes');
+    const abuseTableEl = document.getElementById('abuseTable');
+    const abuseRefreshBtn = document.getElementById('abuseRefreshBtn');
+    const auditFilters = document.getElementById('auditFilters');
+    const auditActionSelect = document.getElementById('auditAction');
+    const auditSummaryEl = document.getElementById('auditSummary');
+    const auditLockedEl = document.getElementById('auditLocked');
+    const auditErrorEl = document.getElementById('auditError');
+    const auditTableEl = document.getElementById('auditTable');
+    const auditMoreBtn = document.getElementById('auditMoreBtn');
+
+    if (!tableEl || !form) return;
+
+    // Next steps offered for each status in the queue (see server/lifecycle.js)
+    const NEXT_STEPS = {
+        registered: [['screened', 'Screened'], ['deferred', 'Defer'], ['walked_out', 'Walked out']],
+        screened: [['donating', 'Start donation'], ['deferred', 'Defer'], ['walked_out', 'Walked out']],
+        donating: [['completed', 'Completed'], ['walked_out', 'Walked out']]
+    };
+    let queueTimer = null;
+    // Cursor for the next page of the audit log, null when there is none
+    let auditCursor = null;
+
+    let events = [];
+    // Slug of the drive being edited, or null when the form creates a new one
+    let editingSlug = null;
+    // Slots of the drive picked in the time slots card
+    let slots = [];
+    // Id of the slot being edited, or null when the form adds a new one
+    let editingSlotId = null;
+
+    /**
+     * Formats a drive date. Dates are stored as UTC midnight, so show them in UTC.
+     */
+    function formatDay(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Builds the HTML for one drive in the history
+     */
+    function eventRowHtml(event) {
+        const isAdmin = hasRole('admin');
+        const dates = event.endsAt && formatDay(event.endsAt) !== formatDay(event.startsAt)
+            ? `${formatDay(event.startsAt)} – ${formatDay(event.endsAt)}`
+            : formatDay(event.startsAt);
+        const percent = event.goal ? Math.min(100, Math.round((event.totalBloodUnits / event.goal) * 100)) : null;
+
+        return `
+            <div class="event-row" data-slug="${escapeHtml(event.slug)}">
+                <div>
+                    <span class="event-name">${escapeHtml(event.name)}</span>
+                    ${event.active ? '<span class="status-badge">Active</span>' : ''}
+                    <div class="event-meta">${escapeHtml(event.venue || 'No venue set')}</div>
+                </div>
+                <div class="event-meta">${dates}</div>
+                <div class="event-progress">
+                    <strong>${event.totalBloodUnits.toLocaleString()}</strong> units${event.goal ? ` of ${event.goal.toLocaleString()} (${percent}%)` : ''}
+                    ${event.goal ? `<span class="bar-track"><span class="bar-fill" style="width: ${percent}%"></span></span>` : ''}
+                </div>
+                <div class="event-actions">
+                    <a class="row-action" href="/dashboard?event=${encodeURIComponent(event.slug)}">Dashboard</a>
+                    ${isAdmin ? `
+                        <button class="row-action" data-action="edit">Edit</button>
+                        <button class="row-action" data-action="${event.active ? 'deactivate' : 'activate'}">${event.active ? 'Stop' : 'Make active'}</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderEvents() {
+        tableEl.innerHTML = events.length
+            ? events.map(eventRowHtml).join('')
+            : '<p class="console-note">No drives yet. Donations are counted without a drive until one is created.</p>';
+    }
+
+    /**
+     * Fetches every drive with its totals
+     */
+    async function loadEvents() {
+        try {
+            const response = await apiRequest('/api/events');
+            events = response.data;
+            const { events: count, totalBloodUnits } = response.totals;
+            summaryEl.textContent = `${count} ${count === 1 ? 'drive' : 'drives'} · ${totalBloodUnits.toLocaleString()} units all-time`;
+            renderEvents();
+            renderImportEvents();
+            renderSlotEvents();
+        } catch (error) {
+            console.error('Failed to load drives:', error);
+            tableEl.innerHTML = '<p class="console-note">Failed to load drives. Please refresh.</p>';
+        }
+    }
+
+    /**
+     * Formats the time a donor reached their current status
+     */
+    function formatTime(dateString) {
+        return new Date(dateString).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Builds the HTML for one donor in the queue
+     * @param {object} donor
+     * @param {object} slotsById - The active drive's slots, to show booked times
+     */
+    function queueRowHtml(donor, slotsById) {
+        const slot = donor.slotId && slotsById[donor.slotId];
+        const booking = slot
+            ? ` · ${formatTime(slot.startsAt)} slot${donor.booking === 'waitlisted' ? ' (waitlist)' : ''}`
+            : '';
+        return `
+            <div class="event-row queue-row" data-id="${escapeHtml(donor.id)}">
+                <div>
+                    <span class="event-name">${escapeHtml(donor.fullName)}</span>
+                    <span class="status-badge status-${escapeHtml(donor.status)}">${escapeHtml(STATUS_LABELS[donor.status] || donor.status)}</span>
+                </div>
+                <div class="event-meta">${escapeHtml(donor.bloodGroup)}${booking}</div>
+                <div class="event-meta">Since ${formatTime(donor.statusChangedAt || donor.registeredAt)}</div>
+                <div class="event-actions">
+                    ${(NEXT_STEPS[donor.status] || []).map(([status, label]) => `
+                        <button class="row-action" data-status="${status}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Loads donors still in the donation area for the active drive, longest waiting first
+     */
+    async function loadQueue() {
+        if (!queueTableEl || !hasRole('desk')) return;
+        try {
+            const [response, slotResponse] = await Promise.all([
+                apiRequest('/api/donors?status=registered,screened,donating&sort=oldest&limit=100&event=active'),
+                // No active drive: nobody has a slot
+                apiRequest('/api/events/active/slots').catch(() => ({ data: [] }))
+            ]);
+            const donors = response.data;
+            const slotsById = Object.fromEntries(slotResponse.data.map(slot => [slot.id, slot]));
+            queueSummaryEl.textContent = `${donors.length} in progress`;
+            queueTableEl.innerHTML = donors.length
+                ? donors.map(donor => queueRowHtml(donor, slotsById)).join('')
+                : '<p class="console-note">Nobody is waiting. New registrations appear here.</p>';
+        } catch (error) {
+            console.error('Failed to load the donor queue:', error);
+            queueTableEl.innerHTML = '<p class="console-note">Failed to load the queue. Retrying...</p>';
+        }
+    }
+
+    /**
+     * Moves a donor to their next status. Deferring asks for a return date.
+     */
+    async function setDonorStatus(id, status) {
+        const body = { status };
+        if (status === 'deferred') {
+            const until = prompt('Deferred until (YYYY-MM-DD)? Leave empty if there is no return date.');
+            if (until === null) return;
+            if (until.trim()) body.deferredUntil = until.trim();
+        }
+
+        try {
+            await apiRequest(`/api/donors/${encodeURIComponent(id)}/status`, {
+                method: 'PATCH',
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            alert(error.message || 'Could not update the donor');
+        }
+        await loadQueue();
+        if (status === 'completed') {
+            loadEvents();
+            loadUnitDonors();
+        }
+    }
+
+    // Component key -> name, from the stock report
+    let componentLabels = {};
+
+    /**
+     * Builds the stock table: units per blood group and component
+     */
+    function stockTableHtml(stock) {
+        const head = `
+            <div class="stock-row stock-row-head">
+                <span>Group</span>
+                ${stock.components.map(component => `<span>${escapeHtml(component.label)}</span>`).join('')}
+                <span>Total</span>
+            </div>
+        `;
+        return head + stock.groups.map(group => `
+            <div class="stock-row${group.units === 0 ? ' out-of-stock' : ''}">
+                <span>${escapeHtml(group.bloodGroup)}</span>
+                ${stock.components.map(component => `<span>${group.components[component.key]}</span>`).join('')}
+                <span>${group.units}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Builds the HTML for a unit in the near-expiry report
+     */
+    function expiryRowHtml(unit) {
+        const expires = formatDate(unit.expiresAt);
+        let when = `Expires ${expires}`;
+        if (unit.expired) when = `Expired ${expires}`;
+        else if (unit.daysLeft === 0) when = `Expires today, ${formatTime(unit.expiresAt)}`;
+        return `
+            <div class="event-row unit-row" data-id="${escapeHtml(unit.id)}">
+                <div>
+                    <span class="event-name">${escapeHtml(unit.bagId)}</span>
+                    ${unit.expired ? '<span class="status-badge status-expired">Expired</span>' : ''}
+                </div>
+                <div class="event-meta">${escapeHtml(unit.bloodGroup)} · ${escapeHtml(componentLabels[unit.component] || unit.component)} · ${unit.volumeMl} ml</div>
+                <div class="event-meta">${escapeHtml(when)}</div>
+                <div class="event-actions">
+                    ${unit.expired ? '' : '<button class="row-action" data-unit-status="issued">Issue</button>'}
+                    <button class="row-action danger" data-unit-status="discarded">Discard</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Loads the stock by blood group and the units expiring soon
+     */
+    async function loadInventory() {
+        if (!inventoryPanel || !hasRole('desk')) return;
+        try {
+            const [{ data: stock }, { data: report }] = await Promise.all([
+                apiRequest('/api/inventory/stock'),
+                apiRequest(`/api/inventory/expiring?days=${encodeURIComponent(expiryDaysSelect.value)}`)
+            ]);
+            componentLabels = Object.fromEntries(stock.components.map(component => [component.key, component.label]));
+            if (unitComponentSelect.options.length === 0) {
+                unitComponentSelect.innerHTML = stock.components.map(component => `
+                    <option value="${escapeHtml(component.key)}">${escapeHtml(component.label)} (${component.shelfLifeDays} days)</option>
+                `).join('');
+            }
+
+            inventorySummaryEl.textContent = `${stock.total} usable units · ${(stock.volumeMl / 1000).toLocaleString()} L`;
+            stockTableEl.innerHTML = stockTableHtml(stock);
+            const units = [...report.expired, ...report.expiring];
+            expiryTableEl.innerHTML = units.length
+                ? units.map(expiryRowHtml).join('')
+                : `<p class="console-note">No units expire in the next ${report.days === 1 ? 'day' : `${report.days} days`}.</p>`;
+        } catch (error) {
+            console.error('Failed to load the inventory:', error);
+            stockTableEl.innerHTML = '<p class="console-note">Failed to load the inventory. Please refresh.</p>';
+        }
+    }
+
+    /**
+     * Offers the latest completed donations as the donor of a new unit
+     */
+    async function loadUnitDonors() {
+        if (!unitDonorSelect || !hasRole('desk')) return;
+        try {
+            const { data: donors } = await apiRequest('/api/donors?status=completed&sort=newest&limit=100');
+            const selected = unitDonorSelect.value;
+            unitDonorSelect.innerHTML = '<option value="">Choose a completed donation</option>' + donors.map(donor => `
+                <option value="${escapeHtml(donor.id)}">${escapeHtml(donor.fullName)} · ${escapeHtml(donor.bloodGroup)} · ${formatDate(donor.donatedAt)}</option>
+            `).join('');
+            unitDonorSelect.value = donors.some(donor => donor.id === selected) ? selected : '';
+        } catch (error) {
+            console.error('Failed to load donations:', error);
+        }
+    }
+
+    /**
+     * Logs a blood unit from the form
+     */
+    async function saveUnit() {
+        unitErrorEl.textContent = '';
+        const { elements } = unitForm;
+        const collectedAt = elements.collectedAt.value ? new Date(elements.collectedAt.value).toISOString() : undefined;
+
+        unitSubmitBtn.disabled = true;
+        try {
+            await apiRequest('/api/inventory', {
+                method: 'POST',
+                body: JSON.stringify({
+                    donorId: elements.donorId.value,
+                    bagId: elements.bagId.value.trim(),
+                    component: elements.component.value,
+                    volumeMl: elements.volumeMl.value ? parseInt(elements.volumeMl.value) : undefined,
+                    collectedAt
+                })
+            });
+            // Keep the donor and component: the next bag is often another component of the same donation
+            elements.bagId.value = '';
+            elements.volumeMl.value = '';
+            await loadInventory();
+        } catch (err) {
+            unitErrorEl.textContent = err.message || 'Could not log the unit';
+        } finally {
+            unitSubmitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Issues or discards a unit from the near-expiry report
+     */
+    async function setUnitStatus(id, status) {
+        if (status === 'discarded' && !confirm('Discard this unit? It leaves the stock for good.')) return;
+        try {
+            await apiRequest(`/api/inventory/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status })
+            });
+        } catch (error) {
+            alert(error.message || 'Could not update the unit');
+        }
+        await loadInventory();
+    }
+
+    /**
+     * Builds the HTML for one rejected registration attempt
+     */
+    function rejectedRowHtml(attempt) {
+        const at = new Date(attempt.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        return `
+            <div class="event-row">
+                <div>
+                    <span class="event-name">${escapeHtml(attempt.label || attempt.reason)}</span>
+                    <span class="event-meta">${escapeHtml(at)}</span>
+                </div>
+                <div class="event-meta">${escapeHtml(attempt.ip || '?')}${attempt.device ? ` · device ${escapeHtml(attempt.device.slice(0, 8))}` : ''}</div>
+                <div class="event-meta" title="${escapeHtml(attempt.userAgent || '')}">${escapeHtml((attempt.userAgent || 'No user agent').slice(0, 60))}</div>
+            </div>
+        `;
+    }
+
+    // Extra fields as last loaded, so edited questions keep their keys
+    let savedFormFields = [];
+
+    /**
+     * Writes an extra field as a line of the extra questions box
+     */
+    function fieldLine(field) {
+        const label = `${field.label}${field.required ? '*' : ''}`;
+        return field.type === 'select' ? `${label}: ${field.options.join(', ')}` : label;
+    }
+
+    /**
+     * Key for a new extra field, from its label: "Employee ID" -> "employeeId"
+     */
+    function fieldKey(label) {
+        const words = label.match(/[a-zA-Z0-9]+/g) || [];
+        const key = words
+            .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+            .join('');
+        return (/^[a-z]/.test(key) ? key : `field${key}`).slice(0, 30);
+    }
+
+    /**
+     * Reads the extra questions box. A question with the label of a saved
+     * one keeps its key, so answers already given stay attached to it.
+     * @returns {object[]} Extra fields for /api/settings/form
+     */
+    function parseFieldLines(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const separator = line.indexOf(':');
+            let label = (separator === -1 ? line : line.slice(0, separator)).trim();
+            const required = label.endsWith('*');
+            if (required) label = label.slice(0, -1).trim();
+
+            const saved = savedFormFields.find(f => f.label.toLowerCase() === label.toLowerCase());
+            const field = { key: saved ? saved.key : fieldKey(label), label, required };
+            if (separator === -1) {
+                field.type = 'text';
+                if (saved && saved.type === 'text') field.maxLength = saved.maxLength;
+            } else {
+                field.type = 'select';
+                field.options = line.slice(separator + 1).split(',').map(option => option.trim()).filter(Boolean);
+            }
+            return field;
+        });
+    }
+
+    /**
+     * Fills the registration form settings with the saved years and questions
+     */
+    async function loadFormSettings() {
+        if (!formSettingsForm || !hasRole('admin')) return;
+        try {
+            const { data: form } = await apiRequest('/api/settings/form');
+            savedFormFields = form.fields;
+            formSettingsForm.elements.yearLabel.value = form.yearLabel;
+            formSettingsForm.elements.years.value = form.years.join('\n');
+            formSettingsForm.elements.fields.value = form.fields.map(fieldLine).join('\n');
+            formSummaryEl.textContent = `${form.years.length} years · ${form.fields.length} extra questions`;
+        } catch (error) {
+            console.error('Failed to load the registration form:', error);
+            formSettingsErrorEl.textContent = error.message || 'Failed to load the registration form';
+        }
+    }
+
+    /**
+     * Saves the year question and the extra questions
+     */
+    async function saveFormSettings() {
+        formSettingsErrorEl.textContent = '';
+        const years = formSettingsForm.elements.years.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        formSettingsSubmitBtn.disabled = true;
+        try {
+            await apiRequest('/api/settings/form', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    yearLabel: formSettingsForm.elements.yearLabel.value.trim(),
+                    years,
+                    fields: parseFieldLines(formSettingsForm.elements.fields.value)
+                })
+            });
+            await loadFormSettings();
+        } catch (err) {
+            formSettingsErrorEl.textContent = err.message || 'Could not save the registration form';
+        } finally {
+            formSettingsSubmitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Fills the classes form with the saved departments and class sizes
+     */
+    async function loadClassSettings() {
+        if (!classesForm || !hasRole('admin')) return;
+        try {
+            const { data: settings } = await apiRequest('/api/settings/classes');
+            classesForm.elements.departments.value = settings.departments.join('\n');
+            classesForm.elements.strengths.value = Object.entries(settings.strengths)
+                .map(([label, strength]) => `${label}: ${strength}`)
+                .join('\n');
+            classesSummaryEl.textContent = `${settings.departments.length} departments · ${Object.keys(settings.strengths).length} class sizes`;
+        } catch (error) {
+            console.error('Failed to load class settings:', error);
+            classesErrorEl.textContent = error.message || 'Failed to load the departments';
+        }
+    }
+
+    /**
+     * Reads "Label: number" lines from the class sizes box
+     * @returns {{error: string}|{value: object}}
+     */
+    function parseStrengthLines(text) {
+        const strengths = {};
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        for (const line of lines) {
+            const separator = line.lastIndexOf(':');
+            if (separator === -1) {
+                return { error: `Write "${line}" as a name and a number, like SY Computer: 60` };
+            }
+            strengths[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+        return { value: strengths };
+    }
+
+    /**
+     * Saves the departments and class sizes
+     */
+    async function saveClassSettings() {
+        classesErrorEl.textContent = '';
+        const { error, value: strengths } = parseStrengthLines(classesForm.elements.strengths.value);
+        if (error) {
+            classesErrorEl.textContent = error;
+            return;
+        }
+        const departments = classesForm.elements.departments.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        classesSubmitBtn.disabled = true;
+        try {
+            await apiRequest('/api/settings/classes', {
+                method: 'PUT',
+                body: JSON.stringify({ departments, strengths })
+            });
+            await loadClassSettings();
+        } catch (err) {
+            classesErrorEl.textContent = err.message || 'Could not save the departments';
+        } finally {
+            classesSubmitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Fetches rejected registration attempts and registration spikes
+     */
+    async function loadAbuseReport() {
+        if (!abuseTableEl || !hasRole('admin')) return;
+        try {
+            const { data: report } = await apiRequest('/api/abuse');
+            const { limits } = report;
+            abuseSummaryEl.textContent = `${report.rejected.length} rejected · limits ${limits.perIp}/IP, ${limits.perDevice}/device per ${limits.windowMinutes} min`;
+
+            abuseSpikesEl.innerHTML = report.spikes.map(spike => `
+                <div class="event-row">
+                    <div>
+                        <span class="event-name">Spike: ${spike.count} registrations in a minute</span>
+                        <span class="status-badge status-full">Check</span>
+                    </div>
+                    <div class="event-meta">${escapeHtml(new Date(spike.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }))}</div>
+                </div>
+            `).join('');
+            abuseTableEl.innerHTML = report.rejected.length
+                ? report.rejected.map(rejectedRowHtml).join('')
+                : '<p class="console-note">No registrations have been rejected since the server started.</p>';
+        } catch (error) {
+            console.error('Failed to load blocked registrations:', error);
+            abuseTableEl.innerHTML = '<p class="console-note">Failed to load blocked registrations.</p>';
+        }
+    }
+
+    /**
+     * Describes what an audit entry changed: the fields that differ between
+     * `before` and `after`, or the record that was created or removed
+     */
+    function auditChangeText(entry) {
+        const { before, after } = entry;
+        const show = value => (value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+        if (before && after) {
+            const changed = Object.keys({ ...before, ...after })
+                .filter(key => key !== 'updatedAt' && show(before[key]) !== show(after[key]))
+                .map(key => `${key}: ${show(before[key])} → ${show(after[key])}`);
+            return changed.length ? changed.join(', ') : 'No field changed';
+        }
+        const record = after || before;
+        if (!record) return '';
+        const label = record.fullName || record.name || record.label || '';
+        return label ? `${before ? 'Removed' : 'Created'}: ${label}` : show(record);
+    }
+
+    /**
+     * Builds the HTML for one audit log entry
+     */
+    function auditRowHtml(entry) {
+        const at = new Date(entry.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        const option = auditActionSelect.querySelector(`option[value="${entry.action}"]`);
+        const actor = entry.actor || (entry.actorRole === 'donor' ? 'Donor (booking link)' : 'Public form');
+        const change = auditChangeText(entry);
+        return `
+            <div class="event-row audit-row">
+                <div>
+                    <span class="event-name">${escapeHtml(option ? option.textContent : entry.action)}</span>
+                    <span class="event-meta">${escapeHtml(at)}</span>
+                </div>
+                <div class="event-meta">${escapeHtml(actor)} · ${escapeHtml(entry.ip || '?')}${entry.entityId ? ` · ${escapeHtml(entry.entity)} #${escapeHtml(entry.entityId)}` : ''}</div>
+                <div class="event-meta audit-change" title="${escapeHtml(change)}">${escapeHtml(change.slice(0, 160))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Fetches the newest audit entries matching the filters, or the next page
+     * @param {boolean} [more=false] - Append the next page instead of starting over
+     */
+    async function loadAuditLog(more = false) {
+        if (!auditTableEl || !hasRole('admin')) return;
+        const params = new URLSearchParams();
+        new FormData(auditFilters).forEach((value, key) => {
+            if (value) params.set(key, value);
+        });
+        if (more && auditCursor) params.set('cursor', auditCursor);
+
+        auditErrorEl.textContent = '';
+        auditMoreBtn.disabled = true;
+        try {
+            const { data: entries, pagination } = await apiRequest(`/api/audit?${params}`);
+            const rows = entries.map(auditRowHtml).join('');
+            if (more) {
+                auditTableEl.insertAdjacentHTML('beforeend', rows);
+            } else {
+                auditTableEl.innerHTML = rows || '<p class="console-note">No changes match these filters.</p>';
+            }
+            auditCursor = pagination.nextCursor;
+            auditMoreBtn.hidden = !pagination.hasMore;
+            auditSummaryEl.textContent = `${auditTableEl.querySelectorAll('.audit-row').length}${pagination.hasMore ? '+' : ''} entries`;
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            auditErrorEl.textContent = error.message || 'Failed to load the audit log';
+        } finally {
+            auditMoreBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Shows the drive and slot forms, classes, blocked registrations and the
+     * audit log to admins, and the queue and import form to desk staff
+     */
+    function updateFormAccess() {
+        const isAdmin = hasRole('admin');
+        form.hidden = !isAdmin;
+        lockedEl.hidden = isAdmin;
+        renderEvents();
+
+        if (queueTableEl) {
+            const isDesk = hasRole('desk');
+            queueTableEl.hidden = !isDesk;
+            queueLockedEl.hidden = isDesk;
+            queueSummaryEl.textContent = '';
+            clearInterval(queueTimer);
+            if (isDesk) {
+                loadQueue();
+                queueTimer = setInterval(loadQueue, CONFIG.QUEUE_REFRESH_INTERVAL);
+            }
+        }
+
+        if (inventoryPanel) {
+            const isDesk = hasRole('desk');
+            inventoryPanel.hidden = !isDesk;
+            inventoryLockedEl.hidden = isDesk;
+            inventorySummaryEl.textContent = '';
+            unitErrorEl.textContent = '';
+            loadInventory();
+            loadUnitDonors();
+        }
+
+        if (slotForm) {
+            slotForm.hidden = !isAdmin;
+            slotLockedEl.hidden = isAdmin;
+            renderSlots();
+        }
+
+        if (formSettingsForm) {
+            formSettingsForm.hidden = !isAdmin;
+            formLockedEl.hidden = isAdmin;
+            formSummaryEl.textContent = '';
+            formSettingsErrorEl.textContent = '';
+            loadFormSettings();
+        }
+
+        if (classesForm) {
+            classesForm.hidden = !isAdmin;
+            classesLockedEl.hidden = isAdmin;
+            classesSummaryEl.textContent = '';
+            classesErrorEl.textContent = '';
+            loadClassSettings();
+        }
+
+        if (abuseTableEl) {
+            abuseTableEl.hidden = !isAdmin;
+            abuseSpikesEl.hidden = !isAdmin;
+            abuseRefreshBtn.hidden = !isAdmin;
+            abuseLockedEl.hidden = isAdmin;
+            abuseSummaryEl.textContent = '';
+            loadAbuseReport();
+        }
+
+        if (auditTableEl) {
+            auditFilters.hidden = !isAdmin;
+            auditTableEl.hidden = !isAdmin;
+            auditLockedEl.hidden = isAdmin;
+            auditSummaryEl.textContent = '';
+            auditMoreBtn.hidden = true;
+            auditCursor = null;
+            loadAuditLog();
+        }
+
+        if (importForm) {
+            const isDesk = hasRole('desk');
+            importForm.hidden = !isDesk;
+            importLockedEl.hidden = isDesk;
+            if (!isDesk) importReportEl.hidden = true;
+        }
+    }
+
+    function resetForm() {
+        editingSlug = null;
+        form.reset();
+        errorEl.textContent = '';
+        titleEl.textContent = 'New drive';
+        submitBtn.textContent = 'Create drive';
+        cancelBtn.hidden = true;
+    }
+
+    /**
+     * Loads a drive into the form for editing
+     */
+    function startEdit(slug) {
+        const event = events.find(e => e.slug === slug);
+        if (!event) return;
+
+        const day = date => (date ? new Date(date).toISOString().slice(0, 10) : '');
+        editingSlug = slug;
+        form.elements.name.value = event.name;
+        form.elements.venue.value = event.venue || '';
+        form.elements.startsAt.value = day(event.startsAt);
+        form.elements.endsAt.value = day(event.endsAt);
+        form.elements.goal.value = event.goal || '';
+        form.elements.slug.value = event.slug;
+        form.elements.active.checked = !!event.active;
+
+        errorEl.textContent = '';
+        titleEl.textContent = `Edit ${event.name}`;
+        submitBtn.textContent = 'Save changes';
+        cancelBtn.hidden = false;
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Creates a drive, or saves the one being edited
+     */
+    async function saveEvent(e) {
+        e.preventDefault();
+        errorEl.textContent = '';
+
+        const fields = form.elements;
+        const body = {
+            name: fields.name.value.trim(),
+            venue: fields.venue.value.trim() || null,
+            startsAt: fields.startsAt.value,
+            endsAt: fields.endsAt.value || null,
+            goal: fields.goal.value ? parseInt(fields.goal.value, 10) : null,
+            active: fields.active.checked
+        };
+        if (fields.slug.value.trim()) body.slug = fields.slug.value.trim();
+
+        submitBtn.disabled = true;
+        try {
+            await apiRequest(editingSlug ? `/api/events/${encodeURIComponent(editingSlug)}` : '/api/events', {
+                method: editingSlug ? 'PATCH' : 'POST',
+                body: JSON.stringify(body)
+            });
+            resetForm();
+            await loadEvents();
+        } catch (error) {
+            errorEl.textContent = error.message || 'Could not save the drive';
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Starts or stops taking registrations for a drive
+     */
+    async function setActive(slug, active) {
+        try {
+            await apiRequest(`/api/events/${encodeURIComponent(slug)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ active })
+            });
+            await loadEvents();
+        } catch (error) {
+            alert(error.message || 'Could not update the drive');
+        }
+    }
+
+    /**
+     * Lists every drive in the time slots card, starting with the active one
+     */
+    function renderSlotEvents() {
+        if (!slotEventSelect) return;
+        const selected = slotEventSelect.value;
+        const active = events.find(e => e.active);
+
+        slotEventSelect.innerHTML = events
+            .map(e => `<option value="${escapeHtml(e.slug)}">${escapeHtml(e.name)}</option>`)
+            .join('');
+        if (events.some(e => e.slug === selected)) {
+            slotEventSelect.value = selected;
+        } else if (active) {
+            slotEventSelect.value = active.slug;
+        }
+        loadSlots();
+    }
+
+    /**
+     * Builds the HTML for one time slot
+     */
+    function slotRowHtml(slot) {
+        const isAdmin = hasRole('admin');
+        const full = slot.available === 0;
+        return `
+            <div class="event-row" data-slot-id="${escapeHtml(slot.id)}">
+                <div>
+                    <span class="event-name">${escapeHtml(formatSlot(slot))}</span>
+                    ${full ? '<span class="status-badge status-full">Full</span>' : ''}
+                </div>
+                <div class="event-meta">${slot.booked} of ${slot.capacity} beds booked</div>
+                <div class="event-meta">${slot.waitlisted ? `${slot.waitlisted} on the waitlist` : 'No waitlist'}</div>
+                <div class="event-actions">
+                    ${isAdmin ? `
+                        <button class="row-action" data-slot-action="edit">Edit</button>
+                        <button class="row-action" data-slot-action="delete">Delete</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderSlots() {
+        if (!slotsTableEl) return;
+        if (!slotEventSelect.value) {
+            slotsTableEl.innerHTML = '<p class="console-note">Create a drive first.</p>';
+            return;
+        }
+        slotsTableEl.innerHTML = slots.length
+            ? slots.map(slotRowHtml).join('')
+            : '<p class="console-note">No slots. Donors register without picking a time.</p>';
+    }
+
+    /**
+     * Fetches the slots of the drive picked in the time slots card
+     */
+    async function loadSlots() {
+        if (!slotEventSelect || !slotEventSelect.value) {
+            slots = [];
+            renderSlots();
+            return;
+        }
+        try {
+            const response = await apiRequest(`/api/events/${encodeURIComponent(slotEventSelect.value)}/slots`);
+            slots = response.data;
+            renderSlots();
+        } catch (error) {
+            console.error('Failed to load slots:', error);
+            slotsTableEl.innerHTML = '<p class="console-note">Failed to load slots. Please refresh.</p>';
+        }
+    }
+
+    function resetSlotForm() {
+        editingSlotId = null;
+        slotForm.reset();
+        slotErrorEl.textContent = '';
+        slotSubmitBtn.textContent = 'Add slot';
+        slotCancelBtn.hidden = true;
+    }
+
+    /**
+     * Loads a slot into the form for editing
+     */
+    function startSlotEdit(id) {
+        const slot = slots.find(s => s.id === id);
+        if (!slot) return;
+
+        // The form works in local time, like the slot labels
+        const pad = n => String(n).padStart(2, '0');
+        const start = new Date(slot.startsAt);
+        const end = new Date(slot.endsAt);
+        editingSlotId = id;
+        slotForm.elements.day.value = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+        slotForm.elements.startTime.value = `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+        slotForm.elements.endTime.value = `${pad(end.getHours())}:${pad(end.getMinutes())}`;
+        slotForm.elements.capacity.value = slot.capacity;
+
+        slotErrorEl.textContent = '';
+        slotSubmitBtn.textContent = 'Save slot';
+        slotCancelBtn.hidden = false;
+        slotForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Adds a slot to the picked drive, or saves the one being edited
+     */
+    async function saveSlot(e) {
+        e.preventDefault();
+        slotErrorEl.textContent = '';
+
+        const fields = slotForm.elements;
+        const body = {
+            startsAt: new Date(`${fields.day.value}T${fields.startTime.value}`).toISOString(),
+            endsAt: new Date(`${fields.day.value}T${fields.endTime.value}`).toISOString(),
+            capacity: parseInt(fields.capacity.value, 10)
+        };
+        const base = `/api/events/${encodeURIComponent(slotEventSelect.value)}/slots`;
+
+        slotSubmitBtn.disabled = true;
+        try {
+            await apiRequest(editingSlotId ? `${base}/${encodeURIComponent(editingSlotId)}` : base, {
+                method: editingSlotId ? 'PATCH' : 'POST',
+                body: JSON.stringify(body)
+            });
+            resetSlotForm();
+            await loadSlots();
+        } catch (error) {
+            slotErrorEl.textContent = error.message || 'Could not save the slot';
+        } finally {
+            slotSubmitBtn.disabled = false;
+        }
+    }
+
+    async function deleteSlot(id) {
+        const slot = slots.find(s => s.id === id);
+        if (!slot || !confirm(`Delete the ${formatSlot(slot)} slot?`)) return;
+
+        try {
+            await apiRequest(`/api/events/${encodeURIComponent(slotEventSelect.value)}/slots/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+            if (editingSlotId === id) resetSlotForm();
+            await loadSlots();
+        } catch (error) {
+            alert(error.message || 'Could not delete the slot');
+        }
+    }
+
+    /**
+     * Lists every drive as an import target, keeping the current choice
+     */
+    function renderImportEvents() {
+        if (!importEventSelect) return;
+        const selected = importEventSelect.value;
+        const active = events.find(e => e.active);
+
+        importEventSelect.innerHTML = `<option value="">${active ? `Active drive (${escapeHtml(active.name)})` : 'No drive'}</option>` +
+            events.map(e => `<option value="${escapeHtml(e.slug)}">${escapeHtml(e.name)}</option>`).join('');
+        importEventSelect.value = events.some(e => e.slug === selected) ? selected : '';
+    }
+
+    /**
+     * Shows the per-row result of a check or import
+     */
+    function renderImportReport(message, summary) {
+        importSummaryEl.textContent = summary.event
+            ? `${message} · ${summary.event.name}`
+            : message;
+
+        importRowsEl.innerHTML = `
+            <div class="import-row import-row-head">
+                <span>Row</span><span>Name</span><span>Group</span><span>Result</span>
+            </div>
+            ${summary.rows.map(row => `
+                <div class="import-row ${row.status}">
+                    <span>${row.row}</span>
+                    <span>${escapeHtml(row.fullName || '—')}</span>
+                    <span>${escapeHtml(row.bloodGroup || '—')}</span>
+                    <span>${row.status === 'accepted' ? `OK${row.message ? ` · ${escapeHtml(row.message)}` : ''}` : escapeHtml(row.message)}</span>
+                </div>
+            `).join('')}
+        `;
+        importReportEl.hidden = false;
+    }
+
+    /**
+     * Uploads the chosen CSV file, either as a dry run or for real
+     * @param {boolean} dryRun - Only validate and report, don't insert
+     */
+    async function uploadImport(dryRun) {
+        importErrorEl.textContent = '';
+        const file = importForm.elements.file.files[0];
+        if (!file) {
+            importErrorEl.textContent = 'Choose a CSV file first';
+            return;
+        }
+
+        const params = new URLSearchParams();
+        if (dryRun) params.set('dryRun', 'true');
+        if (importEventSelect.value) params.set('event', importEventSelect.value);
+
+        importCheckBtn.disabled = true;
+        importSubmitBtn.disabled = true;
+        try {
+            const response = await apiRequest(`/api/donors/import?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/csv' },
+                body: await file.text()
+            });
+            renderImportReport(response.message, response.data);
+            if (!dryRun && response.data.accepted > 0) {
+                importForm.reset();
+                await loadEvents();
+            }
+        } catch (error) {
+            importErrorEl.textContent = error.message || 'Could not import the file';
+        } finally {
+            importCheckBtn.disabled = false;
+            importSubmitBtn.disabled = false;
+        }
+    }
+
+    tableEl.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const slug = button.closest('.event-row').dataset.slug;
+
+        switch (button.dataset.action) {
+            case 'edit':
+                startEdit(slug);
+                break;
+            case 'activate':
+                setActive(slug, true);
+                break;
+            case 'deactivate':
+                setActive(slug, false);
+                break;
         }
     });
+
+    if (queueTableEl) {
+        queueTableEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-status]');
+            if (!button) return;
+            button.disabled = true;
+            setDonorStatus(button.closest('.queue-row').dataset.id, button.dataset.status);
+        });
+    }
+
+    if (inventoryPanel) {
+        expiryDaysSelect.addEventListener('change', loadInventory);
+        expiryTableEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unit-status]');
+            if (!button) return;
+            button.disabled = true;
+            setUnitStatus(button.closest('.unit-row').dataset.id, button.dataset.unitStatus);
+        });
+        unitForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveUnit();
+        });
+    }
+
+    if (formSettingsForm) {
+        formSettingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveFormSettings();
+        });
+    }
+
+    if (classesForm) {
+        classesForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveClassSettings();
+        });
+    }
+
+    if (abuseRefreshBtn) {
+        abuseRefreshBtn.addEventListener('click', loadAbuseReport);
+    }
+
+    if (auditFilters) {
+        auditFilters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadAuditLog();
+        });
+        auditMoreBtn.addEventListener('click', () => loadAuditLog(true));
+    }
+
+    if (slotForm) {
+        slotsTableEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-slot-action]');
+            if (!button) return;
+            const id = button.closest('.event-row').dataset.slotId;
+
+            if (button.dataset.slotAction === 'edit') {
+                startSlotEdit(id);
+            } else if (button.dataset.slotAction === 'delete') {
+                deleteSlot(id);
+            }
+        });
+        slotEventSelect.addEventListener('change', () => {
+            resetSlotForm();
+            loadSlots();
+        });
+        slotForm.addEventListener('submit', saveSlot);
+        slotCancelBtn.addEventListener('click', resetSlotForm);
+    }
+
+    form.addEventListener('submit', saveEvent);
+    cancelBtn.addEventListener('click', resetForm);
+    document.addEventListener('authchange', updateFormAccess);
+
+    if (importForm) {
+        importForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            uploadImport(false);
+        });
+        importCheckBtn.addEventListener('click', () => uploadImport(true));
+        importForm.elements.file.addEventListener('change', () => {
+            importErrorEl.textContent = '';
+            importReportEl.hidden = true;
+        });
+    }
+
+    initLoginModal();
+    updateFormAccess();
+    loadEvents();
 }
 
 // ============================================
@@ -801,10 +3759,14 @@ function initializePage() {
     // Determine which page we're on and initialize
     if (path === '/' || path === '/index.html' || path.endsWith('index.html')) {
         initRegistrationForm();
+    } else if (path === '/booking' || path.includes('booking')) {
+        initBookingPage();
     } else if (path === '/thank-you' || path.includes('thankyou')) {
         initThankYouPage();
     } else if (path === '/dashboard' || path.includes('dashboard')) {
         initDashboard();
+    } else if (path === '/admin' || path.includes('admin')) {
+        initStaffConsole();
     }
 
     console.log('🩸 Blood Donation Website initialized');
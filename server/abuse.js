@@ -0,0 +1,163 @@
+/**
+ * Registration Abuse Protection
+ * Keeps scripts from flooding the public registration endpoint: fixed-window
+ * rate limits per IP address and per device, a limit on the new devices an
+ * IP address may start (so dropping the device cookie doesn't reset the
+ * per-device limit), a record of rejected attempts and flagging of unusual
+ * spikes in registrations. The rate limiter also throttles staff logins.
+ *
+ * Like the live feed this is in-process state. Limits and records apply per
+ * server process and start over on restart (or per serverless instance).
+ */
+
+const { logger } = require('./logger');
+
+// Why an attempt was rejected, with the label shown to admins
+const REJECTION_REASONS = {
+    ip_rate_limit: 'Too many attempts from this IP address',
+    device_rate_limit: 'Too many attempts from this device',
+    new_device_rate_limit: 'Too many new devices from this IP address',
+    honeypot: 'Filled in the hidden honeypot field',
+    missing_token: 'No form token',
+    invalid_token: 'Invalid or expired form token',
+    too_fast: 'Form sent too quickly after loading'
+};
+
+// Rejected attempts and spikes kept for the admin view
+const HISTORY_SIZE = 500;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Counts hits per key in fixed windows
+ * @param {object} options
+ * @param {number} options.limit - Hits allowed per key in a window
+ * @param {number} options.windowMs - Window length
+ */
+function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();
+    let lastSweep = Date.now();
+
+    return {
+        /**
+         * Counts one hit for a key
+         * @returns {{allowed: boolean, retryAfterMs: number}}
+         */
+        hit(key, now = Date.now()) {
+            // Forget windows that have ended, at most once per window
+            if (now - lastSweep > windowMs) {
+                windows.forEach((entry, k) => {
+                    if (entry.resetAt <= now) windows.delete(k);
+                });
+                lastSweep = now;
+            }
+
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return { allowed: entry.count <= limit, retryAfterMs: entry.resetAt - now };
+        }
+    };
+}
+
+/**
+ * Creates the abuse monitor for the registration endpoint
+ * @param {object} options
+ * @param {number} options.perIp - Attempts allowed per IP address per window
+ * @param {number} options.perDevice - Attempts allowed per device per window
+ * @param {number} options.newDevicesPerIp - Device ids an IP address may be given per window
+ * @param {number} options.windowMs - Rate limit window
+ * @param {number} options.spikePerMinute - Registrations in a minute that count as a spike
+ */
+function createAbuseMonitor({ perIp, perDevice, newDevicesPerIp, windowMs, spikePerMinute }) {
+    const ipLimiter = createRateLimiter({ limit: perIp, windowMs });
+    const deviceLimiter = createRateLimiter({ limit: perDevice, windowMs });
+    const newDeviceLimiter = createRateLimiter({ limit: newDevicesPerIp, windowMs });
+    const rejected = [];
+    const spikes = [];
+    const rejectedCounts = {};
+    // Registrations in the current minute
+    let minute = { startsAt: 0, count: 0, spike: null };
+
+    function remember(list, entry) {
+        list.unshift(entry);
+        if (list.length > HISTORY_SIZE) list.pop();
+    }
+
+    return {
+        /**
+         * Counts an attempt from an IP address
+         * @returns {{allowed: boolean, retryAfterMs: number}}
+         */
+        hitIp(ip) {
+            return ipLimiter.hit(ip);
+        },
+
+        /**
+         * Counts an attempt from a device
+         * @returns {{allowed: boolean, retryAfterMs: number}}
+         */
+        hitDevice(device) {
+            return deviceLimiter.hit(device);
+        },
+
+        /**
+         * Counts a new device id given to an IP address
+         * @returns {{allowed: boolean, retryAfterMs: number}}
+         */
+        hitNewDevice(ip) {
+            return newDeviceLimiter.hit(ip);
+        },
+
+        /**
+         * Records and logs a rejected attempt
+         * @param {string} reason - Key of REJECTION_REASONS
+         * @param {{ip: string, device: string|null, userAgent: string|null, requestId: string}} source
+         */
+        reject(reason, { ip, device = null, userAgent = null, requestId = null }) {
+            rejectedCounts[reason] = (rejectedCounts[reason] || 0) + 1;
+            remember(rejected, { at: new Date(), reason, ip, device, userAgent, requestId });
+            logger.warn('Registration rejected', { requestId, reason, ip, device });
+        },
+
+        /**
+         * Counts an accepted registration and flags the minute it falls in
+         * once it passes the spike threshold
+         */
+        recordAccepted(now = Date.now()) {
+            const startsAt = now - (now % MINUTE_MS);
+            if (minute.startsAt !== startsAt) {
+                minute = { startsAt, count: 0, spike: null };
+            }
+            minute.count++;
+
+            if (minute.count === spikePerMinute) {
+                minute.spike = { at: new Date(startsAt), count: minute.count };
+                remember(spikes, minute.spike);
+                logger.warn('Registration spike', { count: minute.count, minute: minute.spike.at });
+            } else if (minute.spike) {
+                minute.spike.count = minute.count;
+            }
+        },
+
+        /**
+         * What the admin view shows: recent rejections and spikes, newest first
+         */
+        report() {
+            return {
+                rejected: rejected.map(entry => ({ ...entry, label: REJECTION_REASONS[entry.reason] })),
+                rejectedCounts: { ...rejectedCounts },
+                spikes: spikes.map(spike => ({ ...spike })),
+                limits: { perIp, perDevice, newDevicesPerIp, windowMinutes: windowMs / MINUTE_MS, spikePerMinute }
+            };
+        }
+    };
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    createRateLimiter,
+    createAbuseMonitor
+};
@@ -0,0 +1,181 @@
+/**
+ * Audit Trail
+ * Every change to donors, drives, slots, bookings, blood units, the stats
+ * and the admin settings, and every admin action that reads or exports donor
+ * data, is appended to the audit log: who did it, when, from where, and the
+ * record before and after. Entries are never changed or deleted; the storage
+ * backends only offer append and list.
+ *
+ * An entry looks like:
+ *   {
+ *     id, at,
+ *     action: 'donor.update',              // see ACTIONS
+ *     actor: 'desk1' | null,               // staff username, null for donors
+ *     actorRole: 'desk',                   // admin, desk, viewer (the public form) or donor (a booking link)
+ *     ip, requestId,                       // requestId matches the request's log lines
+ *     entity: 'donor', entityId: '42',
+ *     before: { ... } | null,              // null when the record was created
+ *     after: { ... } | null                // null when the record was deleted
+ *   }
+ *
+ * Donor contact details are kept out of `before` and `after`, so the log
+ * never holds them even encrypted.
+ */
+
+const { withoutContact } = require('./contact');
+
+const ACTIONS = {
+    DONOR_CREATE: 'donor.create',
+    DONOR_IMPORT: 'donor.import',
+    DONOR_UPDATE: 'donor.update',
+    DONOR_STATUS: 'donor.status',
+    DONOR_DELETE: 'donor.delete',
+    DONOR_EXPORT: 'donor.export',
+    DONOR_CONTACT_READ: 'donor.contact_read',
+    BOOKING_PROMOTE: 'booking.promote',
+    BOOKING_MOVE: 'booking.move',
+    BOOKING_CANCEL: 'booking.cancel',
+    EVENT_CREATE: 'event.create',
+    EVENT_UPDATE: 'event.update',
+    SLOT_CREATE: 'slot.create',
+    SLOT_UPDATE: 'slot.update',
+    SLOT_DELETE: 'slot.delete',
+    UNIT_CREATE: 'unit.create',
+    UNIT_UPDATE: 'unit.update',
+    STATS_SYNC: 'stats.sync',
+    SETTINGS_UPDATE: 'settings.update'
+};
+
+// What an action's entityId refers to: the part of the action before the dot
+const ENTITIES = [...new Set(Object.values(ACTIONS).map(action => action.split('.')[0]))];
+
+// Default and largest page of entries from GET /api/audit
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+
+/**
+ * A record as the audit log keeps it
+ */
+function snapshot(record) {
+    return record ? withoutContact(record) : null;
+}
+
+/**
+ * Creates the audit log for a storage backend
+ * @param {object} storage - Storage backend (see server/storage)
+ */
+function createAuditLog(storage) {
+    return {
+        /**
+         * Appends an entry for a change made while handling `req`. A failed
+         * write is logged, never turned into an error for the change itself,
+         * which has already happened.
+         * @param {object} req - The request making the change
+         * @param {string} action - One of ACTIONS
+         * @param {object} details
+         * @param {string|null} [details.entityId]
+         * @param {object|null} [details.before] - Record before the change
+         * @param {object|null} [details.after] - Record after the change
+         * @param {string} [details.actorRole] - Overrides the role taken from req.user
+         */
+        async record(req, action, { entityId = null, before = null, after = null, actorRole } = {}) {
+            const entry = {
+                at: new Date(),
+                action,
+                actor: req.user ? req.user.username : null,
+                actorRole: actorRole || (req.user ? req.user.role : 'viewer'),
+                ip: req.ip || null,
+                requestId: req.id || null,
+                entity: action.split('.')[0],
+                entityId: entityId === null ? null : String(entityId),
+                before: snapshot(before),
+                after: snapshot(after)
+            };
+            try {
+                await storage.audit.append(entry);
+            } catch (error) {
+                req.log.error('Failed to write audit log entry', { action, entityId: entry.entityId, err: error });
+            }
+        }
+    };
+}
+
+/**
+ * Encodes the position after the last entry of a page
+ */
+function encodeAuditCursor(entry) {
+    return Buffer.from(JSON.stringify({ id: entry.id })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from encodeAuditCursor
+ * @returns {string|null} Id of the last entry already returned, null when malformed
+ */
+function decodeAuditCursor(cursor) {
+    try {
+        const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return id === undefined || id === null ? null : String(id);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Validates the GET /api/audit query string
+ * @param {object} query - req.query
+ * @param {function(string, object): Date|null} parseDate - Parses a date parameter; a
+ *   day given as `to` with { endOfDay: true } includes that whole day
+ * @returns {{error: string}|{value: {filter: object, before: string|null, limit: number}}}
+ */
+function parseAuditQuery(query, parseDate) {
+    const filter = {};
+
+    if (query.action) {
+        const actions = [...new Set(String(query.action).split(',').map(a => a.trim()).filter(Boolean))];
+        const known = Object.values(ACTIONS);
+        const unknown = actions.filter(a => !known.includes(a));
+        if (unknown.length > 0) {
+            return { error: `Invalid action "${unknown[0]}". Use one of: ${known.join(', ')}` };
+        }
+        filter.action = actions.length === 1 ? actions[0] : actions;
+    }
+    if (query.entity) {
+        if (!ENTITIES.includes(query.entity)) {
+            return { error: `Invalid entity. Use one of: ${ENTITIES.join(', ')}` };
+        }
+        filter.entity = query.entity;
+    }
+    if (query.entityId) filter.entityId = String(query.entityId);
+    if (query.actor) filter.actor = String(query.actor);
+
+    for (const param of ['from', 'to']) {
+        if (query[param]) {
+            const date = parseDate(query[param], { endOfDay: param === 'to' });
+            if (!date) return { error: `Invalid ${param} date` };
+            filter[param] = date;
+        }
+    }
+
+    let limit = DEFAULT_AUDIT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) return { error: 'Invalid limit' };
+        limit = Math.min(limit, MAX_AUDIT_LIMIT);
+    }
+
+    let before = null;
+    if (query.cursor) {
+        before = decodeAuditCursor(query.cursor);
+        if (!before) return { error: 'Invalid cursor' };
+    }
+
+    return { value: { filter, before, limit } };
+}
+
+module.exports = {
+    ACTIONS,
+    ENTITIES,
+    createAuditLog,
+    encodeAuditCursor,
+    parseAuditQuery
+};
@@ -0,0 +1,258 @@
+/**
+ * Authentication & Role-Based Access
+ * Stateless signed tokens plus per-route role guards. The same secret signs
+ * the links donors use to manage their slot booking and the form tokens the
+ * registration page sends with each registration.
+ *
+ * Roles are ranked: viewer < desk < admin. Anonymous requests are treated as
+ * the public viewer, so routes that declare `ROLES.VIEWER` stay open.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ROLES = {
+    VIEWER: 'viewer',
+    DESK: 'desk',
+    ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+    [ROLES.VIEWER]: 0,
+    [ROLES.DESK]: 1,
+    [ROLES.ADMIN]: 2
+};
+
+// Token lifetime in hours (a drive rarely runs longer than a working day)
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+// How long a registration form token stays valid (a page left open at the desk)
+const FORM_TOKEN_TTL_HOURS = 12;
+
+// Signing secret. Without AUTH_SECRET a random one is generated, which means
+// tokens stop working after a restart or on another serverless instance.
+let tokenSecret = process.env.AUTH_SECRET;
+if (!tokenSecret) {
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('AUTH_SECRET not set. Using a temporary secret; staff will need to log in again after every restart.');
+}
+
+/**
+ * Loads staff accounts from the environment.
+ *
+ * AUTH_USERS holds comma-separated `username:password:role` entries.
+ * ADMIN_PASSWORD / DESK_PASSWORD are shortcuts for the `admin` and `desk` users.
+ * @returns {Map<string, {username: string, password: string, role: string}>}
+ */
+function loadUsers() {
+    const users = new Map();
+
+    (process.env.AUTH_USERS || '').split(',').forEach(entry => {
+        const parts = entry.trim().split(':');
+        if (parts.length !== 3) return;
+        const [username, password, role] = parts.map(p => p.trim());
+        if (!username || !password || !(role in ROLE_RANK)) {
+            logger.warn('Ignoring invalid AUTH_USERS entry', { user: username || '?' });
+            return;
+        }
+        users.set(username, { username, password, role });
+    });
+
+    if (process.env.ADMIN_PASSWORD && !users.has('admin')) {
+        users.set('admin', { username: 'admin', password: process.env.ADMIN_PASSWORD, role: ROLES.ADMIN });
+    }
+    if (process.env.DESK_PASSWORD && !users.has('desk')) {
+        users.set('desk', { username: 'desk', password: process.env.DESK_PASSWORD, role: ROLES.DESK });
+    }
+
+    if (users.size === 0) {
+        logger.warn('No staff accounts configured (AUTH_USERS / ADMIN_PASSWORD). Restricted routes will be unreachable.');
+    }
+
+    return users;
+}
+
+const users = loadUsers();
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+}
+
+/**
+ * Constant-time string comparison (hashing first so lengths always match)
+ */
+function safeEqual(a, b) {
+    const ha = crypto.createHash('sha256').update(String(a)).digest();
+    const hb = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Issues a signed token for a user
+ * @param {{username: string, role: string}} user
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueToken(user) {
+    const exp = Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000;
+    const payload = base64url(JSON.stringify({ sub: user.username, role: user.role, exp }));
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(exp).toISOString()
+    };
+}
+
+/**
+ * Verifies a token and returns its user, or null if invalid/expired
+ * @param {string} token
+ * @returns {{username: string, role: string}|null}
+ */
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.exp || claims.exp < Date.now() || !(claims.role in ROLE_RANK)) return null;
+        return { username: claims.sub, role: claims.role };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Issues the token in a donor's booking link, which lets them cancel or
+ * reschedule without an account. It doesn't expire, but only bookings of
+ * donors who haven't arrived yet can be changed.
+ * @param {string} donorId
+ * @returns {string}
+ */
+function issueBookingToken(donorId) {
+    const payload = base64url(JSON.stringify({ donor: String(donorId), use: 'booking' }));
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies a booking link token
+ * @param {string} token
+ * @returns {string|null} The donor's id, or null if the token is invalid
+ */
+function verifyBookingToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims.use === 'booking' && claims.donor ? String(claims.donor) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Issues the token the registration page sends with a registration, tied to
+ * the device the page was loaded on
+ * @param {string} deviceId
+ * @returns {string}
+ */
+function issueFormToken(deviceId) {
+    const now = Date.now();
+    const payload = base64url(JSON.stringify({
+        device: deviceId,
+        use: 'form',
+        iat: now,
+        exp: now + FORM_TOKEN_TTL_HOURS * 60 * 60 * 1000
+    }));
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifies a registration form token
+ * @param {string} token
+ * @returns {{device: string, issuedAt: number}|null} null if invalid or expired
+ */
+function verifyFormToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (claims.use !== 'form' || !claims.device || !claims.exp || claims.exp < Date.now()) return null;
+        return { device: String(claims.device), issuedAt: claims.iat };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks a username/password pair against the configured accounts
+ * @returns {{username: string, role: string}|null}
+ */
+function checkCredentials(username, password) {
+    const user = users.get(String(username || '').trim());
+    // Compare against a dummy value for unknown users so timing doesn't leak which names exist
+    const matches = safeEqual(password || '', user ? user.password : '\0');
+    if (!user || !matches) return null;
+    return { username: user.username, role: user.role };
+}
+
+/**
+ * Whether a user (or anonymous) has at least the given role
+ */
+function hasRole(user, role) {
+    const rank = user ? ROLE_RANK[user.role] : ROLE_RANK[ROLES.VIEWER];
+    return rank >= ROLE_RANK[role];
+}
+
+/**
+ * Middleware: attaches `req.user` from the `Authorization: Bearer` header.
+ * Requests without a valid token continue as the anonymous public viewer.
+ */
+function authenticate(req, res, next) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    req.user = match ? verifyToken(match[1].trim()) : null;
+    next();
+}
+
+/**
+ * Route guard declaring the minimum role a route needs.
+ * @param {string} role - One of ROLES
+ * @param {object} [options]
+ * @param {function} [options.when] - Only enforce the role when this returns true for the request
+ * @returns {function} Express middleware
+ */
+function requireRole(role, options = {}) {
+    return function roleGuard(req, res, next) {
+        if (options.when && !options.when(req)) return next();
+        if (hasRole(req.user, role)) return next();
+
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Please log in to continue' });
+        }
+        return res.status(403).json({ success: false, message: 'You do not have permission to do that' });
+    };
+}
+
+module.exports = {
+    ROLES,
+    issueToken,
+    verifyToken,
+    issueBookingToken,
+    verifyBookingToken,
+    issueFormToken,
+    verifyFormToken,
+    checkCredentials,
+    hasRole,
+    authenticate,
+    requireRole
+};
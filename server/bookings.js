@@ -0,0 +1,144 @@
+/**
+ * Slot Bookings
+ * Donors pick a time slot of the drive when they register. Each slot has a
+ * number of donor beds (its capacity); once every bed is booked, new donors
+ * join the slot's waitlist and are moved up, oldest first, as beds free up.
+ *
+ * A donor's `booking` is one of:
+ *   confirmed    holds one of the slot's beds
+ *   waitlisted   waiting for a bed in the slot
+ *   cancelled    the donor cancelled (their status is then `cancelled` too)
+ *
+ * The slot's `booked` counter is changed atomically by the storage backend,
+ * so two donors can never take the last bed at the same time.
+ */
+
+const { STATUSES } = require('./lifecycle');
+
+const BOOKINGS = {
+    CONFIRMED: 'confirmed',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Creates the booking operations for a storage backend
+ * @param {object} storage - Storage backend (see server/storage)
+ */
+function createBookings(storage) {
+    /**
+     * Oldest donor still waiting for a bed in the slot, if any
+     */
+    async function nextWaitlisted(slotId) {
+        const [donor] = await storage.donors.list({
+            filter: { slotId, booking: BOOKINGS.WAITLISTED, status: STATUSES.REGISTERED },
+            sort: 'oldest',
+            limit: 1
+        });
+        return donor || null;
+    }
+
+    /**
+     * Gives free beds in a slot to waitlisted donors, oldest first
+     * @returns {Promise<object[]>} Donors who got a bed
+     */
+    async function promoteWaitlist(slotId) {
+        const promoted = [];
+        while (true) {
+            const candidate = await nextWaitlisted(slotId);
+            if (!candidate) break;
+            if (!await storage.slots.reserve(slotId)) break;
+
+            // Only if the donor is still waiting (they may have cancelled meanwhile)
+            const donor = await storage.donors.update(
+                candidate.id,
+                { booking: BOOKINGS.CONFIRMED },
+                { booking: BOOKINGS.WAITLISTED, status: STATUSES.REGISTERED }
+            );
+            if (!donor) {
+                await storage.slots.release(slotId);
+                continue;
+            }
+            promoted.push(donor);
+        }
+        return promoted;
+    }
+
+    /**
+     * Frees one bed in a slot and hands it to the waitlist
+     * @returns {Promise<object[]>} Donors who got a bed
+     */
+    async function freeBed(slotId) {
+        if (!slotId) return [];
+        await storage.slots.release(slotId);
+        return promoteWaitlist(slotId);
+    }
+
+    return {
+        promoteWaitlist,
+        freeBed,
+
+        /**
+         * Books a bed in the slot, or a place on its waitlist when it is full
+         * @returns {Promise<string>} BOOKINGS.CONFIRMED or BOOKINGS.WAITLISTED
+         */
+        async reserve(slot) {
+            return await storage.slots.reserve(slot.id) ? BOOKINGS.CONFIRMED : BOOKINGS.WAITLISTED;
+        },
+
+        /**
+         * Cancels a donor's booking and gives their bed to the waitlist
+         * @returns {Promise<{donor: object|null, promoted: object[]}>} donor is
+         *   null when the booking changed in the meantime
+         */
+        async cancel(donor) {
+            const cancelled = await storage.donors.update(
+                donor.id,
+                { status: STATUSES.CANCELLED, statusChangedAt: new Date(), booking: BOOKINGS.CANCELLED },
+                { status: STATUSES.REGISTERED, booking: donor.booking }
+            );
+            if (!cancelled) return { donor: null, promoted: [] };
+
+            const promoted = donor.booking === BOOKINGS.CONFIRMED ? await freeBed(donor.slotId) : [];
+            return { donor: cancelled, promoted };
+        },
+
+        /**
+         * Gives the bed of a removed donor to the waitlist, unless they had
+         * already donated in it
+         * @returns {Promise<object[]>} Donors who got a bed
+         */
+        async release(donor) {
+            if (donor.booking !== BOOKINGS.CONFIRMED || donor.status === STATUSES.COMPLETED) return [];
+            return freeBed(donor.slotId);
+        },
+
+        /**
+         * Moves a donor to another slot, which must have a free bed
+         * @returns {Promise<{error: string}|{donor: object, promoted: object[]}>}
+         */
+        async reschedule(donor, slot) {
+            if (!await storage.slots.reserve(slot.id)) {
+                return { error: 'That slot is full. Please pick another one.' };
+            }
+
+            const moved = await storage.donors.update(
+                donor.id,
+                { slotId: slot.id, booking: BOOKINGS.CONFIRMED },
+                { status: STATUSES.REGISTERED, slotId: donor.slotId, booking: donor.booking }
+            );
+            if (!moved) {
+                await storage.slots.release(slot.id);
+                return { error: 'Your booking was changed in the meantime. Please reload the page.' };
+            }
+
+            const promoted = donor.booking === BOOKINGS.CONFIRMED ? await freeBed(donor.slotId) : [];
+            return { donor: moved, promoted };
+        }
+    };
+}
+
+module.exports = {
+    BOOKINGS,
+    createBookings
+};
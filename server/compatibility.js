@@ -0,0 +1,113 @@
+/**
+ * Blood Compatibility
+ * Which donor groups a recipient can receive a component from, so the desk
+ * can answer a hospital asking for B- blood without a chart. A group is
+ * written ABO then Rh ('AB+', 'O-').
+ *
+ * - Red cells (packed red cells): the donor's cells must not carry an ABO
+ *   antigen the recipient lacks, so O gives to everyone and AB takes from
+ *   everyone. Rh-negative recipients need Rh-negative cells.
+ * - Whole blood carries both cells and plasma, so it must be ABO-identical;
+ *   Rh follows the red cell rule.
+ * - Plasma is the reverse: the donor's antibodies must not attack the
+ *   recipient's cells, so AB plasma goes to everyone and O takes from
+ *   everyone. Rh does not matter.
+ * - Platelets are suspended in plasma, so the ABO plasma rule applies, and
+ *   Rh-negative recipients get Rh-negative platelets.
+ *
+ * Compatible groups are listed by preference: the identical group first,
+ * then other groups with the same ABO type, then the rest, keeping the
+ * universal groups (O for cells, AB for plasma) for last because every
+ * recipient can use them. Within each step the recipient's own Rh comes
+ * first. A match is 'identical' or 'compatible'.
+ */
+
+const { BLOOD_GROUPS } = require('../public/donor-schema');
+
+// ABO antigens on the red cells of each type
+const ANTIGENS = {
+    O: [],
+    A: ['A'],
+    B: ['B'],
+    AB: ['A', 'B']
+};
+
+// How each component is matched (see above)
+const RULES = {
+    whole_blood: { abo: 'identical', rh: true },
+    prbc: { abo: 'cells', rh: true },
+    plasma: { abo: 'plasma', rh: false },
+    platelets: { abo: 'plasma', rh: true }
+};
+
+/**
+ * Splits a blood group into its ABO type and whether it is Rh-positive
+ * @param {string} group - e.g. 'AB-'
+ * @returns {{abo: string, positive: boolean}|null} null for an unknown group
+ */
+function parseGroup(group) {
+    if (!BLOOD_GROUPS.includes(group)) return null;
+    return { abo: group.slice(0, -1), positive: group.endsWith('+') };
+}
+
+// The matching rule of a component, or null. Only RULES' own keys count, so
+// names every object has ('toString', '__proto__') match nothing.
+function ruleFor(component) {
+    return Object.prototype.hasOwnProperty.call(RULES, component) ? RULES[component] : null;
+}
+
+// Whether every antigen of `from` is also on `to`
+function antigensWithin(from, to) {
+    return ANTIGENS[from].every(antigen => ANTIGENS[to].includes(antigen));
+}
+
+/**
+ * Whether a recipient can receive a component from a donor group
+ * @param {string} donorGroup
+ * @param {string} recipientGroup
+ * @param {string} component - Component key (see server/inventory.js)
+ * @returns {boolean}
+ */
+function isCompatible(donorGroup, recipientGroup, component) {
+    const donor = parseGroup(donorGroup);
+    const recipient = parseGroup(recipientGroup);
+    const rule = ruleFor(component);
+    if (!donor || !recipient || !rule) return false;
+
+    if (rule.rh && donor.positive && !recipient.positive) return false;
+    if (rule.abo === 'identical') return donor.abo === recipient.abo;
+    if (rule.abo === 'cells') return antigensWithin(donor.abo, recipient.abo);
+    return antigensWithin(recipient.abo, donor.abo);
+}
+
+/**
+ * The donor groups a recipient can receive a component from, by preference
+ * @param {string} recipientGroup
+ * @param {string} component - Component key (see server/inventory.js)
+ * @returns {Array<{bloodGroup: string, match: string}>} empty for an unknown group or component
+ */
+function compatibleGroups(recipientGroup, component) {
+    const recipient = parseGroup(recipientGroup);
+    const rule = ruleFor(component);
+    if (!recipient || !rule) return [];
+    const universal = rule.abo === 'cells' ? 'O' : 'AB';
+
+    const rank = group => {
+        const { abo, positive } = parseGroup(group);
+        let aboRank = 1;
+        if (abo === recipient.abo) aboRank = 0;
+        else if (abo === universal) aboRank = 2;
+        return aboRank * 2 + (positive === recipient.positive ? 0 : 1);
+    };
+
+    return BLOOD_GROUPS
+        .filter(group => isCompatible(group, recipientGroup, component))
+        .sort((a, b) => rank(a) - rank(b) || BLOOD_GROUPS.indexOf(a) - BLOOD_GROUPS.indexOf(b))
+        .map(group => ({ bloodGroup: group, match: group === recipientGroup ? 'identical' : 'compatible' }));
+}
+
+module.exports = {
+    parseGroup,
+    isCompatible,
+    compatibleGroups
+};
@@ -0,0 +1,174 @@
+/**
+ * Donor Contact Details
+ * Optional phone number and email donors can leave so organisers can thank
+ * them or ask them back. Each one is only kept when the donor ticks its
+ * consent box, and the time of that consent is recorded with it.
+ *
+ * Phone numbers and emails are encrypted (AES-256-GCM) before they reach the
+ * storage backend, so the database, JSON file or a backup never holds them in
+ * plain text. Only admin endpoints decrypt them.
+ *
+ * Stored donor fields (all null when not given):
+ *   phoneEncrypted / emailEncrypted    "v1.<iv>.<auth tag>.<ciphertext>" (base64url)
+ *   phoneConsentAt / emailConsentAt    when the donor agreed to be contacted
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const CIPHER = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+const IV_BYTES = 12;
+
+// Stored contact fields, which staff and public responses must never include
+const CONTACT_FIELDS = ['phoneEncrypted', 'emailEncrypted', 'phoneConsentAt', 'emailConsentAt'];
+
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits in a phone number, country code included (E.164 allows up to 15)
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+
+/**
+ * Reads the 32-byte key from CONTACT_ENCRYPTION_KEY (64 hex characters).
+ * Without it a random key is generated, which means contact details saved
+ * now can't be read after a restart or on another serverless instance.
+ * @param {string} [hexKey]
+ * @returns {Buffer}
+ */
+function loadEncryptionKey(hexKey) {
+    if (!hexKey) {
+        logger.warn('CONTACT_ENCRYPTION_KEY not set. Using a temporary key; donor contact details will be unreadable after a restart.');
+        return crypto.randomBytes(32);
+    }
+    if (!/^[0-9a-f]{64}$/i.test(hexKey)) {
+        throw new Error('CONTACT_ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+    }
+    return Buffer.from(hexKey, 'hex');
+}
+
+const encryptionKey = loadEncryptionKey(process.env.CONTACT_ENCRYPTION_KEY);
+
+function encrypt(text) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [CIPHER_VERSION, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+        .join('.');
+}
+
+/**
+ * Throws when the value was encrypted with another key or was tampered with
+ */
+function decrypt(value) {
+    const [version, iv, tag, ciphertext] = String(value).split('.');
+    if (version !== CIPHER_VERSION || !ciphertext) {
+        throw new Error('Unrecognised encrypted contact value');
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, encryptionKey, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalises a phone number to its digits, keeping a leading +
+ * ("+91 98765-43210" -> "+919876543210")
+ * @returns {string|null} null when it doesn't look like a phone number
+ */
+function normalizePhone(phone) {
+    const trimmed = phone.trim();
+    if (!/^\+?[\d\s().-]+$/.test(trimmed)) return null;
+    const digits = trimmed.replace(/\D/g, '');
+    if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) return null;
+    return (trimmed.startsWith('+') ? '+' : '') + digits;
+}
+
+/**
+ * Validates the optional contact fields of the registration form:
+ * phone, email and their consent checkboxes phoneConsent and emailConsent.
+ * A phone number or email is only accepted together with its consent.
+ * @param {object} input - Request body
+ * @returns {{error: string, field: string}|{value: {phone: string|null, email: string|null}}}
+ *   field is 'phone' or 'email', whichever the error is about
+ */
+function validateContactInput(input) {
+    const { phone, email, phoneConsent, emailConsent } = input || {};
+    const given = field => typeof field === 'string' && field.trim() !== '';
+    const value = { phone: null, email: null };
+
+    if (phone !== undefined && phone !== null && typeof phone !== 'string') {
+        return { field: 'phone', error: 'Invalid phone number' };
+    }
+    if (email !== undefined && email !== null && typeof email !== 'string') {
+        return { field: 'email', error: 'Invalid email address' };
+    }
+
+    if (given(phone)) {
+        value.phone = normalizePhone(phone);
+        if (!value.phone) return { field: 'phone', error: 'Please enter a valid phone number' };
+        if (phoneConsent !== true) {
+            return { field: 'phone', error: 'Please agree to be contacted by phone, or leave the phone number empty' };
+        }
+    } else if (phoneConsent === true) {
+        return { field: 'phone', error: 'Please enter the phone number we may contact you on' };
+    }
+
+    if (given(email)) {
+        value.email = email.trim().toLowerCase();
+        if (value.email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(value.email)) {
+            return { field: 'email', error: 'Please enter a valid email address' };
+        }
+        if (emailConsent !== true) {
+            return { field: 'email', error: 'Please agree to be contacted by email, or leave the email address empty' };
+        }
+    } else if (emailConsent === true) {
+        return { field: 'email', error: 'Please enter the email address we may contact you on' };
+    }
+
+    return { value };
+}
+
+/**
+ * Donor fields to store for validated contact details
+ * @param {{phone: string|null, email: string|null}} contact
+ * @param {Date} consentedAt - When the form was sent
+ */
+function encryptContact(contact, consentedAt) {
+    return {
+        phoneEncrypted: contact.phone ? encrypt(contact.phone) : null,
+        emailEncrypted: contact.email ? encrypt(contact.email) : null,
+        phoneConsentAt: contact.phone ? consentedAt : null,
+        emailConsentAt: contact.email ? consentedAt : null
+    };
+}
+
+/**
+ * A donor's contact details in plain text, for admin endpoints only
+ * @returns {{phone: string|null, email: string|null, phoneConsentAt: Date|null, emailConsentAt: Date|null}}
+ */
+function decryptContact(donor) {
+    return {
+        phone: donor.phoneEncrypted ? decrypt(donor.phoneEncrypted) : null,
+        email: donor.emailEncrypted ? decrypt(donor.emailEncrypted) : null,
+        phoneConsentAt: donor.phoneConsentAt || null,
+        emailConsentAt: donor.emailConsentAt || null
+    };
+}
+
+/**
+ * A copy of a donor record without its contact fields
+ */
+function withoutContact(donor) {
+    const copy = { ...donor };
+    CONTACT_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+module.exports = {
+    CONTACT_FIELDS,
+    validateContactInput,
+    encryptContact,
+    decryptContact,
+    withoutContact
+};
@@ -0,0 +1,232 @@
+/**
+ * Donor Eligibility
+ * Rules engine for the health questionnaire on the registration form. Each
+ * rule looks at one answer and may defer the donor, either until a date
+ * (temporarily) or for good (permanently).
+ *
+ * A rule has an `id`, the `answer` it reads, a `message` for the donor and
+ * one of these checks:
+ *   below: n          number answer under n        -> deferred for `deferDays`
+ *   withinDays: n     date answer less than n days ago -> deferred until date + n days
+ *   deferDays: n      yes/no answer is yes         -> deferred for n days
+ *   permanent: true   yes/no answer is yes         -> permanently deferred
+ *
+ * Thresholds can be changed per deployment with a JSON file (see loadEligibilityRules).
+ */
+
+const fs = require('fs');
+
+const OUTCOMES = {
+    ELIGIBLE: 'eligible',
+    TEMPORARILY_DEFERRED: 'temporarily_deferred',
+    PERMANENTLY_DEFERRED: 'permanently_deferred'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default rules, in the order the questionnaire asks them
+const DEFAULT_RULES = [
+    {
+        id: 'weight',
+        answer: 'weightKg',
+        below: 50,
+        deferDays: 90,
+        message: 'Donors must weigh at least 50 kg'
+    },
+    {
+        id: 'lastDonation',
+        answer: 'lastDonationDate',
+        withinDays: 90,
+        message: 'At least 90 days must pass between whole blood donations'
+    },
+    {
+        id: 'recentIllness',
+        answer: 'recentIllness',
+        deferDays: 14,
+        message: 'Wait 14 days after a fever, cold or infection has cleared'
+    },
+    {
+        id: 'medication',
+        answer: 'medication',
+        deferDays: 7,
+        message: 'Wait 7 days after finishing antibiotics or other prescribed medication'
+    },
+    {
+        id: 'tattoo',
+        answer: 'tattooDate',
+        withinDays: 180,
+        message: 'Wait 6 months after a tattoo, piercing or acupuncture'
+    },
+    {
+        id: 'pregnancy',
+        answer: 'pregnancy',
+        deferDays: 180,
+        message: 'Wait 6 months after pregnancy or childbirth'
+    },
+    {
+        id: 'surgery',
+        answer: 'recentSurgery',
+        deferDays: 180,
+        message: 'Wait 6 months after major surgery'
+    },
+    {
+        id: 'bloodBorneInfection',
+        answer: 'bloodBorneInfection',
+        permanent: true,
+        message: 'People who have had HIV, hepatitis B or C cannot donate'
+    },
+    {
+        id: 'chronicCondition',
+        answer: 'chronicCondition',
+        permanent: true,
+        message: 'People with heart disease, cancer or a bleeding disorder cannot donate'
+    }
+];
+
+/**
+ * Kind of answer a rule reads: 'number', 'date' or 'boolean'
+ */
+function answerType(rule) {
+    if (rule.below !== undefined) return 'number';
+    if (rule.withinDays !== undefined) return 'date';
+    return 'boolean';
+}
+
+/**
+ * Midnight UTC of the given day, `days` days later
+ */
+function addDays(date, days) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return new Date(day.getTime() + days * DAY_MS);
+}
+
+/**
+ * Reads per-deployment rule changes from a JSON file, keyed by rule id:
+ *   { "weight": { "below": 45 }, "tattoo": { "withinDays": 120 }, "surgery": false }
+ * `false` turns a rule off. Change `message` along with a threshold it mentions.
+ * @param {string} [file] - Path to the JSON file (ELIGIBILITY_RULES_FILE)
+ * @returns {object[]} Rules
+ */
+function loadEligibilityRules(file) {
+    if (!file) return DEFAULT_RULES;
+
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const unknown = Object.keys(overrides).filter(id => !DEFAULT_RULES.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown eligibility rules in ${file}: ${unknown.join(', ')}`);
+    }
+
+    return DEFAULT_RULES
+        .filter(rule => overrides[rule.id] !== false)
+        .map(rule => ({ ...rule, ...overrides[rule.id], id: rule.id, answer: rule.answer }));
+}
+
+/**
+ * Creates an eligibility engine for a set of rules
+ * @param {object[]} [rules=DEFAULT_RULES]
+ */
+function createEligibilityEngine(rules = DEFAULT_RULES) {
+    return {
+        /**
+         * Validates questionnaire answers. Every rule's answer is required;
+         * date answers may be null ("never").
+         * @param {object} input - Answers from the request body
+         * @returns {{error: string}|{value: object}}
+         */
+        validateAnswers(input) {
+            if (!input || typeof input !== 'object') {
+                return { error: 'Please answer the health questions' };
+            }
+
+            const value = {};
+            for (const rule of rules) {
+                const answer = input[rule.answer];
+
+                switch (answerType(rule)) {
+                    case 'number': {
+                        const number = Number(answer);
+                        if (answer === undefined || answer === null || answer === '' || !Number.isFinite(number) || number <= 0) {
+                            return { error: `Invalid answer for ${rule.answer}` };
+                        }
+                        value[rule.answer] = number;
+                        break;
+                    }
+                    case 'date': {
+                        if (answer === undefined) return { error: `Missing answer for ${rule.answer}` };
+                        if (answer === null || answer === '') {
+                            value[rule.answer] = null;
+                            break;
+                        }
+                        const date = new Date(answer);
+                        if (isNaN(date) || date > new Date()) {
+                            return { error: `Invalid date for ${rule.answer}` };
+                        }
+                        value[rule.answer] = date;
+                        break;
+                    }
+                    default:
+                        if (typeof answer !== 'boolean') {
+                            return { error: `Missing answer for ${rule.answer}` };
+                        }
+                        value[rule.answer] = answer;
+                }
+            }
+
+            return { value };
+        },
+
+        /**
+         * Decides whether a donor can give blood today
+         * @param {object} answers - Validated answers
+         * @param {Date} [now]
+         * @returns {{outcome: string, deferredUntil: Date|null, reasons: Array<{rule: string, message: string}>}}
+         *   deferredUntil is the first day the donor can come back (temporary deferrals only)
+         */
+        evaluate(answers, now = new Date()) {
+            const reasons = [];
+            let permanent = false;
+            let deferredUntil = null;
+
+            for (const rule of rules) {
+                const answer = answers[rule.answer];
+                let until = null;
+
+                if (rule.below !== undefined) {
+                    if (answer < rule.below) until = addDays(now, rule.deferDays);
+                } else if (rule.withinDays !== undefined) {
+                    if (answer) {
+                        const date = addDays(answer, rule.withinDays);
+                        if (date > now) until = date;
+                    }
+                } else if (answer === true) {
+                    if (rule.permanent) {
+                        permanent = true;
+                        reasons.push({ rule: rule.id, message: rule.message });
+                        continue;
+                    }
+                    until = addDays(now, rule.deferDays);
+                }
+
+                if (until) {
+                    reasons.push({ rule: rule.id, message: rule.message });
+                    if (!deferredUntil || until > deferredUntil) deferredUntil = until;
+                }
+            }
+
+            if (permanent) {
+                return { outcome: OUTCOMES.PERMANENTLY_DEFERRED, deferredUntil: null, reasons };
+            }
+            if (deferredUntil) {
+                return { outcome: OUTCOMES.TEMPORARILY_DEFERRED, deferredUntil, reasons };
+            }
+            return { outcome: OUTCOMES.ELIGIBLE, deferredUntil: null, reasons };
+        }
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    DEFAULT_RULES,
+    loadEligibilityRules,
+    createEligibilityEngine
+};
@@ -0,0 +1,178 @@
+/**
+ * Donor Export
+ * Streams donor lists as CSV or XLSX for the blood bank and college office.
+ * Donors are read from storage page by page, so exports of any size use a
+ * small, constant amount of memory.
+ */
+
+const { SORTS } = require('./storage/query');
+
+// Columns that can be exported, in their default order
+const EXPORT_COLUMNS = {
+    fullName: { header: 'Name', width: 28 },
+    bloodGroup: { header: 'Blood Group', width: 12 },
+    age: { header: 'Age', width: 8 },
+    year: { header: 'Year', width: 12 },
+    donatedAt: { header: 'Donated At', width: 22 },
+    event: { header: 'Drive', width: 28 },
+    department: { header: 'Department', width: 20 },
+    status: { header: 'Status', width: 14 },
+    registeredAt: { header: 'Registered At', width: 22 },
+    eligibility: { header: 'Eligibility', width: 22 },
+    deferredUntil: { header: 'Deferred Until', width: 16 },
+    id: { header: 'Donor ID', width: 26 }
+};
+
+// Columns exported as dates (formatted as dates in XLSX)
+const DATE_COLUMNS = ['donatedAt', 'registeredAt', 'deferredUntil'];
+
+const DEFAULT_EXPORT_COLUMNS = ['fullName', 'bloodGroup', 'age', 'year', 'donatedAt', 'event'];
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Donors fetched from storage per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Parses the comma-separated `columns` parameter
+ * @param {string} [param]
+ * @returns {{error: string}|{value: string[]}}
+ */
+function parseExportColumns(param) {
+    if (param === undefined || param === '') return { value: DEFAULT_EXPORT_COLUMNS };
+
+    const columns = [...new Set(String(param).split(',').map(c => c.trim()).filter(Boolean))];
+    const unknown = columns.filter(c => !EXPORT_COLUMNS[c]);
+    if (unknown.length > 0) {
+        return { error: `Unknown columns: ${unknown.join(', ')}. Use any of: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+    }
+    if (columns.length === 0) return { error: 'Choose at least one column' };
+
+    return { value: columns };
+}
+
+/**
+ * Reads every donor matching a list query, one storage page at a time
+ * @param {object} storage - Storage backend
+ * @param {object} listQuery - { filter, sort } as accepted by donors.list
+ */
+async function* iterateDonors(storage, { filter, sort }) {
+    let after = null;
+    while (true) {
+        const page = await storage.donors.list({ filter, sort, after, limit: EXPORT_BATCH_SIZE });
+        yield* page;
+        if (page.length < EXPORT_BATCH_SIZE) return;
+
+        const last = page[page.length - 1];
+        after = { value: last[SORTS[sort].field], id: last.id };
+    }
+}
+
+/**
+ * Value of one export column for a donor
+ * @param {object} donor
+ * @param {string} column - Key of EXPORT_COLUMNS
+ * @param {Map<string, string>} eventNames - Event id -> name
+ */
+function columnValue(donor, column, eventNames) {
+    if (column === 'event') return donor.eventId ? eventNames.get(donor.eventId) || '' : '';
+    if (DATE_COLUMNS.includes(column)) return donor[column] ? new Date(donor[column]) : null;
+    const value = donor[column];
+    return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Formats one CSV cell. Text starting with = + - @ is prefixed with an
+ * apostrophe so spreadsheet apps don't run it as a formula.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes to a response, waiting for it to drain (or close) when its buffer is full
+ */
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Streams donors as CSV (UTF-8 with a BOM so Excel reads names correctly)
+ * @param {object} res - Express response, headers not yet sent
+ * @param {object} options
+ * @param {string[]} options.columns - Keys of EXPORT_COLUMNS
+ * @param {AsyncIterable<object>} options.donors
+ * @param {Map<string, string>} options.eventNames - Event id -> name
+ * @returns {Promise<number>} Rows written
+ */
+async function writeCsv(res, { columns, donors, eventNames }) {
+    let count = 0;
+    await writeChunk(res, '\ufeff' + columns.map(c => csvCell(EXPORT_COLUMNS[c].header)).join(',') + '\r\n');
+
+    for await (const donor of donors) {
+        if (res.destroyed) break;
+        await writeChunk(res, columns.map(c => csvCell(columnValue(donor, c, eventNames))).join(',') + '\r\n');
+        count++;
+    }
+
+    res.end();
+    return count;
+}
+
+/**
+ * Streams donors as an XLSX workbook with a single "Donors" sheet
+ * @param {object} res - Express response, headers not yet sent
+ * @param {object} options - Same as writeCsv
+ * @returns {Promise<number>} Rows written
+ */
+async function writeXlsx(res, { columns, donors, eventNames }) {
+    // Required lazily: exceljs is large and only needed for XLSX exports
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Donors', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map(c => ({
+        header: EXPORT_COLUMNS[c].header,
+        key: c,
+        width: EXPORT_COLUMNS[c].width,
+        style: DATE_COLUMNS.includes(c) ? { numFmt: c === 'deferredUntil' ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm' } : undefined
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    let count = 0;
+    for await (const donor of donors) {
+        if (res.destroyed) break;
+        const row = {};
+        columns.forEach(c => { row[c] = columnValue(donor, c, eventNames); });
+        sheet.addRow(row).commit();
+        count++;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    parseExportColumns,
+    iterateDonors,
+    writeCsv,
+    writeXlsx
+};
@@ -0,0 +1,165 @@
+/**
+ * Registration Form Definition
+ * What the registration form asks besides the fixed donor fields, set by an
+ * admin so staff drives and other colleges can use the same app: the label
+ * and options of the year field ("Staff", "PG"), and extra fields such as an
+ * employee ID or hostel. It is kept in the `form` setting:
+ *   {
+ *     yearLabel: 'Academic Year',
+ *     years: ['FY', 'SY', 'TY', 'Final Year', 'PG', 'Staff'],
+ *     fields: [
+ *       { key: 'employeeId', label: 'Employee ID', type: 'text', required: false, maxLength: 30 },
+ *       { key: 'hostel', label: 'Hostel', type: 'select', required: true, options: ['H1', 'H2'] }
+ *     ]
+ *   }
+ *
+ * The shared donor schema (public/donor-schema.js) checks registrations
+ * against it; extra field values are saved on the donor under `details`.
+ * Blood groups are not configurable: stock and compatibility depend on the
+ * eight ABO/Rh groups.
+ */
+
+const DonorSchema = require('../public/donor-schema');
+
+// Settings key (see storage settings.get/set)
+const FORM_SETTING = 'form';
+
+const DEFAULT_FORM = {
+    yearLabel: 'Academic Year',
+    years: DonorSchema.ACADEMIC_YEARS,
+    fields: []
+};
+
+const FIELD_TYPES = ['text', 'select'];
+
+const MAX_YEARS = 20;
+const MAX_FIELDS = 10;
+const MAX_OPTIONS = 50;
+const MAX_LABEL_LENGTH = 60;
+const MAX_OPTION_LENGTH = 100;
+// Longest answer an extra text field may allow, and its default
+const MAX_TEXT_LENGTH = 200;
+const DEFAULT_TEXT_LENGTH = 100;
+
+// Request body keys taken by /api/donate, and the donor columns the CSV
+// import reads (see server/import.js), which extra fields can't reuse
+const RESERVED_KEYS = [
+    ...Object.keys(DonorSchema.FIELDS),
+    'details', 'eligibility', 'donatedAt', 'slotId', 'phone', 'phoneConsent', 'email', 'emailConsent', 'website', 'formToken'
+];
+
+/**
+ * Checks a list of option names: non-empty, unique (ignoring case) and short enough
+ * @returns {{error: string}|{value: string[]}}
+ */
+function validateOptions(raw, { what, max, maxLength }) {
+    if (!Array.isArray(raw) || raw.length === 0) {
+        return { error: `${what} needs at least one option` };
+    }
+    if (raw.length > max) {
+        return { error: `${what} can have at most ${max} options` };
+    }
+    const options = [];
+    for (const item of raw) {
+        const option = typeof item === 'string' ? item.trim() : '';
+        if (!option) return { error: `${what} has an empty option` };
+        if (option.length > maxLength) {
+            return { error: `${what} options must be ${maxLength} characters or fewer` };
+        }
+        if (options.some(o => o.toLowerCase() === option.toLowerCase())) {
+            return { error: `${what} lists "${option}" twice` };
+        }
+        options.push(option);
+    }
+    return { value: options };
+}
+
+/**
+ * Checks one extra field
+ * @returns {{error: string}|{value: object}}
+ */
+function validateExtraField(raw, index) {
+    const field = raw || {};
+    const label = typeof field.label === 'string' ? field.label.trim() : '';
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+        return { error: `Field ${index + 1} needs a label of at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    if (typeof field.key !== 'string' || !/^[a-z][a-zA-Z0-9]{0,29}$/.test(field.key)) {
+        return { error: `${label}: the key must start with a lowercase letter and use only letters and digits` };
+    }
+    if (RESERVED_KEYS.includes(field.key)) {
+        return { error: `${label}: "${field.key}" is already a donor field` };
+    }
+    // Every object has these, so answers stored under them would be misread
+    if (Object.getOwnPropertyNames(Object.prototype).includes(field.key)) {
+        return { error: `${label}: "${field.key}" can't be used as a key` };
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+        return { error: `${label}: type must be one of ${FIELD_TYPES.join(', ')}` };
+    }
+
+    const value = { key: field.key, label, type: field.type, required: field.required === true };
+    if (field.type === 'select') {
+        const { error, value: options } = validateOptions(field.options, { what: label, max: MAX_OPTIONS, maxLength: MAX_OPTION_LENGTH });
+        if (error) return { error };
+        value.options = options;
+    } else {
+        const maxLength = field.maxLength === undefined ? DEFAULT_TEXT_LENGTH : field.maxLength;
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+            return { error: `${label}: maxLength must be a whole number from 1 to ${MAX_TEXT_LENGTH}` };
+        }
+        value.maxLength = maxLength;
+    }
+    return { value };
+}
+
+/**
+ * Validates a form definition sent by an admin
+ * @param {object} input - Request body
+ * @param {object} [options]
+ * @param {string[]} [options.departments] - Configured departments, which years can't be named like
+ * @returns {{error: string}|{value: object}}
+ */
+function validateFormDefinition(input, { departments = [] } = {}) {
+    const body = input || {};
+
+    const yearLabel = body.yearLabel === undefined ? DEFAULT_FORM.yearLabel : body.yearLabel;
+    if (typeof yearLabel !== 'string' || !yearLabel.trim() || yearLabel.trim().length > MAX_LABEL_LENGTH) {
+        return { error: `yearLabel must be 1 to ${MAX_LABEL_LENGTH} characters` };
+    }
+
+    const { error: yearsError, value: years } = validateOptions(body.years, {
+        what: yearLabel.trim(),
+        max: MAX_YEARS,
+        maxLength: DonorSchema.FIELDS.year.maxLength
+    });
+    if (yearsError) return { error: yearsError };
+    // Class names join a year and a department ("SY Computer"), so they must differ
+    const clash = years.find(year => departments.some(d => d.toLowerCase() === year.toLowerCase()));
+    if (clash) {
+        return { error: `"${clash}" is already a department` };
+    }
+
+    const rawFields = body.fields === undefined ? [] : body.fields;
+    if (!Array.isArray(rawFields) || rawFields.length > MAX_FIELDS) {
+        return { error: `fields must be a list of at most ${MAX_FIELDS} extra fields` };
+    }
+    const fields = [];
+    for (const [index, raw] of rawFields.entries()) {
+        const { error, value: field } = validateExtraField(raw, index);
+        if (error) return { error };
+        if (fields.some(f => f.key === field.key)) {
+            return { error: `Two fields use the key "${field.key}"` };
+        }
+        fields.push(field);
+    }
+
+    return { value: { yearLabel: yearLabel.trim(), years, fields } };
+}
+
+module.exports = {
+    FORM_SETTING,
+    DEFAULT_FORM,
+    FIELD_TYPES,
+    validateFormDefinition
+};
@@ -0,0 +1,58 @@
+/**
+ * Drive Goals
+ * Progress towards the goal an admin sets for a drive (units collected), and
+ * when it will be reached at the current pace. The pace is the number of
+ * donations completed in the last RATE_WINDOW_MINUTES, so a drive that slows
+ * down over lunch gets a later estimate instead of one based on the morning
+ * rush.
+ */
+
+const RATE_WINDOW_MINUTES = 60;
+
+/**
+ * Donations an hour, from the number completed in the last `windowMinutes`
+ */
+function hourlyRate(recent, windowMinutes = RATE_WINDOW_MINUTES) {
+    return Math.round((recent * 60 / windowMinutes) * 10) / 10;
+}
+
+/**
+ * Works out a drive's progress towards its goal
+ * @param {object} input
+ * @param {number} input.goal - Units the drive aims to collect
+ * @param {number} input.collected - Units collected so far
+ * @param {number} input.recent - Donations completed in the last `windowMinutes`
+ * @param {Date} [input.now]
+ * @param {number} [input.windowMinutes]
+ * @returns {{goal: number, collected: number, remaining: number, percent: number,
+ *   reached: boolean, ratePerHour: number, projectedAt: Date|null}}
+ *   percent can pass 100 once the goal is beaten; projectedAt is null once the
+ *   goal is reached or while no donations are coming in
+ */
+function goalProgress({ goal, collected, recent, now = new Date(), windowMinutes = RATE_WINDOW_MINUTES }) {
+    const remaining = Math.max(0, goal - collected);
+    const reached = remaining === 0;
+    const ratePerHour = hourlyRate(recent, windowMinutes);
+
+    let projectedAt = null;
+    if (!reached && recent > 0) {
+        const msPerUnit = (windowMinutes * 60 * 1000) / recent;
+        projectedAt = new Date(now.getTime() + Math.round(remaining * msPerUnit));
+    }
+
+    return {
+        goal,
+        collected,
+        remaining,
+        percent: Math.floor((collected / goal) * 100),
+        reached,
+        ratePerHour,
+        projectedAt
+    };
+}
+
+module.exports = {
+    RATE_WINDOW_MINUTES,
+    hourlyRate,
+    goalProgress
+};
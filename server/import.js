@@ -0,0 +1,153 @@
+/**
+ * Donor Import
+ * Reads donors from CSV files typed up from paper registration sheets (or
+ * produced by the donor export), so they can be validated and inserted in bulk.
+ */
+
+// Largest file the import endpoint accepts, in rows
+const IMPORT_MAX_ROWS = 5000;
+
+// Header names (lowercased, letters and digits only) accepted for each donor field
+const HEADER_ALIASES = {
+    fullName: ['name', 'fullname', 'donor', 'donorname'],
+    bloodGroup: ['bloodgroup', 'blood', 'group', 'bloodtype'],
+    age: ['age'],
+    year: ['year', 'academicyear', 'class'],
+    department: ['department', 'dept', 'branch'],
+    donatedAt: ['donatedat', 'registeredat', 'date', 'datetime', 'time']
+};
+
+const REQUIRED_FIELDS = ['fullName', 'bloodGroup', 'age', 'year'];
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * delimiters, doubled quotes and line breaks)
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Guesses the delimiter from the header line: spreadsheet apps in many
+ * locales save "CSV" with semicolons
+ */
+function detectDelimiter(headerLine) {
+    const count = char => headerLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Lowercases a header and keeps only letters and digits ("Blood Group" -> "bloodgroup")
+ */
+function headerKey(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Maps each donor field to the index of its column in the header row
+ * @param {string[]} headers
+ * @param {object} aliases - Field -> accepted header keys
+ * @returns {object} { fullName: 0, bloodGroup: 2, ... } for the columns found
+ */
+function mapHeaders(headers, aliases) {
+    const columns = {};
+    headers.forEach((header, index) => {
+        const key = headerKey(header);
+        const field = Object.keys(aliases).find(f => aliases[f].includes(key));
+        if (field && columns[field] === undefined) columns[field] = index;
+    });
+    return columns;
+}
+
+/**
+ * Reads donor rows from a CSV upload
+ * @param {string} text - CSV file contents
+ * @param {object[]} [extraFields] - Extra registration form fields (see server/form.js),
+ *   read from columns named by their label or key
+ * @returns {{error: string}|{value: Array<{row: number, input: object}>}} Rows with
+ *   their line number in the file (the header is row 1) and raw field values
+ */
+function readDonorRows(text, extraFields = []) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    if (!content.trim()) return { error: 'The file is empty' };
+
+    const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+    const [headers, ...records] = parseCsv(content, delimiter);
+    const aliases = { ...HEADER_ALIASES };
+    extraFields.forEach(field => {
+        aliases[field.key] = [headerKey(field.key), headerKey(field.label)];
+    });
+    const columns = mapHeaders(headers, aliases);
+
+    const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { error: `Missing columns: ${missing.join(', ')}. The first row must name the columns (Name, Blood Group, Age, Year).` };
+    }
+
+    const rows = records
+        .map((record, index) => ({ row: index + 2, record }))
+        .filter(({ record }) => record.some(value => value.trim() !== ''));
+
+    if (rows.length === 0) return { error: 'The file has no donor rows' };
+    if (rows.length > IMPORT_MAX_ROWS) {
+        return { error: `Too many rows (${rows.length}). Import at most ${IMPORT_MAX_ROWS} at a time.` };
+    }
+
+    return {
+        value: rows.map(({ row, record }) => {
+            const input = {};
+            Object.entries(columns).forEach(([field, index]) => {
+                input[field] = (record[index] || '').trim();
+            });
+            // Paper sheets are typed in all sorts of ways: "o +", "ab-"
+            if (input.bloodGroup) input.bloodGroup = input.bloodGroup.toUpperCase().replace(/\s+/g, '');
+            return { row, input };
+        })
+    };
+}
+
+module.exports = {
+    IMPORT_MAX_ROWS,
+    parseCsv,
+    readDonorRows
+};
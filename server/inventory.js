@@ -0,0 +1,116 @@
+/**
+ * Blood Unit Inventory
+ * A registration is not a blood unit: the blood bank logs each bag collected
+ * from a completed donation, with its component and volume. A unit's expiry
+ * follows from its component's shelf life and the collection time, and a
+ * unit counts as stock while it is available and not yet expired.
+ *
+ * A unit looks like:
+ *   {
+ *     id, bagId: 'RMH-0042',
+ *     donorId, eventId,                  // the donation it was collected from
+ *     bloodGroup: 'O-',                  // the donor's group
+ *     component: 'prbc',                 // see COMPONENTS
+ *     volumeMl: 280,
+ *     collectedAt, expiresAt,
+ *     status: 'available',               // see UNIT_STATUSES
+ *     statusChangedAt, createdAt
+ *   }
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Blood components, with their shelf life and the usual bag volume
+const COMPONENTS = {
+    whole_blood: { label: 'Whole blood', shelfLifeDays: 35, volumeMl: 450 },
+    prbc: { label: 'Packed red cells', shelfLifeDays: 42, volumeMl: 280 },
+    plasma: { label: 'Fresh frozen plasma', shelfLifeDays: 365, volumeMl: 220 },
+    platelets: { label: 'Platelets', shelfLifeDays: 5, volumeMl: 60 }
+};
+
+const UNIT_STATUSES = {
+    AVAILABLE: 'available',
+    ISSUED: 'issued',
+    DISCARDED: 'discarded'
+};
+
+// Days ahead the near-expiry report looks by default, and at most
+const NEAR_EXPIRY_DAYS = 3;
+const MAX_NEAR_EXPIRY_DAYS = 60;
+
+/**
+ * Whether a key names a component. Only COMPONENTS' own keys count, so
+ * names every object has ('toString', 'constructor') are not components.
+ */
+function isComponent(key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(COMPONENTS, key);
+}
+
+/**
+ * When a unit of a component collected at `collectedAt` expires
+ * @param {string} component - Key of COMPONENTS
+ * @param {Date} collectedAt
+ * @returns {Date}
+ */
+function expiryFor(component, collectedAt) {
+    return new Date(new Date(collectedAt).getTime() + COMPONENTS[component].shelfLifeDays * DAY);
+}
+
+/**
+ * Whether an available unit is past its expiry and must not be issued
+ */
+function isExpired(unit, now = new Date()) {
+    return unit.status === UNIT_STATUSES.AVAILABLE && new Date(unit.expiresAt) <= now;
+}
+
+/**
+ * A unit as the API returns it, with `expired` and the whole days left
+ * before it expires (0 on its last day, negative once expired)
+ */
+function toPublicUnit(unit, now = new Date()) {
+    return {
+        ...unit,
+        expired: isExpired(unit, now),
+        daysLeft: Math.floor((new Date(unit.expiresAt) - now) / DAY)
+    };
+}
+
+/**
+ * Groups stock counts (storage units.stock) by blood group
+ * @param {Array<{bloodGroup: string, component: string, units: number, volumeMl: number}>} rows
+ * @param {string[]} bloodGroups - Groups to list even without stock, in order
+ * @returns {{total: number, volumeMl: number, groups: Array<{bloodGroup: string,
+ *   units: number, volumeMl: number, components: object}>}}
+ *   components maps every component to its number of units
+ */
+function summariseStock(rows, bloodGroups) {
+    const emptyComponents = () => Object.fromEntries(Object.keys(COMPONENTS).map(component => [component, 0]));
+    const groups = bloodGroups.map(bloodGroup => ({ bloodGroup, units: 0, volumeMl: 0, components: emptyComponents() }));
+
+    rows.forEach(row => {
+        const group = groups.find(g => g.bloodGroup === row.bloodGroup);
+        if (!group || !isComponent(row.component)) return;
+        group.units += row.units;
+        group.volumeMl += row.volumeMl;
+        group.components[row.component] += row.units;
+    });
+
+    return {
+        total: groups.reduce((sum, group) => sum + group.units, 0),
+        volumeMl: groups.reduce((sum, group) => sum + group.volumeMl, 0),
+        groups
+    };
+}
+
+module.exports = {
+    DAY,
+    COMPONENTS,
+    UNIT_STATUSES,
+    NEAR_EXPIRY_DAYS,
+    MAX_NEAR_EXPIRY_DAYS,
+    isComponent,
+    expiryFor,
+    isExpired,
+    toPublicUnit,
+    summariseStock
+};
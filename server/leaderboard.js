@@ -0,0 +1,163 @@
+/**
+ * Class Leaderboard
+ * Ranks academic years, departments and classes (a year of a department,
+ * "SY Computer") by completed donations, so classes compete to send donors.
+ *
+ * Admins keep the departments donors pick from, and optionally how many
+ * students each year, department or class has, in the `classes` setting:
+ *   {
+ *     departments: ['Computer', 'Mechanical'],
+ *     strengths: { FY: 300, Computer: 240, 'SY Computer': 60 }
+ *   }
+ * A board with any strengths ranks by donations per 100 students, so a
+ * small department can beat a big one; groups without a strength are listed
+ * after the ranked ones.
+ */
+
+const { classLabel } = require('./storage/query');
+
+// Settings key (see storage settings.get/set)
+const CLASSES_SETTING = 'classes';
+
+const DEFAULT_CLASS_SETTINGS = { departments: [], strengths: {} };
+
+// Boards in the order the dashboard shows them
+const BOARDS = ['class', 'department', 'year'];
+
+const MAX_DEPARTMENTS = 50;
+const MAX_DEPARTMENT_LENGTH = 100;
+// Largest class size accepted (a whole college year)
+const MAX_STRENGTH = 100000;
+
+/**
+ * Validates the `classes` setting sent by an admin
+ * @param {object} input - Request body
+ * @param {string[]} years - Academic years (DonorSchema.ACADEMIC_YEARS)
+ * @returns {{error: string}|{value: {departments: string[], strengths: object}}}
+ */
+function validateClassSettings(input, years) {
+    const body = input || {};
+    const rawDepartments = body.departments === undefined ? [] : body.departments;
+    if (!Array.isArray(rawDepartments)) {
+        return { error: 'departments must be a list of names' };
+    }
+    if (rawDepartments.length > MAX_DEPARTMENTS) {
+        return { error: `At most ${MAX_DEPARTMENTS} departments` };
+    }
+
+    const departments = [];
+    for (const raw of rawDepartments) {
+        const name = typeof raw === 'string' ? raw.trim() : '';
+        if (!name) return { error: 'Department names cannot be empty' };
+        if (name.length > MAX_DEPARTMENT_LENGTH) {
+            return { error: `Department names must be ${MAX_DEPARTMENT_LENGTH} characters or fewer` };
+        }
+        // A department named like a year would make its labels ambiguous
+        if (years.some(year => year.toLowerCase() === name.toLowerCase())) {
+            return { error: `"${name}" is an academic year, not a department` };
+        }
+        if (departments.some(d => d.toLowerCase() === name.toLowerCase())) {
+            return { error: `"${name}" is listed twice` };
+        }
+        departments.push(name);
+    }
+
+    const rawStrengths = body.strengths === undefined ? {} : body.strengths;
+    if (!rawStrengths || typeof rawStrengths !== 'object' || Array.isArray(rawStrengths)) {
+        return { error: 'strengths must map a year, department or class to its number of students' };
+    }
+
+    const labels = [
+        ...years,
+        ...departments,
+        ...years.flatMap(year => departments.map(department => classLabel(year, department)))
+    ];
+    const strengths = {};
+    for (const [rawLabel, raw] of Object.entries(rawStrengths)) {
+        const label = labels.find(l => l.toLowerCase() === rawLabel.trim().toLowerCase());
+        if (!label) {
+            return { error: `Unknown year, department or class "${rawLabel}"` };
+        }
+        const strength = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isInteger(strength) || strength < 1 || strength > MAX_STRENGTH) {
+            return { error: `Students in ${label} must be a whole number from 1 to ${MAX_STRENGTH}` };
+        }
+        strengths[label] = strength;
+    }
+
+    return { value: { departments, strengths } };
+}
+
+/**
+ * Ranks groups by donations, or by donations per 100 students when any
+ * group has a strength. Ties share a rank ("1, 2, 2, 4").
+ * @param {object} counts - Group label -> donations
+ * @param {object} options
+ * @param {string[]} [options.labels] - Groups to list even without donations
+ * @param {object} [options.strengths] - Group label -> students
+ * @returns {{normalised: boolean, rows: Array<{rank: number|null, label: string,
+ *   donations: number, strength: number|null, perHundred: number|null}>}}
+ *   rank is null for groups left out of a normalised ranking (no strength)
+ */
+function rankGroups(counts, { labels = [], strengths = {} } = {}) {
+    const all = [...new Set([...labels, ...Object.keys(counts)])];
+    const normalised = all.some(label => strengths[label]);
+
+    const rows = all.map(label => {
+        const donations = counts[label] || 0;
+        const strength = strengths[label] || null;
+        return {
+            rank: null,
+            label,
+            donations,
+            strength,
+            perHundred: strength ? Math.round((donations * 100 / strength) * 10) / 10 : null
+        };
+    });
+
+    const ranked = row => !normalised || row.strength !== null;
+    const score = row => (normalised ? row.perHundred : row.donations);
+    rows.sort((a, b) => (
+        (ranked(b) - ranked(a)) ||
+        (ranked(a) ? score(b) - score(a) : 0) ||
+        (b.donations - a.donations) ||
+        a.label.localeCompare(b.label)
+    ));
+
+    rows.filter(ranked).forEach((row, index, list) => {
+        const previous = list[index - 1];
+        row.rank = previous && score(previous) === score(row) ? previous.rank : index + 1;
+    });
+
+    return { normalised, rows };
+}
+
+/**
+ * Builds every board from a donor breakdown (storage donors.breakdown)
+ * @param {object} counts - Breakdown with year, department and class counts
+ * @param {object} settings - The `classes` setting
+ * @param {string[]} years - Academic years
+ * @returns {{class: object, department: object, year: object}} rankGroups results
+ */
+function buildLeaderboards(counts, settings, years) {
+    const { departments, strengths } = { ...DEFAULT_CLASS_SETTINGS, ...settings };
+    return {
+        // Classes without donations are only listed when their size is known
+        class: rankGroups(counts.class || {}, {
+            labels: years.flatMap(year => departments.map(department => classLabel(year, department)))
+                .filter(label => strengths[label]),
+            strengths
+        }),
+        department: rankGroups(counts.department || {}, { labels: departments, strengths }),
+        year: rankGroups(counts.year || {}, { labels: years, strengths })
+    };
+}
+
+module.exports = {
+    CLASSES_SETTING,
+    DEFAULT_CLASS_SETTINGS,
+    BOARDS,
+    validateClassSettings,
+    rankGroups,
+    buildLeaderboards
+};
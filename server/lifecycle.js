@@ -0,0 +1,60 @@
+/**
+ * Donation Lifecycle
+ * Statuses a donor moves through on the day, from filling in the form to
+ * leaving the donation area. Only completed donations are counted as units
+ * collected and celebrated on the dashboard.
+ *
+ *   registered -> screened -> donating -> completed
+ *        \            \           \
+ *         deferred     deferred    walked_out
+ *         walked_out   walked_out
+ *         cancelled
+ *
+ * Donors the health questionnaire defers start out as `deferred`. Donors
+ * who cancel their slot booking before arriving are `cancelled`.
+ */
+
+const STATUSES = {
+    REGISTERED: 'registered',
+    SCREENED: 'screened',
+    DONATING: 'donating',
+    COMPLETED: 'completed',
+    DEFERRED: 'deferred',
+    WALKED_OUT: 'walked_out',
+    CANCELLED: 'cancelled'
+};
+
+const DONOR_STATUSES = Object.values(STATUSES);
+
+// Statuses each status can move to; the last four are final
+const STATUS_TRANSITIONS = {
+    registered: ['screened', 'deferred', 'walked_out', 'cancelled'],
+    screened: ['donating', 'deferred', 'walked_out'],
+    donating: ['completed', 'walked_out'],
+    completed: [],
+    deferred: [],
+    walked_out: [],
+    cancelled: []
+};
+
+// Donors still somewhere in the donation area
+const IN_PROGRESS_STATUSES = ['registered', 'screened', 'donating'];
+
+// Final statuses of donors who leave without donating; they give up their slot booking
+const NO_DONATION_STATUSES = ['deferred', 'walked_out', 'cancelled'];
+
+/**
+ * Whether a donor in status `from` may be moved to status `to`
+ */
+function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+    STATUSES,
+    DONOR_STATUSES,
+    STATUS_TRANSITIONS,
+    IN_PROGRESS_STATUSES,
+    NO_DONATION_STATUSES,
+    canTransition
+};
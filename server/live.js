@@ -0,0 +1,93 @@
+/**
+ * Live Updates Feed
+ * In-process publisher for dashboard events (`donation.created`,
+ * `stats.updated`), streamed to browsers over Server-Sent Events.
+ *
+ * Events only reach clients connected to the same server process, so the
+ * long-poll endpoint re-reads storage instead of relying on this feed when
+ * running on serverless hosts.
+ */
+
+const { EventEmitter } = require('events');
+
+// How many recent events to keep so reconnecting clients can catch up
+const HISTORY_SIZE = 100;
+
+/**
+ * Creates a live event feed
+ */
+function createLiveFeed() {
+    const emitter = new EventEmitter();
+    // One listener per open stream; projector screens can be many
+    emitter.setMaxListeners(0);
+
+    const history = [];
+    let lastId = 0;
+
+    return {
+        /**
+         * Publishes an event to every subscriber
+         * @param {string} type - Event name, e.g. 'donation.created'
+         * @param {object} data - JSON-serialisable payload
+         */
+        publish(type, data) {
+            const event = { id: ++lastId, type, data, at: new Date().toISOString() };
+            history.push(event);
+            if (history.length > HISTORY_SIZE) history.shift();
+            emitter.emit('event', event);
+            return event;
+        },
+
+        /**
+         * Registers a listener for new events
+         * @param {function} listener - Called with each event
+         * @returns {function} Unsubscribe
+         */
+        subscribe(listener) {
+            emitter.on('event', listener);
+            return () => emitter.off('event', listener);
+        },
+
+        /**
+         * Events published after the given id that are still in history
+         * @param {number} id
+         */
+        eventsSince(id) {
+            return history.filter(event => event.id > id);
+        },
+
+        /**
+         * Resolves on the next event or after `timeoutMs`, whichever is first
+         * @param {number} timeoutMs
+         * @returns {Promise<object|null>} The event, or null on timeout
+         */
+        waitForEvent(timeoutMs) {
+            return new Promise(resolve => {
+                const timer = setTimeout(() => {
+                    emitter.off('event', onEvent);
+                    resolve(null);
+                }, timeoutMs);
+
+                function onEvent(event) {
+                    clearTimeout(timer);
+                    emitter.off('event', onEvent);
+                    resolve(event);
+                }
+
+                emitter.on('event', onEvent);
+            });
+        }
+    };
+}
+
+/**
+ * Writes one event in Server-Sent Events format
+ * @param {object} res - Express response
+ * @param {object} event - Event from the feed (snapshots without an `id` don't move the client's resume point)
+ */
+function writeSseEvent(res, event) {
+    const idLine = event.id ? `id: ${event.id}\n` : '';
+    res.write(`${idLine}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+module.exports = { createLiveFeed, writeSseEvent };
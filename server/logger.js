@@ -0,0 +1,162 @@
+/**
+ * Structured Logging
+ * Writes one JSON object per line, so Vercel, Render or `jq` can filter the
+ * logs of a busy drive by level, request or field:
+ *
+ *   {"time":"2026-03-14T09:30:12.345Z","level":"info","msg":"Donor registered","requestId":"…","donorId":"42"}
+ *
+ * LOG_LEVEL picks the least severe level written: debug, info (default),
+ * warn, error or silent. Every request gets an ID, taken from a valid
+ * incoming X-Request-Id header or generated, which is sent back in the same
+ * header and added to each line logged through `req.log`.
+ *
+ * Donor PII never reaches the logs: fields named like a name, phone number,
+ * email or token are replaced with "[redacted]" wherever they are nested.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+// Field names (lowercase) whose values are never written
+const REDACTED_FIELDS = new Set([
+    'fullname', 'name', 'donorname',
+    'phone', 'email',
+    'formtoken', 'token', 'password', 'authorization', 'cookie'
+]);
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 5;
+
+// Incoming request IDs are only reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value;
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(value[key], depth + 1);
+    });
+    return copy;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Resolves a LOG_LEVEL value, falling back to info
+ * @returns {{level: string, invalid: boolean}}
+ */
+function parseLevel(value) {
+    if (value === undefined || value === '') return { level: DEFAULT_LEVEL, invalid: false };
+    const level = String(value).trim().toLowerCase();
+    return LEVELS[level] ? { level, invalid: false } : { level: DEFAULT_LEVEL, invalid: true };
+}
+
+/**
+ * Creates a logger
+ * @param {object} [options]
+ * @param {string} [options.level='info'] - Least severe level written
+ * @param {object} [options.bindings] - Fields added to every line
+ * @param {function(string, string): void} [options.write] - Receives each line and its level
+ */
+function createLogger({ level = DEFAULT_LEVEL, bindings = {}, write = writeLine } = {}) {
+    const threshold = LEVELS[level];
+
+    function log(lineLevel, msg, fields) {
+        if (LEVELS[lineLevel] < threshold) return;
+        const line = {
+            time: new Date().toISOString(),
+            level: lineLevel,
+            msg,
+            ...redact({ ...bindings, ...fields })
+        };
+        let text;
+        try {
+            text = JSON.stringify(line);
+        } catch (e) {
+            text = JSON.stringify({ time: line.time, level: lineLevel, msg, logError: 'Fields could not be serialized' });
+        }
+        write(text, lineLevel);
+    }
+
+    return {
+        level,
+        isLevelEnabled: lineLevel => LEVELS[lineLevel] >= threshold,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        /**
+         * A logger that adds more fields to every line (e.g. the request ID)
+         */
+        child: extra => createLogger({ level, bindings: { ...bindings, ...extra }, write })
+    };
+}
+
+function writeLine(text, lineLevel) {
+    const stream = LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(text + '\n');
+}
+
+const { level: envLevel, invalid: invalidLevel } = parseLevel(process.env.LOG_LEVEL);
+const logger = createLogger({ level: envLevel });
+if (invalidLevel) {
+    logger.warn('Ignoring invalid LOG_LEVEL', { value: process.env.LOG_LEVEL, levels: Object.keys(LEVELS) });
+}
+
+/**
+ * Middleware giving each request an ID (X-Request-Id) and a logger that
+ * includes it as `req.log`, and logging the request once it is answered
+ */
+function requestLogger() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        req.log = logger.child({ requestId });
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const fields = {
+                method: req.method,
+                // The matched route rather than the URL, which can hold booking
+                // tokens or searched names
+                path: req.route ? req.baseUrl + req.route.path : req.path,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+                ip: req.ip,
+                ...(req.user && req.user.username ? { user: req.user.username } : {})
+            };
+            if (res.statusCode >= 500) {
+                req.log.error('Request failed', fields);
+            } else if (!req.route && res.statusCode < 400) {
+                // Pages, scripts and images
+                req.log.debug('Static file served', fields);
+            } else {
+                req.log.info('Request completed', fields);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    logger,
+    requestLogger
+};
@@ -1,23 +1,184 @@
 -- Blood Donation Database Schema
--- PostgreSQL Schema for donors and stats tables
+-- PostgreSQL Schema for events, slots, donors, blood units, stats and settings tables
 
--- Create donors table
+-- Create events table (one row per donation drive)
+CREATE TABLE IF NOT EXISTS events (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(80) NOT NULL UNIQUE,
+    name VARCHAR(150) NOT NULL,
+    venue VARCHAR(200),
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP,
+    goal INTEGER CHECK (goal > 0),
+    active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one drive can be active (taking registrations) at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_single_active ON events(active) WHERE active;
+
+-- Create slots table (bookable donation times of a drive, with a number of donor beds)
+CREATE TABLE IF NOT EXISTS slots (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    booked INTEGER NOT NULL DEFAULT 0 CHECK (booked >= 0),
+    CONSTRAINT valid_slot_times CHECK (ends_at > starts_at)
+);
+
+-- Create index for a drive's slots
+CREATE INDEX IF NOT EXISTS idx_slots_event ON slots(event_id, starts_at);
+
+-- Create donors table. Field limits match the shared donor schema
+-- (public/donor-schema.js) that the API and the registration form validate with.
 CREATE TABLE IF NOT EXISTS donors (
     id SERIAL PRIMARY KEY,
-    full_name VARCHAR(255) NOT NULL,
+    event_id INTEGER REFERENCES events(id) ON DELETE SET NULL,
+    full_name VARCHAR(100) NOT NULL,
     blood_group VARCHAR(5) NOT NULL CHECK (blood_group IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
-    age INTEGER NOT NULL CHECK (age >= 18 AND age <= 100),
-    year VARCHAR(20) NOT NULL CHECK (year IN ('FY', 'SY', 'TY', 'Final Year')),
+    age INTEGER NOT NULL CHECK (age >= 18 AND age <= 65),
+    -- One of the year options of the registration form (see server/form.js)
+    year VARCHAR(20) NOT NULL,
+    -- Registration time until the donation is completed, then the time it was
     donated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'registered' CONSTRAINT donors_status_check CHECK (status IN ('registered', 'screened', 'donating', 'completed', 'deferred', 'walked_out', 'cancelled')),
+    registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Outcome of the health questionnaire (NULL for donors registered without one)
+    eligibility VARCHAR(25) CHECK (eligibility IS NULL OR eligibility IN ('eligible', 'temporarily_deferred', 'permanently_deferred')),
+    deferred_until TIMESTAMP,
+    deferral_reasons TEXT[] NOT NULL DEFAULT '{}',
+    -- Slot booking (NULL when the drive has no slots or the donor was deferred)
+    slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL,
+    booking VARCHAR(12) CHECK (booking IS NULL OR booking IN ('confirmed', 'waitlisted', 'cancelled')),
+    -- Optional contact details, encrypted by the server (see server/contact.js),
+    -- with the time the donor agreed to be contacted
+    phone_encrypted TEXT,
+    email_encrypted TEXT,
+    phone_consent_at TIMESTAMP,
+    email_consent_at TIMESTAMP,
+    -- How the name is shown on public screens: full, first name + initial, or anonymous
+    name_display VARCHAR(10) NOT NULL DEFAULT 'full' CHECK (name_display IN ('full', 'initial', 'anonymous')),
+    -- Department, from the list an admin configures (NULL when none was asked)
+    department VARCHAR(100),
+    -- Answers to the extra fields of the registration form, by field key
+    details JSONB,
+    -- Imported from a sheet without a date: donated_at is the time of the import
+    undated BOOLEAN NOT NULL DEFAULT FALSE,
     CONSTRAINT valid_name CHECK (LENGTH(TRIM(full_name)) >= 2)
 );
 
+-- Databases created before events existed get the column added
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id) ON DELETE SET NULL;
+
+-- ...and the eligibility columns, added before the questionnaire existed
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS eligibility VARCHAR(25) CHECK (eligibility IS NULL OR eligibility IN ('eligible', 'temporarily_deferred', 'permanently_deferred'));
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS deferred_until TIMESTAMP;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS deferral_reasons TEXT[] NOT NULL DEFAULT '{}';
+
+-- ...and the status columns. Donors saved before statuses existed had all
+-- donated, apart from those the questionnaire deferred.
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed';
+ALTER TABLE donors ALTER COLUMN status SET DEFAULT 'registered';
+UPDATE donors SET status = 'deferred' WHERE status = 'completed' AND eligibility IN ('temporarily_deferred', 'permanently_deferred');
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS registered_at TIMESTAMP;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+UPDATE donors SET registered_at = donated_at WHERE registered_at IS NULL;
+UPDATE donors SET status_changed_at = donated_at WHERE status_changed_at IS NULL;
+
+-- ...and the slot booking columns, plus the `cancelled` status that came with them
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS booking VARCHAR(12) CHECK (booking IS NULL OR booking IN ('confirmed', 'waitlisted', 'cancelled'));
+ALTER TABLE donors DROP CONSTRAINT IF EXISTS donors_status_check;
+ALTER TABLE donors ADD CONSTRAINT donors_status_check CHECK (status IN ('registered', 'screened', 'donating', 'completed', 'deferred', 'walked_out', 'cancelled'));
+
+-- ...and the contact detail columns
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS phone_encrypted TEXT;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS email_encrypted TEXT;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS phone_consent_at TIMESTAMP;
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS email_consent_at TIMESTAMP;
+
+-- ...and the public name display choice (donors saved before it were shown in full)
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS name_display VARCHAR(10) NOT NULL DEFAULT 'full' CHECK (name_display IN ('full', 'initial', 'anonymous'));
+
+-- ...and the department column
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS department VARCHAR(100);
+
+-- ...and the extra form field answers. Admins set the year options since,
+-- so the fixed list of years is no longer checked.
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS details JSONB;
+ALTER TABLE donors DROP CONSTRAINT IF EXISTS donors_year_check;
+
+-- ...and the flag on imported donors whose sheet had no date
+ALTER TABLE donors ADD COLUMN IF NOT EXISTS undated BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create blood units table (bags collected from completed donations, see server/inventory.js).
+-- expires_at is the collection time plus the component's shelf life.
+CREATE TABLE IF NOT EXISTS blood_units (
+    id SERIAL PRIMARY KEY,
+    bag_id VARCHAR(30) NOT NULL UNIQUE,
+    donor_id INTEGER REFERENCES donors(id) ON DELETE SET NULL,
+    event_id INTEGER REFERENCES events(id) ON DELETE SET NULL,
+    blood_group VARCHAR(5) NOT NULL CHECK (blood_group IN ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
+    component VARCHAR(20) NOT NULL CHECK (component IN ('whole_blood', 'prbc', 'plasma', 'platelets')),
+    volume_ml INTEGER NOT NULL CHECK (volume_ml > 0),
+    collected_at TIMESTAMP NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'issued', 'discarded')),
+    status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT valid_unit_expiry CHECK (expires_at > collected_at)
+);
+
+-- Create indexes for stock by group, the near-expiry report and a donor's units
+CREATE INDEX IF NOT EXISTS idx_blood_units_stock ON blood_units(status, blood_group, expires_at);
+CREATE INDEX IF NOT EXISTS idx_blood_units_expiry ON blood_units(expires_at);
+CREATE INDEX IF NOT EXISTS idx_blood_units_donor ON blood_units(donor_id);
+
+-- Create audit log table. Rows are only ever inserted (see server/audit.js);
+-- the rules below turn any UPDATE or DELETE into a no-op.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    action VARCHAR(40) NOT NULL,
+    actor VARCHAR(100),
+    actor_role VARCHAR(10) NOT NULL,
+    ip VARCHAR(64),
+    request_id VARCHAR(64),
+    entity VARCHAR(20) NOT NULL,
+    entity_id VARCHAR(40),
+    before JSONB,
+    after JSONB
+);
+
+CREATE OR REPLACE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING;
+
+-- Create indexes for audit log filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, id DESC);
+
+-- Create index for per-event donor lists
+CREATE INDEX IF NOT EXISTS idx_donors_event ON donors(event_id, donated_at DESC);
+
+-- Create index for donor lists by status (completed donations, the desk queue)
+CREATE INDEX IF NOT EXISTS idx_donors_status ON donors(status, donated_at DESC);
+
+-- Create index for a slot's waitlist
+CREATE INDEX IF NOT EXISTS idx_donors_slot ON donors(slot_id, booking, donated_at);
+
 -- Create index on donated_at for faster queries
 CREATE INDEX IF NOT EXISTS idx_donors_donated_at ON donors(donated_at DESC);
 
 -- Create index on blood_group for analytics
 CREATE INDEX IF NOT EXISTS idx_donors_blood_group ON donors(blood_group);
 
+-- Create index on full_name for name sorting in the donor list
+CREATE INDEX IF NOT EXISTS idx_donors_full_name ON donors(full_name);
+
 -- Create stats table
 CREATE TABLE IF NOT EXISTS stats (
     identifier VARCHAR(50) PRIMARY KEY,
@@ -30,7 +191,21 @@ INSERT INTO stats (identifier, total_blood_units)
 VALUES ('global', 0)
 ON CONFLICT (identifier) DO NOTHING;
 
+-- Create settings table (admin settings such as departments and class sizes, by name)
+CREATE TABLE IF NOT EXISTS settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Grant necessary permissions (adjust username if needed)
+-- GRANT ALL PRIVILEGES ON TABLE events TO your_db_user;
+-- GRANT ALL PRIVILEGES ON TABLE slots TO your_db_user;
 -- GRANT ALL PRIVILEGES ON TABLE donors TO your_db_user;
+-- GRANT ALL PRIVILEGES ON TABLE blood_units TO your_db_user;
 -- GRANT ALL PRIVILEGES ON TABLE stats TO your_db_user;
+-- GRANT ALL PRIVILEGES ON TABLE settings TO your_db_user;
 -- GRANT USAGE, SELECT ON SEQUENCE donors_id_seq TO your_db_user;
+-- GRANT USAGE, SELECT ON SEQUENCE events_id_seq TO your_db_user;
+-- GRANT USAGE, SELECT ON SEQUENCE slots_id_seq TO your_db_user;
+-- GRANT USAGE, SELECT ON SEQUENCE blood_units_id_seq TO your_db_user;
@@ -1,12 +1,13 @@
 /**
- * Blood Donation Event Website - Server (MongoDB)
- * Express.js backend using MongoDB Atlas
+ * Blood Donation Event Website - Server
+ * Express.js backend with pluggable storage (MongoDB Atlas, JSON file or Postgres)
  */
 
 const express = require('express');
-const { MongoClient } = require('mongodb');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 
 // Initialize Express app
 const app = express();
@@ -24,411 +25,2424 @@ try {
     // dotenv not installed or failed to load — ignore in production environments
 }
 
-// MongoDB configuration
-const MONGODB_URI = process.env.MONGODB_URI;
+// Logging and auth read their configuration from the environment, so load them after dotenv
+const { logger, requestLogger } = require('./logger');
+const { ROLES, issueToken, checkCredentials, hasRole, authenticate, requireRole, issueBookingToken, verifyBookingToken, issueFormToken, verifyFormToken } = require('./auth');
+const { createStorage } = require('./storage');
+const { SORTS, DEFAULT_SORT, AGE_BANDS, encodeCursor, decodeCursor } = require('./storage/query');
+const { createLiveFeed, writeSseEvent } = require('./live');
+const { EXPORT_FORMATS, parseExportColumns, iterateDonors, writeCsv, writeXlsx } = require('./export');
+const { readDonorRows } = require('./import');
+const { OUTCOMES, loadEligibilityRules, createEligibilityEngine } = require('./eligibility');
+const { STATUSES, DONOR_STATUSES, NO_DONATION_STATUSES, canTransition } = require('./lifecycle');
+const { BOOKINGS, createBookings } = require('./bookings');
+const { validateContactInput, encryptContact, decryptContact, withoutContact } = require('./contact');
+const { createRateLimiter, createAbuseMonitor } = require('./abuse');
+const { ACTIONS, createAuditLog, encodeAuditCursor, parseAuditQuery } = require('./audit');
+const { RATE_WINDOW_MINUTES, hourlyRate, goalProgress } = require('./goal');
+const { HOUR, parseTimelineQuery, fillBuckets, peakBucket } = require('./timeline');
+const { CLASSES_SETTING, DEFAULT_CLASS_SETTINGS, validateClassSettings, buildLeaderboards } = require('./leaderboard');
+const { FORM_SETTING, DEFAULT_FORM, validateFormDefinition } = require('./form');
+const { DAY, COMPONENTS, UNIT_STATUSES, NEAR_EXPIRY_DAYS, MAX_NEAR_EXPIRY_DAYS, isComponent, expiryFor, isExpired, toPublicUnit, summariseStock } = require('./inventory');
+const { compatibleGroups } = require('./compatibility');
+const DonorSchema = require('../public/donor-schema');
+
+// Largest donor list the public dashboard may request without logging in
+const PUBLIC_DONOR_LIMIT = 20;
+// Largest page of donors staff can request at once
+const MAX_DONOR_PAGE = 100;
+// Donor list parameters only staff may use (paging through or searching the full list)
+const STAFF_DONOR_PARAMS = ['cursor', 'bloodGroup', 'year', 'from', 'to', 'q', 'sort', 'status'];
+// Values of the `event` query parameter that aren't event slugs
+const RESERVED_EVENT_SLUGS = ['active', 'all'];
+// Most donor beds a single time slot can have
+const MAX_SLOT_CAPACITY = 500;
+// Blood bag labels: letters, digits and dashes, as printed on the bag's barcode
+const BAG_ID_PATTERN = /^[A-Z0-9][A-Z0-9-]{2,29}$/;
+// Bag volumes accepted, in millilitres (a platelet bag up to a double whole blood bag)
+const MIN_UNIT_VOLUME_ML = 20;
+const MAX_UNIT_VOLUME_ML = 600;
+// Default and largest number of blood units listed at once
+const DEFAULT_UNIT_PAGE = 100;
+const MAX_UNIT_PAGE = 500;
+// Most completed donations the compatibility matcher lists
+const MAX_MATCHED_DONORS = 50;
+
+// Live updates: SSE streaming is off on Vercel, whose functions can't hold a
+// stream open; dashboards there fall back to long-polling.
+const LIVE_STREAMING = process.env.LIVE_STREAMING
+    ? process.env.LIVE_STREAMING === 'true'
+    : !process.env.VERCEL;
+// How long a long-poll request waits for news before returning empty (ms)
+const LONG_POLL_TIMEOUT = parseInt(process.env.LONG_POLL_TIMEOUT_MS) || 20000;
+// How often a waiting long-poll re-checks storage for donations made elsewhere (ms)
+const LONG_POLL_CHECK_INTERVAL = 2000;
+// Comment line sent on open streams so proxies don't close them as idle (ms)
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+// Registration abuse protection: attempts allowed per IP address (a whole
+// campus may share one) and per device in each window, and the registrations
+// per minute that get flagged as a spike
+const RATE_LIMIT_PER_IP = parseInt(process.env.RATE_LIMIT_PER_IP) || 60;
+const RATE_LIMIT_WINDOW_MS = (parseFloat(process.env.RATE_LIMIT_WINDOW_MINUTES) || 10) * 60 * 1000;
+const abuse = createAbuseMonitor({
+    perIp: RATE_LIMIT_PER_IP,
+    perDevice: parseInt(process.env.RATE_LIMIT_PER_DEVICE) || 10,
+    // A network can't start more browsers in a window than it may send registrations
+    newDevicesPerIp: parseInt(process.env.RATE_LIMIT_NEW_DEVICES_PER_IP) || RATE_LIMIT_PER_IP,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    spikePerMinute: parseInt(process.env.SPIKE_THRESHOLD_PER_MINUTE) || 30
+});
+// Staff login attempts allowed per username from one IP address in each
+// window, so passwords can't be guessed at speed
+const loginLimiter = createRateLimiter({
+    limit: parseInt(process.env.RATE_LIMIT_LOGIN_PER_USER) || 10,
+    windowMs: RATE_LIMIT_WINDOW_MS
+});
+// Registrations sent sooner than this after the form loaded come from scripts (ms)
+const MIN_FORM_FILL_MS = 3000;
+// Cookie identifying a visitor's browser for the per-device limit
+const DEVICE_COOKIE = 'donor_device';
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+// Registration page template; the form token is filled in per request
+const INDEX_PAGE = path.join(__dirname, '../public/index.html');
+const FORM_TOKEN_PLACEHOLDER = '<meta name="form-token" content="">';
+
+const live = createLiveFeed();
+
+// Health questionnaire rules (thresholds can be changed with ELIGIBILITY_RULES_FILE)
+const eligibility = createEligibilityEngine(loadEligibilityRules(process.env.ELIGIBILITY_RULES_FILE));
+
+// Storage backend (MongoDB, in-memory/JSON file or Postgres - see server/storage)
+const storage = createStorage();
+// Slot bookings and waitlists (see server/bookings.js)
+const bookings = createBookings(storage);
+// Append-only record of every data change (see server/audit.js)
+const audit = createAuditLog(storage);
 // Warn if legacy DATABASE_URL is still set in environment (it should be removed)
-if (process.env.DATABASE_URL) {
-    console.warn('⚠️  Environment variable DATABASE_URL is set. If you migrated to MongoDB, remove DATABASE_URL from Vercel to avoid legacy connection attempts.');
+if (process.env.DATABASE_URL && storage.name !== 'postgres') {
+    logger.warn('DATABASE_URL is set but not used. If you migrated to MongoDB, remove DATABASE_URL from Vercel to avoid legacy connection attempts.', { backend: storage.name });
+}
+let storageInit = null;
+
+/**
+ * Initializes the storage backend once; later calls share the same attempt
+ */
+function initStorage() {
+    if (!storageInit) {
+        storageInit = storage.init().catch(e => {
+            logger.error('Storage initialization failed', { backend: storage.name, err: e });
+            // Keep server running; surface errors on API calls
+        });
+    }
+    return storageInit;
+}
+
+async function shutdownStorage() {
+    try {
+        await storage.close();
+    } catch (e) {
+        logger.error('Error closing storage', { err: e });
+    }
+}
+
+/**
+ * Middleware: rejects API calls while the database is unavailable
+ */
+function requireStorage(req, res, next) {
+    if (!storage.isReady()) {
+        return res.status(500).json({
+            success: false,
+            message: 'Database not configured. Please contact administrator.'
+        });
+    }
+    next();
+}
+
+/**
+ * Middleware: resolves the `event` query parameter to `req.event`, the drive
+ * the request is about. A slug picks that event and `active` the one taking
+ * registrations; without it (or with `all`, or `active` when no drive is
+ * running) `req.event` is null and the request covers every event.
+ */
+async function loadEventScope(req, res, next) {
+    const param = req.query.event;
+    try {
+        if (param === undefined || param === '' || param === 'all') {
+            req.event = null;
+        } else if (param === 'active') {
+            req.event = await storage.events.findActive();
+        } else {
+            req.event = await storage.events.findBySlug(String(param));
+            if (!req.event) {
+                return res.status(404).json({ success: false, message: 'Event not found' });
+            }
+        }
+        next();
+    } catch (error) {
+        req.log.error('Error loading event', { err: error });
+        return respondError(res, 500, 'Error loading event', error);
+    }
+}
+
+/**
+ * Reads one cookie from the request
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    const pair = (req.get('cookie') || '').split(';').map(p => p.trim()).find(p => p.startsWith(`${name}=`));
+    if (!pair) return null;
+    try {
+        return decodeURIComponent(pair.slice(name.length + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * The id of the visitor's browser, from its cookie. Browsers without one
+ * are given a new id while their IP address is under its limit of new
+ * devices; otherwise a script could drop the cookie before every
+ * registration and start a fresh per-device limit each time.
+ * @returns {{device: string}|{retryAfterMs: number}}
+ */
+function deviceIdFor(req, res) {
+    const saved = readCookie(req, DEVICE_COOKIE);
+    if (saved && /^[\w-]{16,64}$/.test(saved)) return { device: saved };
+
+    const newDeviceLimit = abuse.hitNewDevice(req.ip);
+    if (!newDeviceLimit.allowed) {
+        abuse.reject('new_device_rate_limit', { ip: req.ip, userAgent: (req.get('user-agent') || '').slice(0, 200) || null, requestId: req.id });
+        return { retryAfterMs: newDeviceLimit.retryAfterMs };
+    }
+
+    const device = crypto.randomBytes(16).toString('base64url');
+    res.cookie(DEVICE_COOKIE, device, {
+        maxAge: DEVICE_COOKIE_MAX_AGE,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure
+    });
+    return { device };
+}
+
+/**
+ * Middleware: turns away scripted registrations before they reach storage.
+ * Each attempt counts towards the per-IP limit; then the hidden honeypot
+ * field must be empty and the form token (issued with the registration
+ * page) valid and not brand new, and the token's device must be under its
+ * own limit. Desk staff registering donors themselves skip the checks.
+ */
+function guardRegistration(req, res, next) {
+    if (hasRole(req.user, ROLES.DESK)) return next();
+
+    const body = req.body || {};
+    const source = { ip: req.ip, device: null, userAgent: (req.get('user-agent') || '').slice(0, 200) || null, requestId: req.id };
+    const reject = (status, reason, message, retryAfterMs) => {
+        abuse.reject(reason, source);
+        if (retryAfterMs) res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(status).json({ success: false, message });
+    };
+
+    const ipLimit = abuse.hitIp(req.ip);
+    if (!ipLimit.allowed) {
+        return reject(429, 'ip_rate_limit', 'Too many registrations from your network. Please try again later.', ipLimit.retryAfterMs);
+    }
+
+    // People never see this field; form-filling bots do
+    if (body.website) {
+        return reject(400, 'honeypot', 'Registration could not be accepted');
+    }
+
+    if (!body.formToken) {
+        return reject(400, 'missing_token', 'Please reload the page and try again');
+    }
+    const form = verifyFormToken(body.formToken);
+    if (!form) {
+        return reject(400, 'invalid_token', 'This form has expired. Please reload the page and try again.');
+    }
+    source.device = form.device;
+    if (Date.now() - form.issuedAt < MIN_FORM_FILL_MS) {
+        return reject(400, 'too_fast', 'Please take a moment to fill in the form');
+    }
+
+    const deviceLimit = abuse.hitDevice(form.device);
+    if (!deviceLimit.allowed) {
+        return reject(429, 'device_rate_limit', 'Too many registrations from this device. Please try again later.', deviceLimit.retryAfterMs);
+    }
+
+    next();
+}
+
+/**
+ * Reads TRUST_PROXY: a hop count, true/false, or a list of proxy addresses.
+ * Defaults to one hop on Render and Vercel, whose proxies pass the client's
+ * address in X-Forwarded-For.
+ */
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') {
+        return process.env.VERCEL || process.env.RENDER ? 1 : false;
+    }
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+// Body parser for CSV uploads (the donor import); browsers label .csv files inconsistently
+const csvBody = express.text({
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'],
+    limit: '2mb'
+});
+
+// Client addresses (for the per-IP registration limit) come from the proxy in front
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Middleware
+// Request IDs and `req.log` come first, so every later step can log with them
+app.use(requestLogger());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(authenticate);
+
+// Serve static files from public directory (the registration page itself is
+// served by its route below, with a form token)
+app.use(express.static(path.join(__dirname, '../public'), { index: false }));
+
+// Helper to send errors, with the error's details when LOG_LEVEL=debug
+function respondError(res, status, userMessage, error) {
+    const payload = { success: false, message: userMessage };
+    if (logger.isLevelEnabled('debug') && error) {
+        payload._debug = {
+            message: error.message || String(error),
+            stack: error.stack || null
+        };
+    }
+    return res.status(status).json(payload);
+}
+
+// Allowed blood groups, shared with the registration page. Year options
+// come from the registration form definition (see loadDonorRules).
+const VALID_BLOOD_GROUPS = DonorSchema.BLOOD_GROUPS;
+
+// How a donor's name is shown on public screens: "Asha Patil", "Asha P."
+// or "Anonymous Hero". Staff always see the full name.
+const NAME_DISPLAYS = DonorSchema.NAME_DISPLAYS;
+const DEFAULT_NAME_DISPLAY = DonorSchema.FIELDS.nameDisplay.default;
+const ANONYMOUS_NAME = 'Anonymous Hero';
+
+/**
+ * Validates donor fields for registration, staff edits and imports against
+ * the shared donor schema (public/donor-schema.js)
+ * @param {object} input - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Only check fields that are present (for PATCH)
+ * @param {string[]} [options.departments] - Configured departments (see loadDonorRules)
+ * @param {object} [options.form] - Registration form definition (see loadDonorRules)
+ * @returns {{error: string, errors: object}|{value: object}} First error and the
+ *   message for each invalid field, or the cleaned fields
+ */
+function validateDonorInput(input, { partial = false, departments, form } = {}) {
+    const { errors, value } = DonorSchema.validate(input, { partial, departments, form });
+
+    if (errors) {
+        return { error: Object.values(errors)[0], errors };
+    }
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No editable fields provided' };
+    }
+    return { value };
+}
+
+/**
+ * Sends a 400 for invalid input, with the message for each invalid field
+ * under `errors` so forms can show it next to the field
+ * @param {object} errors - Field name -> message
+ */
+function respondInvalid(res, errors, message = Object.values(errors)[0]) {
+    return res.status(400).json({ success: false, message, errors });
+}
+
+/**
+ * Turns an event name into a URL slug ("Spring Drive 2026" -> "spring-drive-2026")
+ */
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'event';
+}
+
+/**
+ * Validates event fields for creating and editing drives
+ * @param {object} input - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Only check fields that are present (for PATCH)
+ * @returns {{error: string}|{value: object}} First validation error, or the cleaned fields
+ */
+function validateEventInput(input, { partial = false } = {}) {
+    const { name, slug, venue, startsAt, endsAt, goal, active } = input || {};
+    const value = {};
+    const present = field => input && input[field] !== undefined;
+
+    if (!partial && (!name || !startsAt)) {
+        return { error: 'Event name and start date are required' };
+    }
+
+    if (present('name')) {
+        if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 150) {
+            return { error: 'Event name must be 2 to 150 characters long' };
+        }
+        value.name = name.trim();
+    }
+
+    if (present('slug') && slug !== '') {
+        if (typeof slug !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug) || slug.length > 80) {
+            return { error: 'Slug may only contain lowercase letters, numbers and dashes' };
+        }
+        if (RESERVED_EVENT_SLUGS.includes(slug)) {
+            return { error: `"${slug}" can't be used as a slug` };
+        }
+        value.slug = slug;
+    }
+
+    if (present('venue')) {
+        if (venue !== null && (typeof venue !== 'string' || venue.length > 200)) {
+            return { error: 'Venue must be at most 200 characters long' };
+        }
+        value.venue = venue ? venue.trim() : null;
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (!present(field)) continue;
+        const date = parseDateParam(input[field] === null ? '' : input[field]);
+        if (date === null || (field === 'startsAt' && !date)) {
+            return { error: 'Invalid event dates' };
+        }
+        value[field] = date || null;
+    }
+    if (value.startsAt && value.endsAt && value.endsAt < value.startsAt) {
+        return { error: 'Event cannot end before it starts' };
+    }
+
+    if (present('goal')) {
+        const goalNum = goal === null || goal === '' ? null : Number(goal);
+        if (goalNum !== null && (!Number.isInteger(goalNum) || goalNum < 1)) {
+            return { error: 'Goal must be a whole number of units' };
+        }
+        value.goal = goalNum;
+    }
+
+    if (present('active')) {
+        if (typeof active !== 'boolean') {
+            return { error: 'Active must be true or false' };
+        }
+        value.active = active;
+    }
+
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No editable fields provided' };
+    }
+
+    return { value };
+}
+
+/**
+ * Validates time slot fields for creating and editing a drive's slots
+ * @param {object} input - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Only check fields that are present (for PATCH)
+ * @returns {{error: string}|{value: object}} First validation error, or the cleaned fields
+ */
+function validateSlotInput(input, { partial = false } = {}) {
+    const { capacity } = input || {};
+    const value = {};
+    const present = field => input && input[field] !== undefined;
+
+    if (!partial && (!input || !input.startsAt || !input.endsAt || capacity === undefined)) {
+        return { error: 'Slot start, end and capacity are required' };
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (!present(field)) continue;
+        const date = parseDateParam(input[field] === null ? '' : String(input[field]));
+        if (!date) {
+            return { error: 'Invalid slot times' };
+        }
+        value[field] = date;
+    }
+    if (value.startsAt && value.endsAt && value.endsAt <= value.startsAt) {
+        return { error: 'Slot must end after it starts' };
+    }
+
+    if (present('capacity')) {
+        const capacityNum = Number(capacity);
+        if (!Number.isInteger(capacityNum) || capacityNum < 1 || capacityNum > MAX_SLOT_CAPACITY) {
+            return { error: `Capacity must be a whole number of beds from 1 to ${MAX_SLOT_CAPACITY}` };
+        }
+        value.capacity = capacityNum;
+    }
+
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No editable fields provided' };
+    }
+
+    return { value };
+}
+
+/**
+ * Validates a blood unit logged by staff. The blood group and drive come
+ * from the donor; the collection time defaults to when they donated.
+ * @returns {{error: string}|{value: object}}
+ */
+function validateUnitInput(input) {
+    const body = input || {};
+    const value = {};
+
+    const bagId = typeof body.bagId === 'string' ? body.bagId.trim().toUpperCase() : '';
+    if (!BAG_ID_PATTERN.test(bagId)) {
+        return { error: 'Bag ID must be 3 to 30 letters, digits or dashes' };
+    }
+    value.bagId = bagId;
+
+    if (body.donorId === undefined || body.donorId === null || String(body.donorId).trim() === '') {
+        return { error: 'Donor is required' };
+    }
+    value.donorId = String(body.donorId).trim();
+
+    if (!isComponent(body.component)) {
+        return { error: `Invalid component. Use one of: ${Object.keys(COMPONENTS).join(', ')}` };
+    }
+    value.component = body.component;
+
+    if (body.volumeMl !== undefined && body.volumeMl !== null && body.volumeMl !== '') {
+        const volume = Number(body.volumeMl);
+        if (!Number.isInteger(volume) || volume < MIN_UNIT_VOLUME_ML || volume > MAX_UNIT_VOLUME_ML) {
+            return { error: `Volume must be a whole number of ml from ${MIN_UNIT_VOLUME_ML} to ${MAX_UNIT_VOLUME_ML}` };
+        }
+        value.volumeMl = volume;
+    }
+
+    const collectedAt = parseDateParam(body.collectedAt === null ? '' : body.collectedAt);
+    if (collectedAt === null) {
+        return { error: 'Invalid collection time' };
+    }
+    if (collectedAt && collectedAt > new Date()) {
+        return { error: 'Collection time cannot be in the future' };
+    }
+    if (collectedAt) value.collectedAt = collectedAt;
+
+    return { value };
+}
+
+/**
+ * Validates /api/inventory query parameters
+ * @param {object} query - req.query
+ * @returns {{error: string}|{value: {filter: object, limit: number}}}
+ */
+function parseUnitListQuery(query) {
+    const limit = Math.min(parseInt(query.limit) || DEFAULT_UNIT_PAGE, MAX_UNIT_PAGE);
+    const filter = {};
+
+    if (query.bloodGroup) {
+        if (!VALID_BLOOD_GROUPS.includes(query.bloodGroup)) return { error: 'Invalid blood group' };
+        filter.bloodGroup = query.bloodGroup;
+    }
+    if (query.component) {
+        if (!isComponent(query.component)) {
+            return { error: `Invalid component. Use one of: ${Object.keys(COMPONENTS).join(', ')}` };
+        }
+        filter.component = query.component;
+    }
+    if (query.donorId) filter.donorId = String(query.donorId);
+
+    // Lists show available units unless other statuses are asked for
+    // (a comma-separated list, or `all`)
+    const status = query.status === undefined || query.status === '' ? UNIT_STATUSES.AVAILABLE : String(query.status);
+    if (status !== 'all') {
+        const statuses = [...new Set(status.split(',').map(s => s.trim()).filter(Boolean))];
+        const known = Object.values(UNIT_STATUSES);
+        if (statuses.length === 0 || statuses.some(s => !known.includes(s))) {
+            return { error: `Invalid status. Use all or any of: ${known.join(', ')}` };
+        }
+        filter.status = statuses.length === 1 ? statuses[0] : statuses;
+    }
+
+    return { value: { filter, limit } };
+}
+
+/**
+ * Parses a date query parameter. Date-only values ("2026-02-14") mean the
+ * start of that day, or the start of the next day when `endOfDay` is set so
+ * that `to` ranges include the whole day.
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+function parseDateParam(value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Validates /api/donors query parameters
+ * @param {object} query - req.query
+ * @returns {{error: string}|{value: {filter: object, sort: string, after: object|null, limit: number}}}
+ */
+function parseDonorListQuery(query) {
+    const limit = Math.min(parseInt(query.limit) || 10, MAX_DONOR_PAGE);
+    // Donors "since" a point are read oldest first so they can be replayed in order
+    const sort = query.sort || (query.since ? 'oldest' : DEFAULT_SORT);
+    const filter = {};
+
+    if (!SORTS[sort]) {
+        return { error: `Invalid sort. Use one of: ${Object.keys(SORTS).join(', ')}` };
+    }
+
+    if (query.bloodGroup) {
+        if (!VALID_BLOOD_GROUPS.includes(query.bloodGroup)) return { error: 'Invalid blood group' };
+        filter.bloodGroup = query.bloodGroup;
+    }
+
+    // Any year may be searched for: donors keep years since taken off the form
+    if (query.year) {
+        if (query.year.length > DonorSchema.FIELDS.year.maxLength) return { error: 'Invalid year selection' };
+        filter.year = query.year;
+    }
+
+    const from = parseDateParam(query.from);
+    const to = parseDateParam(query.to, { endOfDay: true });
+    if (from === null || to === null) return { error: 'Invalid date range' };
+    if (from) filter.from = from;
+    if (to) filter.to = to;
+
+    // `since` is the donatedAt of the last donor the caller has seen; only later donors are returned
+    const since = parseDateParam(query.since);
+    if (since === null) return { error: 'Invalid since date' };
+    if (since) {
+        const afterSince = new Date(since.getTime() + 1);
+        if (!filter.from || filter.from < afterSince) filter.from = afterSince;
+        // Undated imports aren't new donations, so the dashboard doesn't celebrate them
+        filter.dated = true;
+    }
+
+    if (query.q && String(query.q).trim()) {
+        filter.search = String(query.q).trim().slice(0, 100);
+    }
+
+    // Lists show completed donations unless other statuses are asked for
+    // (a comma-separated list, or `all`)
+    const status = query.status === undefined || query.status === '' ? STATUSES.COMPLETED : String(query.status);
+    if (status !== 'all') {
+        const statuses = [...new Set(status.split(',').map(s => s.trim()).filter(Boolean))];
+        const unknown = statuses.filter(s => !DONOR_STATUSES.includes(s));
+        if (statuses.length === 0 || unknown.length > 0) {
+            return { error: `Invalid status. Use all or any of: ${DONOR_STATUSES.join(', ')}` };
+        }
+        filter.status = statuses.length === 1 ? statuses[0] : statuses;
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor, sort);
+        if (!after) return { error: 'Invalid cursor' };
+    }
+
+    return { value: { filter, sort, after, limit } };
+}
+
+/**
+ * A donor's name as they chose to have it shown in public
+ */
+function publicName(donor) {
+    switch (donor.nameDisplay) {
+        case 'anonymous':
+            return ANONYMOUS_NAME;
+        case 'initial': {
+            const [first, ...rest] = donor.fullName.trim().split(/\s+/);
+            const last = rest.pop();
+            return last ? `${first} ${last.charAt(0).toUpperCase()}.` : first;
+        }
+        default:
+            return donor.fullName;
+    }
+}
+
+/**
+ * Fields of a donor that public screens (recent donors, live events) may
+ * show, with the name as the donor chose to have it shown
+ */
+function toPublicDonor(donor) {
+    return {
+        id: donor.id,
+        eventId: donor.eventId || null,
+        fullName: publicName(donor),
+        bloodGroup: donor.bloodGroup,
+        donatedAt: donor.donatedAt
+    };
+}
+
+/**
+ * Whether a donor left a phone number or email (only admins may read them)
+ */
+function hasContact(donor) {
+    return Boolean(donor.phoneEncrypted || donor.emailEncrypted);
+}
+
+/**
+ * Donor list entry for staff: the public fields plus where the donor is in
+ * the lifecycle, the questionnaire outcome and their slot booking
+ */
+function toStaffListDonor(donor) {
+    return {
+        ...toPublicDonor(donor),
+        fullName: donor.fullName,
+        nameDisplay: donor.nameDisplay || DEFAULT_NAME_DISPLAY,
+        status: donor.status,
+        registeredAt: donor.registeredAt || donor.donatedAt,
+        statusChangedAt: donor.statusChangedAt || null,
+        eligibility: donor.eligibility || null,
+        deferredUntil: donor.deferredUntil || null,
+        slotId: donor.slotId || null,
+        booking: donor.booking || null,
+        hasContact: hasContact(donor)
+    };
+}
+
+/**
+ * Full donor record for staff, without the (encrypted) contact details
+ */
+function toStaffDonor(donor) {
+    return { ...withoutContact(donor), hasContact: hasContact(donor) };
+}
+
+/**
+ * A time slot as shown to donors: its times and how many beds are left
+ * @param {object} slot
+ * @param {number} [waitlisted] - Donors waiting for a bed, when known
+ */
+function toPublicSlot(slot, waitlisted) {
+    return {
+        id: slot.id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        capacity: slot.capacity,
+        booked: slot.booked,
+        available: Math.max(0, slot.capacity - slot.booked),
+        ...(waitlisted === undefined ? {} : { waitlisted })
+    };
+}
+
+/**
+ * Number of donors waiting for a bed in a slot
+ */
+function countWaitlisted(slotId) {
+    return storage.donors.count({ slotId, booking: BOOKINGS.WAITLISTED, status: STATUSES.REGISTERED });
+}
+
+/**
+ * Logs and audits the donors who were given a bed from a waitlist
+ * @param {object} req - The request that freed the beds
+ */
+async function recordPromotions(req, promoted) {
+    for (const donor of promoted) {
+        req.log.info('Donor moved up from the waitlist', { donorId: donor.id, slotId: donor.slotId });
+        await audit.record(req, ACTIONS.BOOKING_PROMOTE, {
+            entityId: donor.id,
+            before: { ...donor, booking: BOOKINGS.WAITLISTED },
+            after: donor
+        });
+    }
+}
+
+/**
+ * The departments and class sizes set by an admin (see server/leaderboard.js)
+ * @returns {Promise<{departments: string[], strengths: object}>}
+ */
+async function loadClassSettings() {
+    return { ...DEFAULT_CLASS_SETTINGS, ...(await storage.settings.get(CLASSES_SETTING)) };
+}
+
+/**
+ * The registration form definition set by an admin (see server/form.js)
+ */
+async function loadRegistrationForm() {
+    return { ...DEFAULT_FORM, ...(await storage.settings.get(FORM_SETTING)) };
 }
-let mongoClient = null;
-let mongoDB = null;
-let donorsCollection = null;
-let statsCollection = null;
 
-async function initMongo() {
-    try {
-        if (!MONGODB_URI) {
-            console.error('❌ MONGODB_URI not provided. Database will not work.');
-            return;
+/**
+ * The admin settings donor fields are checked against (see validateDonorInput)
+ * @returns {Promise<{departments: string[], form: object}>}
+ */
+async function loadDonorRules() {
+    const [{ departments }, form] = await Promise.all([loadClassSettings(), loadRegistrationForm()]);
+    return { departments, form };
+}
+
+/**
+ * Whether a donor gave blood and so counts towards the unit totals
+ */
+function countsTowardsTotals(donor) {
+    return donor.status === STATUSES.COMPLETED;
+}
+
+/**
+ * Donations completed in the last RATE_WINDOW_MINUTES (see server/goal.js),
+ * for one event or all of them. Undated imports were stamped with the time of
+ * the import, so they would pass for a sudden rush.
+ */
+function recentDonations(eventId, now) {
+    const filter = { status: STATUSES.COMPLETED, from: new Date(now.getTime() - RATE_WINDOW_MINUTES * 60 * 1000), dated: true };
+    if (eventId) filter.eventId = eventId;
+    return storage.donors.count(filter);
+}
+
+/**
+ * Progress towards a drive's goal (see server/goal.js), null when it has none
+ * @param {object|null} event
+ * @param {number} collected - Units the drive has collected
+ */
+async function driveProgress(event, collected) {
+    if (!event || !event.goal) return null;
+    const now = new Date();
+    const recent = await recentDonations(event.id, now);
+    return goalProgress({ goal: event.goal, collected, recent, now });
+}
+
+/**
+ * Stats for one event (or all events when eventId is null), tagged with the
+ * event so live listeners can tell the scopes apart. An event's stats also
+ * carry its goal `progress`.
+ */
+async function scopedStats(eventId) {
+    const stats = { eventId: eventId || null, ...(await storage.stats.get(eventId)) };
+    if (eventId) {
+        stats.progress = await driveProgress(await storage.events.findById(eventId), stats.totalBloodUnits);
+    }
+    return stats;
+}
+
+/**
+ * Publishes fresh all-time stats, and the event's stats when one is given
+ */
+async function publishStats(eventId) {
+    live.publish('stats.updated', await scopedStats(null));
+    if (eventId) {
+        live.publish('stats.updated', await scopedStats(eventId));
+    }
+}
+
+/**
+ * Whether a live event belongs on a dashboard showing `eventId` (null: all events).
+ * All-time dashboards get every donation but only the all-time stats.
+ */
+function isLiveEventInScope(liveEvent, eventId) {
+    if (liveEvent.type === 'stats.updated') {
+        return liveEvent.data.eventId === eventId;
+    }
+    return !eventId || liveEvent.data.eventId === eventId;
+}
+
+/**
+ * Turns a { value: count } map into chart-ready [{ label, count }] entries.
+ * Known labels come first in their usual order (zero-filled), then anything else.
+ */
+function toSeries(counts, knownLabels) {
+    const extra = Object.keys(counts).filter(label => !knownLabels.includes(label));
+    return [...knownLabels, ...extra].map(label => ({ label, count: counts[label] || 0 }));
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+// Staff login - exchanges credentials for a signed token
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username and password are required'
+        });
+    }
+
+    const attempt = loginLimiter.hit(`${req.ip}|${String(username).trim().toLowerCase()}`);
+    if (!attempt.allowed) {
+        req.log.warn('Login rate limited', { username: String(username).slice(0, 50), ip: req.ip });
+        res.set('Retry-After', String(Math.ceil(attempt.retryAfterMs / 1000)));
+        return res.status(429).json({
+            success: false,
+            message: 'Too many login attempts. Please try again later.'
+        });
+    }
+
+    const user = checkCredentials(username, password);
+    if (!user) {
+        req.log.warn('Failed login attempt', { username: String(username).slice(0, 50), ip: req.ip });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid username or password'
+        });
+    }
+
+    const { token, expiresAt } = issueToken(user);
+    req.log.info('Staff logged in', { user: user.username, role: user.role });
+
+    res.json({
+        success: true,
+        data: { token, expiresAt, user }
+    });
+});
+
+// Current session - anonymous callers are reported as the public viewer
+app.get('/api/auth/me', requireRole(ROLES.VIEWER), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            authenticated: !!req.user,
+            user: req.user || { username: null, role: ROLES.VIEWER }
+        }
+    });
+});
+
+// Health check endpoint
+app.get('/api/health', requireRole(ROLES.VIEWER), (req, res) => {
+    const health = {
+        status: 'running',
+        timestamp: new Date().toISOString(),
+        database: {
+            backend: storage.name,
+            ...storage.status()
+        },
+        environment: {
+            NODE_ENV: process.env.NODE_ENV || 'development',
+            PORT: PORT,
+            LOG_LEVEL: logger.level
+        }
+    };
+    req.log.debug('Health check', health);
+    res.json(health);
+});
+
+// Form token for registration pages served without one (static hosting,
+// a cached page); see guardRegistration
+app.get('/api/form-token', requireRole(ROLES.VIEWER), (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    const { device, retryAfterMs } = deviceIdFor(req, res);
+    if (!device) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({ success: false, message: 'Too many registrations from your network. Please try again later.' });
+    }
+    res.json({ success: true, data: { token: issueFormToken(device) } });
+});
+
+// Rejected registration attempts and registration spikes (admins only)
+app.get('/api/abuse', requireRole(ROLES.ADMIN), (req, res) => {
+    res.json({ success: true, data: abuse.report() });
+});
+
+// Audit log, newest first (admins only). Filters: action (comma separated),
+// entity, entityId, actor, from/to; paged with `limit` and `cursor`.
+app.get('/api/audit', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const { error: queryError, value: auditQuery } = parseAuditQuery(req.query, parseDateParam);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
+        }
+        const { limit } = auditQuery;
+        // Fetch one extra entry to find out whether another page exists
+        const entries = await storage.audit.list({ ...auditQuery, limit: limit + 1 });
+        const hasMore = entries.length > limit;
+        const page = entries.slice(0, limit);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data: page,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? encodeAuditCursor(page[page.length - 1]) : null
+            }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching audit log', { err: error });
+        return respondError(res, 500, 'Error fetching audit log', error);
+    }
+});
+
+// Departments donors choose from and class sizes for the leaderboard. The
+// registration form reads them, so any role may.
+app.get('/api/settings/classes', requireRole(ROLES.VIEWER), requireStorage, async (req, res) => {
+    try {
+        res.json({ success: true, data: await loadClassSettings() });
+    } catch (error) {
+        req.log.error('Error fetching class settings', { err: error });
+        return respondError(res, 500, 'Error fetching class settings', error);
+    }
+});
+
+app.put('/api/settings/classes', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const { years } = await loadRegistrationForm();
+        const { error: settingsError, value: settings } = validateClassSettings(req.body, years);
+        if (settingsError) {
+            return res.status(400).json({ success: false, message: settingsError });
+        }
+
+        const current = await storage.settings.get(CLASSES_SETTING);
+        await storage.settings.set(CLASSES_SETTING, settings);
+        await audit.record(req, ACTIONS.SETTINGS_UPDATE, { entityId: CLASSES_SETTING, before: current, after: settings });
+        req.log.info('Class settings updated', { user: req.user.username, departments: settings.departments.length });
+
+        res.json({ success: true, message: 'Classes saved', data: settings });
+
+    } catch (error) {
+        req.log.error('Error saving class settings', { err: error });
+        return respondError(res, 500, 'Error saving class settings', error);
+    }
+});
+
+// What the registration form asks: year options and extra fields (see
+// server/form.js). The registration page renders itself from it.
+app.get('/api/settings/form', requireRole(ROLES.VIEWER), requireStorage, async (req, res) => {
+    try {
+        res.json({ success: true, data: await loadRegistrationForm() });
+    } catch (error) {
+        req.log.error('Error fetching registration form', { err: error });
+        return respondError(res, 500, 'Error fetching registration form', error);
+    }
+});
+
+app.put('/api/settings/form', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const { departments } = await loadClassSettings();
+        const { error: formError, value: form } = validateFormDefinition(req.body, { departments });
+        if (formError) {
+            return res.status(400).json({ success: false, message: formError });
+        }
+
+        const current = await storage.settings.get(FORM_SETTING);
+        await storage.settings.set(FORM_SETTING, form);
+        await audit.record(req, ACTIONS.SETTINGS_UPDATE, { entityId: FORM_SETTING, before: current, after: form });
+        req.log.info('Registration form updated', { user: req.user.username, years: form.years.length, fields: form.fields.length });
+
+        res.json({ success: true, message: 'Registration form saved', data: form });
+
+    } catch (error) {
+        req.log.error('Error saving registration form', { err: error });
+        return respondError(res, 500, 'Error saving registration form', error);
+    }
+});
+
+// Donate endpoint - register new donor
+app.post('/api/donate', requireRole(ROLES.VIEWER), guardRegistration, requireStorage, async (req, res) => {
+    try {
+        // Server-side validation
+        const { error: validationError, errors: fieldErrors, value } = validateDonorInput(req.body, await loadDonorRules());
+        if (validationError) {
+            req.log.info('Registration invalid', { errors: fieldErrors });
+            return respondInvalid(res, fieldErrors);
+        }
+
+        // Health questionnaire: decides whether the donor can give blood today
+        const { error: answersError, value: answers } = eligibility.validateAnswers(req.body.eligibility);
+        if (answersError) {
+            req.log.info('Registration invalid', { errors: { eligibility: answersError } });
+            return respondInvalid(res, { eligibility: answersError });
+        }
+        const screening = eligibility.evaluate(answers);
+        const isEligible = screening.outcome === OUTCOMES.ELIGIBLE;
+
+        // Optional phone and email, only kept with the donor's consent
+        const { error: contactError, field: contactField, value: contact } = validateContactInput(req.body);
+        if (contactError) {
+            req.log.info('Registration invalid', { errors: { [contactField]: contactError } });
+            return respondInvalid(res, { [contactField]: contactError });
+        }
+
+        // Drives with upcoming time slots need eligible donors to pick one
+        const activeEvent = await storage.events.findActive();
+        const eventId = activeEvent ? activeEvent.id : null;
+        const now = new Date();
+        let slot = null;
+        if (isEligible && activeEvent) {
+            const slots = await storage.slots.listByEvent(activeEvent.id);
+            if (slots.some(s => new Date(s.endsAt) > now)) {
+                const { slotId } = req.body;
+                slot = slotId ? slots.find(s => s.id === String(slotId)) : null;
+                let slotError = null;
+                if (!slotId) {
+                    slotError = 'Please choose a time slot';
+                } else if (!slot) {
+                    slotError = 'Invalid time slot';
+                } else if (new Date(slot.endsAt) <= now) {
+                    slotError = 'That time slot has already ended';
+                }
+                if (slotError) {
+                    req.log.info('Registration invalid', { errors: { slotId: slotError } });
+                    return respondInvalid(res, { slotId: slotError });
+                }
+            }
+        }
+
+        // A bed in the slot, or a place on its waitlist when every bed is taken
+        const booking = slot ? await bookings.reserve(slot) : null;
+
+        // Insert donor into the drive that is currently running (if any).
+        // Only the outcome is kept, not the health answers themselves.
+        // Units are counted once staff mark the donation completed.
+        let donor;
+        try {
+            donor = await storage.donors.insert({
+                ...value,
+                eventId,
+                donatedAt: now,
+                registeredAt: now,
+                status: isEligible ? STATUSES.REGISTERED : STATUSES.DEFERRED,
+                statusChangedAt: now,
+                eligibility: screening.outcome,
+                deferredUntil: screening.deferredUntil,
+                deferralReasons: screening.reasons.map(reason => reason.rule),
+                slotId: slot ? slot.id : null,
+                booking,
+                ...encryptContact(contact, now)
+            });
+        } catch (insertError) {
+            if (booking === BOOKINGS.CONFIRMED) await storage.slots.release(slot.id);
+            throw insertError;
+        }
+        abuse.recordAccepted();
+        await audit.record(req, ACTIONS.DONOR_CREATE, { entityId: donor.id, after: donor });
+        req.log.info(isEligible ? 'Donor registered' : 'Donor deferred', {
+            donorId: donor.id,
+            bloodGroup: donor.bloodGroup,
+            eligibility: screening.outcome,
+            event: activeEvent ? activeEvent.slug : null,
+            slotId: slot ? slot.id : null,
+            booking
+        });
+
+        const { totalBloodUnits: totalUnits } = await storage.stats.get();
+
+        let message = 'Registration successful';
+        if (!isEligible) {
+            message = 'Registration recorded, but you cannot donate today';
+        } else if (booking === BOOKINGS.WAITLISTED) {
+            message = 'Registration successful. That slot is full, so you are on its waitlist';
+        }
+
+        res.status(201).json({
+            success: true,
+            message,
+            data: {
+                donor: {
+                    fullName: donor.fullName,
+                    bloodGroup: donor.bloodGroup,
+                    status: donor.status
+                },
+                eligibility: screening,
+                // The manage link lets the donor cancel or reschedule later
+                booking: booking && {
+                    status: booking,
+                    slot: toPublicSlot(await storage.slots.findById(slot.id) || slot),
+                    manageUrl: `/booking?token=${issueBookingToken(donor.id)}`
+                },
+                totalUnits: totalUnits
+            }
+        });
+    } catch (error) {
+        req.log.error('Error registering donor', { err: error });
+        return respondError(res, 500, 'Server error. Please try again later.', error);
+    }
+});
+
+// Get statistics
+app.get('/api/stats', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const { totalBloodUnits: total, lastUpdated } = await storage.stats.get(req.event ? req.event.id : null);
+        const progress = await driveProgress(req.event, total);
+        
+        req.log.debug('Stats fetched', { total, lastUpdated });
+        
+        res.json({ 
+            success: true, 
+            data: { 
+                totalBloodUnits: total, 
+                lastUpdated: lastUpdated,
+                event: req.event,
+                progress
+            } 
+        });
+        
+    } catch (error) {
+        req.log.error('Error fetching stats', { err: error });
+        return respondError(res, 500, 'Error fetching statistics', error);
+    }
+});
+
+// Donor counts per blood group, academic year and age band
+app.get('/api/stats/breakdown', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const filter = { status: STATUSES.COMPLETED };
+        if (req.event) filter.eventId = req.event.id;
+        const [counts, { years }] = await Promise.all([storage.donors.breakdown(filter), loadRegistrationForm()]);
+        const bloodGroups = toSeries(counts.bloodGroup, VALID_BLOOD_GROUPS);
+
+        res.json({
+            success: true,
+            data: {
+                total: bloodGroups.reduce((sum, entry) => sum + entry.count, 0),
+                bloodGroups,
+                years: toSeries(counts.year, years),
+                ageBands: toSeries(counts.ageBand, AGE_BANDS.map(b => b.label))
+            }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching stats breakdown', { err: error });
+        return respondError(res, 500, 'Error fetching statistics breakdown', error);
+    }
+});
+
+// Completed donations per time bucket (`bucket`: 15m, 1h or 1d) between
+// `from` and `to` (by default a window ending now), with the current rate and
+// the peak hour. `utcOffset` (minutes east of UTC) lines buckets up with the
+// viewer's clock. Imported donors without a date are left out.
+app.get('/api/stats/timeline', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const { error: queryError, value: range } = parseTimelineQuery(req.query, parseDateParam);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
+        }
+        const { bucket, bucketMs, offsetMs, from, to } = range;
+
+        const filter = { status: STATUSES.COMPLETED, from, to, dated: true };
+        if (req.event) filter.eventId = req.event.id;
+        const rows = await storage.donors.timeline(filter, { bucketMs, offsetMs });
+        // The peak is always a clock hour, whatever the bucket size
+        const hourly = bucketMs === HOUR ? rows : await storage.donors.timeline(filter, { bucketMs: HOUR, offsetMs });
+        const peak = peakBucket(hourly);
+        const recent = await recentDonations(req.event ? req.event.id : null, new Date());
+
+        res.json({
+            success: true,
+            data: {
+                bucket,
+                from,
+                to,
+                utcOffset: offsetMs / 60000,
+                total: rows.reduce((sum, row) => sum + row.count, 0),
+                series: fillBuckets(rows, range),
+                currentRate: { perHour: hourlyRate(recent), windowMinutes: RATE_WINDOW_MINUTES },
+                peakHour: peak ? { start: peak.start, end: new Date(peak.start.getTime() + HOUR), count: peak.count } : null
+            }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching donation timeline', { err: error });
+        return respondError(res, 500, 'Error fetching donation timeline', error);
+    }
+});
+
+// Years, departments and classes ranked by completed donations, per 100
+// students where class sizes are set (see server/leaderboard.js)
+app.get('/api/stats/leaderboard', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const filter = { status: STATUSES.COMPLETED };
+        if (req.event) filter.eventId = req.event.id;
+        const [counts, settings, { years }] = await Promise.all([
+            storage.donors.breakdown(filter),
+            loadClassSettings(),
+            loadRegistrationForm()
+        ]);
+
+        res.json({ success: true, data: buildLeaderboards(counts, settings, years) });
+
+    } catch (error) {
+        req.log.error('Error fetching leaderboard', { err: error });
+        return respondError(res, 500, 'Error fetching leaderboard', error);
+    }
+});
+
+// Sync stats (recount from donors collection)
+app.post('/api/sync-stats', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        // Totals before and after the recount, all-time and per drive, for the audit log
+        const before = { totalBloodUnits: (await storage.stats.get()).totalBloodUnits, events: {} };
+        const after = { totalBloodUnits: null, events: {} };
+
+        const donorCount = await storage.donors.count({ status: STATUSES.COMPLETED });
+        await storage.stats.set(donorCount);
+        after.totalBloodUnits = donorCount;
+        live.publish('stats.updated', await scopedStats(null));
+
+        // Recount every drive too
+        const events = await storage.events.list();
+        for (const event of events) {
+            before.events[event.slug] = (await storage.stats.get(event.id)).totalBloodUnits;
+            after.events[event.slug] = await storage.donors.count({ eventId: event.id, status: STATUSES.COMPLETED });
+            await storage.stats.set(after.events[event.slug], event.id);
+            live.publish('stats.updated', await scopedStats(event.id));
+        }
+
+        await audit.record(req, ACTIONS.STATS_SYNC, { before, after });
+        req.log.info('Stats synced', { totalBloodUnits: donorCount, events: events.length });
+        
+        res.json({ 
+            success: true, 
+            message: `Stats synced. Total donors: ${donorCount}`, 
+            data: { totalBloodUnits: donorCount } 
+        });
+        
+    } catch (error) {
+        req.log.error('Error syncing stats', { err: error });
+        return respondError(res, 500, 'Error syncing statistics', error);
+    }
+});
+
+/**
+ * Whether a donor list request goes beyond the public "latest few" (longer
+ * lists, paging, filters, search), which needs desk access
+ */
+function isStaffDonorListRequest(req) {
+    return (parseInt(req.query.limit) || 10) > PUBLIC_DONOR_LIMIT ||
+        STAFF_DONOR_PARAMS.some(param => req.query[param] !== undefined);
+}
+
+// List donors, newest first by default. Anyone may see the latest few;
+// longer lists, paging, filters and search need desk access. The latest few
+// are always in the public shape, as they feed the projector screen even
+// when staff are logged in.
+app.get('/api/donors', requireRole(ROLES.DESK, {
+    when: isStaffDonorListRequest
+}), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const { error: queryError, value: listQuery } = parseDonorListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
+        }
+        if (req.event) {
+            listQuery.filter.eventId = req.event.id;
+        }
+        const { filter, sort, limit } = listQuery;
+        // Fetch one extra row to find out whether another page exists
+        const docs = await storage.donors.list({ ...listQuery, limit: limit + 1 });
+        const hasMore = docs.length > limit;
+        const page = docs.slice(0, limit);
+        
+        const mapped = page.map(isStaffDonorListRequest(req) ? toStaffListDonor : toPublicDonor);
+        
+        const pagination = {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+        };
+        // The total is only worked out for the first page of a staff listing
+        if (!req.query.cursor && req.user) {
+            pagination.total = await storage.donors.count(filter);
+        }
+        
+        req.log.debug('Donors fetched', { count: mapped.length, limit });
+        
+        res.json({ success: true, data: mapped, pagination });
+        
+    } catch (error) {
+        req.log.error('Error fetching donors', { err: error });
+        return respondError(res, 500, 'Error fetching donors', error);
+    }
+});
+
+// Live dashboard updates over Server-Sent Events
+app.get('/api/live/stream', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    // 204 tells EventSource not to reconnect, so the dashboard switches to long-polling
+    if (!LIVE_STREAMING) {
+        return res.status(204).end();
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    const eventId = req.event ? req.event.id : null;
+    const send = liveEvent => {
+        if (isLiveEventInScope(liveEvent, eventId)) writeSseEvent(res, liveEvent);
+    };
+
+    // Catch up a reconnecting client, then send the current totals
+    const lastEventId = parseInt(req.get('last-event-id'));
+    if (lastEventId) {
+        live.eventsSince(lastEventId).forEach(send);
+    }
+    try {
+        writeSseEvent(res, { type: 'stats.updated', data: await scopedStats(eventId) });
+    } catch (error) {
+        req.log.error('Error sending initial stats on stream', { err: error });
+    }
+
+    const unsubscribe = live.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Live dashboard updates by long-polling. `since` is the `cursor` from the
+// previous response (the stats timestamp); the request waits until the stats
+// change or the timeout passes. Reads storage, so it works across instances.
+app.get('/api/live/poll', requireRole(ROLES.VIEWER), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const since = parseDateParam(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ success: false, message: 'Invalid since cursor' });
+        }
+
+        let closed = false;
+        req.on('close', () => { closed = true; });
+
+        const eventId = req.event ? req.event.id : null;
+        const deadline = Date.now() + LONG_POLL_TIMEOUT;
+        let stats = await storage.stats.get(eventId);
+
+        // No cursor yet: hand back the current state to start from
+        while (since && !(new Date(stats.lastUpdated) > since)) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0 || closed) break;
+            await live.waitForEvent(Math.min(remaining, LONG_POLL_CHECK_INTERVAL));
+            stats = await storage.stats.get(eventId);
+        }
+
+        if (closed) return;
+
+        const events = [];
+        if (since && new Date(stats.lastUpdated) > since) {
+            const newDonors = await storage.donors.list({
+                filter: { from: new Date(since.getTime() + 1), eventId, status: STATUSES.COMPLETED, dated: true },
+                sort: 'oldest',
+                limit: 50
+            });
+            newDonors.forEach(donor => events.push({ type: 'donation.created', data: toPublicDonor(donor) }));
+            events.push({ type: 'stats.updated', data: await scopedStats(eventId) });
+        } else if (!since) {
+            events.push({ type: 'stats.updated', data: await scopedStats(eventId) });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                // Stats that were never updated have no timestamp; start from now
+                cursor: (events.length ? stats.lastUpdated : since) || new Date()
+            }
+        });
+
+    } catch (error) {
+        req.log.error('Error in live poll', { err: error });
+        return respondError(res, 500, 'Error fetching live updates', error);
+    }
+});
+
+// Export donors as CSV or XLSX. Takes the donor list filters plus `format`
+// and `columns`; streams every matching donor rather than one page.
+app.get('/api/donors/export', requireRole(ROLES.DESK), requireStorage, loadEventScope, async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Invalid format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const { error: columnsError, value: columns } = parseExportColumns(req.query.columns);
+        if (columnsError) {
+            return res.status(400).json({ success: false, message: columnsError });
+        }
+
+        const { error: queryError, value: listQuery } = parseDonorListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
+        }
+        if (req.event) {
+            listQuery.filter.eventId = req.event.id;
+        }
+
+        const events = await storage.events.list();
+        const eventNames = new Map(events.map(event => [event.id, event.name]));
+
+        const filename = `donors-${req.event ? req.event.slug : 'all'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set({
+            'Content-Type': format === 'csv'
+                ? 'text/csv; charset=utf-8'
+                : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        const write = format === 'csv' ? writeCsv : writeXlsx;
+        const count = await write(res, { columns, donors: iterateDonors(storage, listQuery), eventNames });
+
+        await audit.record(req, ACTIONS.DONOR_EXPORT, {
+            after: { format, count, columns, event: req.event ? req.event.slug : null, filter: listQuery.filter }
+        });
+        req.log.info('Donors exported', { user: req.user.username, count, format });
+
+    } catch (error) {
+        req.log.error('Error exporting donors', { err: error });
+        // Once rows have been sent the status can't change; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        return respondError(res, 500, 'Error exporting donors', error);
+    }
+});
+
+// Import donors from a CSV typed up from paper registration sheets. Each row
+// is validated like /api/donate; valid rows are inserted together and the
+// stats move once. `dryRun=true` only returns the report. Donors go to the
+// drive named by `event`, or to the active drive.
+app.post('/api/donors/import', requireRole(ROLES.DESK), requireStorage, loadEventScope, csvBody, async (req, res) => {
+    try {
+        if (typeof req.body !== 'string') {
+            return res.status(400).json({ success: false, message: 'Upload the file as text/csv' });
+        }
+
+        const rules = await loadDonorRules();
+        const { error: fileError, value: rows } = readDonorRows(req.body, rules.form.fields);
+        if (fileError) {
+            return res.status(400).json({ success: false, message: fileError });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        const event = req.query.event ? req.event : await storage.events.findActive();
+        const eventId = event ? event.id : null;
+        const now = new Date();
+
+        const report = [];
+        const donors = [];
+        rows.forEach(({ row, input }) => {
+            let { error, value } = validateDonorInput(input, rules);
+            let donatedAt = now;
+            let undated = true;
+
+            // Paper sheets may carry the time the donor registered
+            if (!error && input.donatedAt) {
+                const date = parseDateParam(input.donatedAt);
+                if (!date) {
+                    error = 'Invalid registration date';
+                } else if (date > now) {
+                    error = 'Registration date is in the future';
+                } else {
+                    donatedAt = date;
+                    undated = false;
+                }
+            }
+
+            // Without a date the donor is stamped with the time of the import
+            // and flagged, so the timeline and the drive's pace leave them out
+            let message = error;
+            if (!error && undated) {
+                message = 'No date given: recorded at the time of the import and left out of the timeline and pace';
+            }
+            report.push({
+                row,
+                status: error ? 'rejected' : 'accepted',
+                fullName: input.fullName || '',
+                bloodGroup: input.bloodGroup || '',
+                ...(error ? {} : { donatedAt, undated }),
+                ...(message ? { message } : {})
+            });
+            if (!error) {
+                // Paper registrations are donations already made, screened on paper
+                donors.push({
+                    ...value,
+                    eventId,
+                    donatedAt,
+                    registeredAt: donatedAt,
+                    undated,
+                    status: STATUSES.COMPLETED,
+                    statusChangedAt: now,
+                    eligibility: null,
+                    deferredUntil: null,
+                    deferralReasons: []
+                });
+            }
+        });
+
+        const summary = {
+            dryRun,
+            event: event ? { slug: event.slug, name: event.name } : null,
+            total: rows.length,
+            accepted: donors.length,
+            rejected: rows.length - donors.length,
+            rows: report
+        };
+
+        if (dryRun || donors.length === 0) {
+            return res.json({
+                success: true,
+                message: donors.length
+                    ? `${donors.length} of ${rows.length} rows can be imported`
+                    : 'No valid rows to import',
+                data: summary
+            });
+        }
+
+        const inserted = await storage.donors.insertMany(donors);
+        await storage.stats.increment(inserted.length);
+        if (eventId) {
+            await storage.stats.increment(inserted.length, eventId);
+        }
+        await publishStats(eventId);
+
+        // One entry per donor, so each imported donor has a creation record like any other
+        for (const donor of inserted) {
+            await audit.record(req, ACTIONS.DONOR_IMPORT, { entityId: donor.id, after: donor });
+        }
+        req.log.info('Donors imported', { user: req.user.username, imported: inserted.length, rejected: summary.rejected, event: event ? event.slug : null });
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${inserted.length} ${inserted.length === 1 ? 'donor' : 'donors'}`,
+            data: summary
+        });
+
+    } catch (error) {
+        req.log.error('Error importing donors', { err: error });
+        return respondError(res, 500, 'Error importing donors', error);
+    }
+});
+
+// Get a single donor record
+app.get('/api/donors/:id', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const donor = await storage.donors.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+
+        res.json({ success: true, data: toStaffDonor(donor) });
+
+    } catch (error) {
+        req.log.error('Error fetching donor', { err: error });
+        return respondError(res, 500, 'Error fetching donor', error);
+    }
+});
+
+// A donor's phone number and email, for thanking or recalling them (admins only)
+app.get('/api/donors/:id/contact', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const donor = await storage.donors.findById(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+
+        const contact = decryptContact(donor);
+        await audit.record(req, ACTIONS.DONOR_CONTACT_READ, { entityId: donor.id });
+        req.log.info('Donor contact details read', { donorId: donor.id, user: req.user.username });
+
+        res.json({ success: true, data: { id: donor.id, fullName: donor.fullName, ...contact } });
+
+    } catch (error) {
+        req.log.error('Error reading donor contact details', { err: error });
+        return respondError(res, 500, 'Error reading contact details', error);
+    }
+});
+
+// Correct a donor record (name, blood group, age, year, department, name display)
+app.patch('/api/donors/:id', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const rules = await loadDonorRules();
+        const { error: validationError, errors: fieldErrors, value } = validateDonorInput(req.body, { partial: true, ...rules });
+        if (fieldErrors) {
+            return respondInvalid(res, fieldErrors);
+        }
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const current = await storage.donors.findById(req.params.id);
+        // Extra form fields not sent keep their values
+        if (current && value.details) {
+            value.details = { ...current.details, ...value.details };
+        }
+        const donor = current && await storage.donors.update(current.id, value);
+        if (!donor) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+
+        await audit.record(req, ACTIONS.DONOR_UPDATE, { entityId: donor.id, before: current, after: donor });
+        // A corrected blood group is corrected on the donor's bags too
+        if (donor.bloodGroup !== current.bloodGroup) {
+            const units = await storage.units.list({ filter: { donorId: donor.id } });
+            for (const before of units) {
+                const unit = await storage.units.update(before.id, { bloodGroup: donor.bloodGroup });
+                await audit.record(req, ACTIONS.UNIT_UPDATE, { entityId: unit.id, before, after: unit });
+            }
+        }
+        req.log.info('Donor updated', { donorId: donor.id, user: req.user.username, fields: Object.keys(value) });
+
+        res.json({ success: true, message: 'Donor updated', data: toStaffDonor(donor) });
+
+    } catch (error) {
+        req.log.error('Error updating donor', { err: error });
+        return respondError(res, 500, 'Error updating donor', error);
+    }
+});
+
+// Move a donor to the next step of the donation (see server/lifecycle.js).
+// Completing a donation counts the unit and celebrates it on the dashboard.
+app.patch('/api/donors/:id/status', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { status, deferredUntil } = req.body || {};
+        if (!DONOR_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Invalid status. Use one of: ${DONOR_STATUSES.join(', ')}` });
+        }
+
+        const current = await storage.donors.findById(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+        if (!canTransition(current.status, status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${current.status.replace('_', ' ')} donor can't be marked ${status.replace('_', ' ')}`
+            });
+        }
+
+        const now = new Date();
+        const changes = { status, statusChangedAt: now };
+        if (status === STATUSES.COMPLETED) {
+            // donatedAt becomes the time of the donation, which orders the dashboard feed
+            changes.donatedAt = now;
+        }
+        if (status === STATUSES.DEFERRED && deferredUntil !== undefined && deferredUntil !== null && deferredUntil !== '') {
+            const until = parseDateParam(String(deferredUntil));
+            if (!until || until <= now) {
+                return res.status(400).json({ success: false, message: 'Deferred until must be a future date' });
+            }
+            changes.deferredUntil = until;
+        }
+        const leavesWithoutDonating = NO_DONATION_STATUSES.includes(status);
+        if (leavesWithoutDonating && current.booking) {
+            changes.booking = BOOKINGS.CANCELLED;
+        }
+
+        // Only applied if nobody else moved the donor on in the meantime
+        const donor = await storage.donors.update(current.id, changes, { status: current.status });
+        if (!donor) {
+            return res.status(409).json({ success: false, message: 'Donor was updated by someone else. Reload and try again.' });
+        }
+
+        // The bed of a donor who leaves without donating goes to the slot's waitlist
+        if (leavesWithoutDonating && current.booking === BOOKINGS.CONFIRMED) {
+            await recordPromotions(req, await bookings.freeBed(current.slotId));
+        }
+
+        if (status === STATUSES.COMPLETED) {
+            await storage.stats.increment(1);
+            if (donor.eventId) {
+                await storage.stats.increment(1, donor.eventId);
+            }
+            live.publish('donation.created', toPublicDonor(donor));
+            await publishStats(donor.eventId);
+        }
+
+        await audit.record(req, ACTIONS.DONOR_STATUS, { entityId: donor.id, before: current, after: donor });
+        req.log.info('Donor status changed', { donorId: donor.id, from: current.status, to: status, bloodGroup: donor.bloodGroup, user: req.user.username });
+
+        res.json({ success: true, message: `Donor marked ${status.replace('_', ' ')}`, data: toStaffDonor(donor) });
+
+    } catch (error) {
+        req.log.error('Error updating donor status', { err: error });
+        return respondError(res, 500, 'Error updating donor status', error);
+    }
+});
+
+// Remove a donor record (e.g. a test entry) and take it off the unit count
+app.delete('/api/donors/:id', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const donor = await storage.donors.remove(req.params.id);
+        if (!donor) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+
+        // Never take a counter below zero if it had already drifted out of sync
+        const decrement = async eventId => {
+            const current = await storage.stats.get(eventId);
+            return current.totalBloodUnits > 0 ? storage.stats.increment(-1, eventId) : current;
+        };
+        // Deferred donors were never counted
+        let totalBloodUnits;
+        if (countsTowardsTotals(donor)) {
+            ({ totalBloodUnits } = await decrement(null));
+            if (donor.eventId) {
+                await decrement(donor.eventId);
+            }
+            await publishStats(donor.eventId);
+        } else {
+            ({ totalBloodUnits } = await storage.stats.get());
+        }
+        // Free the bed they were holding, if they hadn't donated yet
+        await recordPromotions(req, await bookings.release(donor));
+        await audit.record(req, ACTIONS.DONOR_DELETE, { entityId: donor.id, before: donor });
+        req.log.info('Donor deleted', { donorId: donor.id, user: req.user.username });
+
+        res.json({
+            success: true,
+            message: 'Donor deleted',
+            data: { id: donor.id, totalBloodUnits }
+        });
+
+    } catch (error) {
+        req.log.error('Error deleting donor', { err: error });
+        return respondError(res, 500, 'Error deleting donor', error);
+    }
+});
+
+// ============================================
+// EVENTS (DONATION DRIVES)
+// ============================================
+
+/**
+ * Picks a slug for a new event from its name, adding -2, -3, ... if taken
+ */
+async function uniqueEventSlug(name) {
+    const base = slugify(name);
+    let slug = RESERVED_EVENT_SLUGS.includes(base) ? `${base}-event` : base;
+    for (let n = 2; await storage.events.findBySlug(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+// Every drive with its unit count - the cross-event history
+app.get('/api/events', requireRole(ROLES.VIEWER), requireStorage, async (req, res) => {
+    try {
+        const events = await storage.events.list();
+        const withTotals = await Promise.all(events.map(async event => {
+            const { totalBloodUnits } = await storage.stats.get(event.id);
+            return { ...event, totalBloodUnits };
+        }));
+        const { totalBloodUnits } = await storage.stats.get();
+
+        res.json({
+            success: true,
+            data: withTotals,
+            totals: { events: events.length, totalBloodUnits }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching events', { err: error });
+        return respondError(res, 500, 'Error fetching events', error);
+    }
+});
+
+// A single drive with its unit count
+app.get('/api/events/:slug', requireRole(ROLES.VIEWER), requireStorage, async (req, res) => {
+    try {
+        const event = await storage.events.findBySlug(req.params.slug);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const { totalBloodUnits, lastUpdated } = await storage.stats.get(event.id);
+
+        res.json({ success: true, data: { ...event, totalBloodUnits, lastUpdated } });
+
+    } catch (error) {
+        req.log.error('Error fetching event', { err: error });
+        return respondError(res, 500, 'Error fetching event', error);
+    }
+});
+
+// Create a drive. Making it active moves new registrations to it.
+app.post('/api/events', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const { error: validationError, value } = validateEventInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const { active, ...fields } = value;
+        if (fields.slug && await storage.events.findBySlug(fields.slug)) {
+            return res.status(409).json({ success: false, message: 'Another event already uses that slug' });
+        }
+
+        let event = await storage.events.insert({
+            venue: null,
+            endsAt: null,
+            goal: null,
+            ...fields,
+            slug: fields.slug || await uniqueEventSlug(fields.name)
+        });
+        if (active) {
+            await storage.events.setActive(event.id);
+            event = await storage.events.findById(event.id);
         }
 
-        console.log('🔄 Connecting to MongoDB Atlas...');
+        await audit.record(req, ACTIONS.EVENT_CREATE, { entityId: event.id, after: event });
+        req.log.info('Event created', { event: event.slug, active: event.active, user: req.user.username });
 
-        // Add conservative connection options to improve TLS/server selection behavior
-        const clientOpts = {
-            // Enforce TLS (SRV URIs imply TLS but be explicit)
-            tls: true,
-            // Shorter server selection timeout so failures surface quickly in logs
-            serverSelectionTimeoutMS: 10000,
-            connectTimeoutMS: 10000,
-            socketTimeoutMS: 30000
-        };
+        res.status(201).json({ success: true, message: 'Event created', data: event });
 
-        mongoClient = new MongoClient(MONGODB_URI, clientOpts);
+    } catch (error) {
+        req.log.error('Error creating event', { err: error });
+        return respondError(res, 500, 'Error creating event', error);
+    }
+});
 
-        try {
-            await mongoClient.connect();
-        } catch (connectErr) {
-            // Augment error logs with local runtime details to diagnose TLS issues
-            console.error('❌ MongoDB connect() failed. Detailed diagnostics:');
-            console.error('- Error message:', connectErr && connectErr.message);
-            console.error('- Error name/code:', connectErr && connectErr.name, connectErr && connectErr.code);
-            console.error('- Node.js version:', process.version);
-            console.error('- OpenSSL version:', process.versions.openssl || 'unknown');
-
-            // Try to extract hostname for DNS lookup if using SRV or standard URI
-            try {
-                const uri = MONGODB_URI;
-                // Remove protocol and credentials
-                const hostPart = uri.replace(/^mongodb(?:\+srv)?:\/\//, '').split('/')[0];
-                const hostCandidate = hostPart.split('@').pop().split(':')[0];
-                if (hostCandidate) {
-                    const dns = require('dns');
-                    dns.lookup(hostCandidate, (err, address, family) => {
-                        if (err) {
-                            console.error(`- DNS lookup for ${hostCandidate} failed:`, err && err.message);
-                        } else {
-                            console.error(`- Resolved ${hostCandidate} -> ${address} (family ${family})`);
-                        }
-                    });
-                }
-            } catch (dx) {
-                console.error('- Hostname extraction failed:', dx && dx.message);
-            }
+// Edit a drive, or start/stop taking registrations for it with `active`
+app.patch('/api/events/:slug', requireRole(ROLES.ADMIN), requireStorage, async (req, res) => {
+    try {
+        const existing = await storage.events.findBySlug(req.params.slug);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
 
-            // Re-throw so the outer catch logs and surfaces the problem in deploy logs
-            throw connectErr;
+        const { error: validationError, value } = validateEventInput(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
         }
 
-        // Get database (from URI or default to 'blood_donation')
-        mongoDB = mongoClient.db();
-        donorsCollection = mongoDB.collection('donors');
-        statsCollection = mongoDB.collection('stats');
+        const { active, ...changes } = value;
+        const startsAt = changes.startsAt || existing.startsAt;
+        const endsAt = changes.endsAt !== undefined ? changes.endsAt : existing.endsAt;
+        if (endsAt && new Date(endsAt) < new Date(startsAt)) {
+            return res.status(400).json({ success: false, message: 'Event cannot end before it starts' });
+        }
+        if (changes.slug && changes.slug !== existing.slug && await storage.events.findBySlug(changes.slug)) {
+            return res.status(409).json({ success: false, message: 'Another event already uses that slug' });
+        }
 
-        console.log('✅ Connected to MongoDB Atlas successfully');
+        await storage.events.update(existing.id, changes);
+        if (active === true) {
+            await storage.events.setActive(existing.id);
+        } else if (active === false && existing.active) {
+            await storage.events.setActive(null);
+        }
+        const event = await storage.events.findById(existing.id);
 
-        // Ensure stats document exists with initial value
-        const statsDoc = await statsCollection.findOne({ identifier: 'global' });
-        if (!statsDoc) {
-            await statsCollection.insertOne({
-                identifier: 'global',
-                total_blood_units: 0,
-                last_updated: new Date()
-            });
-            console.log('✅ Created initial stats document');
-        } else {
-            console.log('✅ Stats document exists');
+        await audit.record(req, ACTIONS.EVENT_UPDATE, { entityId: event.id, before: existing, after: event });
+        // Dashboards following the drive show the new goal straight away
+        if (changes.goal !== undefined && changes.goal !== existing.goal) {
+            live.publish('stats.updated', await scopedStats(event.id));
         }
+        req.log.info('Event updated', { event: event.slug, user: req.user.username, fields: Object.keys(value) });
 
-        // Create indexes for performance
-        await donorsCollection.createIndex({ donatedAt: -1 });
-        await donorsCollection.createIndex({ bloodGroup: 1 });
-        console.log('✅ Database indexes created');
+        res.json({ success: true, message: 'Event updated', data: event });
 
-    } catch (e) {
-        console.error('❌ MongoDB initialization error:', e && e.message);
-        console.error('Full stack:', e && e.stack);
-        // Keep server running; surface errors on API calls
+    } catch (error) {
+        req.log.error('Error updating event', { err: error });
+        return respondError(res, 500, 'Error updating event', error);
     }
+});
+
+// ============================================
+// TIME SLOTS
+// ============================================
+
+/**
+ * Finds the drive named in the URL; `active` is the drive taking registrations
+ */
+function findEventForSlots(slug) {
+    return slug === 'active' ? storage.events.findActive() : storage.events.findBySlug(slug);
 }
 
-async function shutdownMongo() {
+/**
+ * Middleware: loads the drive (`req.event`) and, for routes with an `:id`,
+ * one of its slots (`req.slot`)
+ */
+async function loadSlotScope(req, res, next) {
     try {
-        if (mongoClient) {
-            await mongoClient.close();
-            console.log('MongoDB connection closed');
+        req.event = await findEventForSlots(req.params.slug);
+        if (!req.event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
         }
-    } catch (e) {
-        console.error('Error closing MongoDB:', e.message);
+        if (req.params.id !== undefined) {
+            req.slot = await storage.slots.findById(req.params.id);
+            if (!req.slot || req.slot.eventId !== req.event.id) {
+                return res.status(404).json({ success: false, message: 'Slot not found' });
+            }
+        }
+        next();
+    } catch (error) {
+        req.log.error('Error loading slot', { err: error });
+        return respondError(res, 500, 'Error loading slot', error);
     }
 }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// A drive's time slots with the beds left and the length of each waitlist
+app.get('/api/events/:slug/slots', requireRole(ROLES.VIEWER), requireStorage, loadSlotScope, async (req, res) => {
+    try {
+        const slots = await storage.slots.listByEvent(req.event.id);
+        const withWaitlists = await Promise.all(slots.map(async slot => toPublicSlot(slot, await countWaitlisted(slot.id))));
 
-// Simple request logger for debugging
-app.use((req, res, next) => {
-    const now = new Date().toISOString();
-    console.log(`[${now}] --> ${req.method} ${req.originalUrl} from ${req.ip}`);
-    // capture body for POST requests (avoid logging in production)
-    if (req.method === 'POST' && process.env.DEBUG === 'true') {
-        try {
-            console.log('     Body:', JSON.stringify(req.body));
-        } catch (e) {
-            console.log('     Body: (could not stringify)');
+        res.json({
+            success: true,
+            data: withWaitlists,
+            event: { slug: req.event.slug, name: req.event.name }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching slots', { err: error });
+        return respondError(res, 500, 'Error fetching slots', error);
+    }
+});
+
+// Add a time slot to a drive
+app.post('/api/events/:slug/slots', requireRole(ROLES.ADMIN), requireStorage, loadSlotScope, async (req, res) => {
+    try {
+        const { error: validationError, value } = validateSlotInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
         }
+
+        const slot = await storage.slots.insert({ eventId: req.event.id, ...value });
+        await audit.record(req, ACTIONS.SLOT_CREATE, { entityId: slot.id, after: slot });
+        req.log.info('Slot created', { slotId: slot.id, capacity: slot.capacity, event: req.event.slug, user: req.user.username });
+
+        res.status(201).json({ success: true, message: 'Slot created', data: toPublicSlot(slot, 0) });
+
+    } catch (error) {
+        req.log.error('Error creating slot', { err: error });
+        return respondError(res, 500, 'Error creating slot', error);
     }
-    // hook into response finish to log status
-    res.on('finish', () => {
-        console.log(`[${now}] <-- ${req.method} ${req.originalUrl} ${res.statusCode}`);
-    });
-    next();
 });
 
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, '../public')));
+// Change a slot's times or capacity. Extra beds go to the waitlist straight away.
+app.patch('/api/events/:slug/slots/:id', requireRole(ROLES.ADMIN), requireStorage, loadSlotScope, async (req, res) => {
+    try {
+        const { error: validationError, value } = validateSlotInput(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
 
-// Helper to send errors with optional debug info (enable by setting DEBUG=true)
-function respondError(res, status, userMessage, error) {
-    const payload = { success: false, message: userMessage };
-    if (process.env.DEBUG === 'true' && error) {
-        payload._debug = {
-            message: error.message || String(error),
-            stack: error.stack || null
-        };
+        const startsAt = value.startsAt || req.slot.startsAt;
+        const endsAt = value.endsAt || req.slot.endsAt;
+        if (new Date(endsAt) <= new Date(startsAt)) {
+            return res.status(400).json({ success: false, message: 'Slot must end after it starts' });
+        }
+        if (value.capacity !== undefined && value.capacity < req.slot.booked) {
+            return res.status(409).json({
+                success: false,
+                message: `Capacity can't be lower than the ${req.slot.booked} beds already booked`
+            });
+        }
+
+        await storage.slots.update(req.slot.id, value);
+        if (value.capacity > req.slot.capacity) {
+            await recordPromotions(req, await bookings.promoteWaitlist(req.slot.id));
+        }
+        const slot = await storage.slots.findById(req.slot.id);
+
+        await audit.record(req, ACTIONS.SLOT_UPDATE, { entityId: slot.id, before: req.slot, after: slot });
+        req.log.info('Slot updated', { slotId: slot.id, event: req.event.slug, user: req.user.username, fields: Object.keys(value) });
+
+        res.json({ success: true, message: 'Slot updated', data: toPublicSlot(slot, await countWaitlisted(slot.id)) });
+
+    } catch (error) {
+        req.log.error('Error updating slot', { err: error });
+        return respondError(res, 500, 'Error updating slot', error);
     }
-    return res.status(status).json(payload);
-}
+});
+
+// Remove a slot nobody has booked
+app.delete('/api/events/:slug/slots/:id', requireRole(ROLES.ADMIN), requireStorage, loadSlotScope, async (req, res) => {
+    try {
+        if (req.slot.booked > 0 || await countWaitlisted(req.slot.id) > 0) {
+            return res.status(409).json({ success: false, message: 'Slots with bookings or a waitlist can\'t be deleted' });
+        }
+
+        await storage.slots.remove(req.slot.id);
+        await audit.record(req, ACTIONS.SLOT_DELETE, { entityId: req.slot.id, before: req.slot });
+        req.log.info('Slot deleted', { slotId: req.slot.id, event: req.event.slug, user: req.user.username });
+
+        res.json({ success: true, message: 'Slot deleted', data: { id: req.slot.id } });
+
+    } catch (error) {
+        req.log.error('Error deleting slot', { err: error });
+        return respondError(res, 500, 'Error deleting slot', error);
+    }
+});
 
 // ============================================
-// API ROUTES
+// BLOOD INVENTORY
 // ============================================
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    const health = {
-        status: 'running',
-        timestamp: new Date().toISOString(),
-        database: {
-            type: 'MongoDB Atlas',
-            configured: !!mongoClient,
-            connected: !!mongoDB,
-            collections: {
-                donors: !!donorsCollection,
-                stats: !!statsCollection
-            }
-        },
-        environment: {
-            NODE_ENV: process.env.NODE_ENV || 'development',
-            PORT: PORT,
-            DEBUG: process.env.DEBUG || 'false'
+/**
+ * Component keys with their names, shelf life and usual volume
+ */
+function componentList() {
+    return Object.entries(COMPONENTS).map(([key, component]) => ({ key, ...component }));
+}
+
+// Blood units, soonest expiry first (available ones unless `status` says otherwise)
+app.get('/api/inventory', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { error: queryError, value: listQuery } = parseUnitListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
         }
-    };
-    console.log('Health check:', JSON.stringify(health, null, 2));
-    res.json(health);
+
+        const now = new Date();
+        const units = await storage.units.list(listQuery);
+        res.json({ success: true, data: units.map(unit => toPublicUnit(unit, now)) });
+
+    } catch (error) {
+        req.log.error('Error fetching blood units', { err: error });
+        return respondError(res, 500, 'Error fetching blood units', error);
+    }
 });
 
-// Donate endpoint - register new donor
-app.post('/api/donate', async (req, res) => {
-    console.log('\n=== /api/donate START ===');
-    console.log('Step 1: Handler invoked');
-    
-    try {
-        console.log('Step 2: Checking MongoDB connection...');
-        if (!donorsCollection || !statsCollection) {
-            console.error('Step 2 FAILED: MongoDB not connected');
-            return res.status(500).json({ 
-                success: false, 
-                message: 'Database not configured. Please contact administrator.' 
-            });
+// Usable stock per blood group and component: available units not yet expired
+app.get('/api/inventory/stock', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const now = new Date();
+        const stock = summariseStock(await storage.units.stock(now), VALID_BLOOD_GROUPS);
+        res.json({ success: true, data: { at: now, ...stock, components: componentList() } });
+
+    } catch (error) {
+        req.log.error('Error fetching stock', { err: error });
+        return respondError(res, 500, 'Error fetching stock', error);
+    }
+});
+
+// One blood group's stock, with its usable units soonest expiry first
+app.get('/api/inventory/stock/:bloodGroup', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { bloodGroup } = req.params;
+        if (!VALID_BLOOD_GROUPS.includes(bloodGroup)) {
+            return res.status(400).json({ success: false, message: 'Invalid blood group' });
         }
-        console.log('Step 2: MongoDB connected ✓');
-        
-        console.log('Step 3: Extracting request body...');
-        const { fullName, bloodGroup, age, year } = req.body;
-        console.log('Step 3: Body extracted ✓', { fullName, bloodGroup, age, year });
 
-        // Server-side validation
-        console.log('Step 4: Validating required fields...');
-        if (!fullName || !bloodGroup || !age || !year) {
-            console.error('Step 4 FAILED: Missing required fields');
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required'
-            });
+        const now = new Date();
+        const [rows, units] = await Promise.all([
+            storage.units.stock(now),
+            storage.units.list({
+                filter: { status: UNIT_STATUSES.AVAILABLE, bloodGroup, expiresFrom: new Date(now.getTime() + 1) },
+                limit: MAX_UNIT_PAGE
+            })
+        ]);
+        const [group] = summariseStock(rows, [bloodGroup]).groups;
+
+        res.json({ success: true, data: { at: now, ...group, available: units.map(unit => toPublicUnit(unit, now)) } });
+
+    } catch (error) {
+        req.log.error('Error fetching stock', { err: error });
+        return respondError(res, 500, 'Error fetching stock', error);
+    }
+});
+
+// Near-expiry report: available units expiring in the next `days` days, and
+// expired ones still on the shelf that should be discarded
+app.get('/api/inventory/expiring', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const days = req.query.days === undefined || req.query.days === '' ? NEAR_EXPIRY_DAYS : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_NEAR_EXPIRY_DAYS) {
+            return res.status(400).json({ success: false, message: `days must be a whole number from 1 to ${MAX_NEAR_EXPIRY_DAYS}` });
         }
-        console.log('Step 4: Required fields valid ✓');
 
-        console.log('Step 5: Validating age...');
-        const ageNum = parseInt(age);
-        if (isNaN(ageNum) || ageNum < 18) {
-            console.error('Step 5 FAILED: Invalid age:', age);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Donor must be at least 18 years old' 
-            });
+        const now = new Date();
+        const [expiring, expired] = await Promise.all([
+            storage.units.list({
+                filter: { status: UNIT_STATUSES.AVAILABLE, expiresFrom: new Date(now.getTime() + 1), expiresTo: new Date(now.getTime() + days * DAY) },
+                limit: MAX_UNIT_PAGE
+            }),
+            storage.units.list({
+                filter: { status: UNIT_STATUSES.AVAILABLE, expiresTo: new Date(now.getTime() + 1) },
+                limit: MAX_UNIT_PAGE
+            })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                at: now,
+                days,
+                expiring: expiring.map(unit => toPublicUnit(unit, now)),
+                expired: expired.map(unit => toPublicUnit(unit, now))
+            }
+        });
+
+    } catch (error) {
+        req.log.error('Error fetching the near-expiry report', { err: error });
+        return respondError(res, 500, 'Error fetching the near-expiry report', error);
+    }
+});
+
+// Log a bag collected from a completed donation. Its expiry follows from the component.
+app.post('/api/inventory', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { error: validationError, value } = validateUnitInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
         }
-        console.log('Step 5: Age valid ✓', ageNum);
 
-        console.log('Step 6: Validating blood group...');
-        const validBloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-        if (!validBloodGroups.includes(bloodGroup)) {
-            console.error('Step 6 FAILED: Invalid blood group:', bloodGroup);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid blood group' 
-            });
+        const donor = await storage.donors.findById(value.donorId);
+        if (!donor) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+        if (donor.status !== STATUSES.COMPLETED) {
+            return res.status(409).json({ success: false, message: 'Units can only be logged for completed donations' });
+        }
+        if (await storage.units.findByBagId(value.bagId)) {
+            return res.status(409).json({ success: false, message: 'Another unit already uses that bag ID' });
         }
-        console.log('Step 6: Blood group valid ✓');
 
-        console.log('Step 7: Validating year...');
-        const validYears = ['FY', 'SY', 'TY', 'Final Year'];
-        if (!validYears.includes(year)) {
-            console.error('Step 7 FAILED: Invalid year:', year);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Invalid year selection' 
-            });
+        const collectedAt = value.collectedAt || new Date(donor.donatedAt);
+        const unit = await storage.units.insert({
+            bagId: value.bagId,
+            donorId: donor.id,
+            eventId: donor.eventId || null,
+            bloodGroup: donor.bloodGroup,
+            component: value.component,
+            volumeMl: value.volumeMl || COMPONENTS[value.component].volumeMl,
+            collectedAt,
+            expiresAt: expiryFor(value.component, collectedAt),
+            status: UNIT_STATUSES.AVAILABLE
+        });
+
+        await audit.record(req, ACTIONS.UNIT_CREATE, { entityId: unit.id, after: unit });
+        req.log.info('Blood unit logged', { unitId: unit.id, donorId: donor.id, component: unit.component, user: req.user.username });
+
+        res.status(201).json({ success: true, message: 'Unit logged', data: toPublicUnit(unit) });
+
+    } catch (error) {
+        req.log.error('Error logging blood unit', { err: error });
+        return respondError(res, 500, 'Error logging blood unit', error);
+    }
+});
+
+// Take a unit out of stock: `issued` to a patient or `discarded`
+app.patch('/api/inventory/:id', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { status } = req.body || {};
+        if (![UNIT_STATUSES.ISSUED, UNIT_STATUSES.DISCARDED].includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be ${UNIT_STATUSES.ISSUED} or ${UNIT_STATUSES.DISCARDED}` });
         }
-        console.log('Step 7: Year valid ✓');
 
-        // Insert donor into MongoDB
-        console.log('Step 8: Inserting donor into MongoDB...');
-        const donorDoc = {
-            fullName: fullName.trim(),
-            bloodGroup,
-            age: ageNum,
-            year,
-            donatedAt: new Date()
-        };
-        
-        const result = await donorsCollection.insertOne(donorDoc);
-        console.log('Step 9: Insert successful ✓', result.insertedId);
-
-        // Update stats atomically
-        console.log('Step 10: Updating MongoDB stats...');
-        const statsRes = await statsCollection.findOneAndUpdate(
-            { identifier: 'global' },
-            { 
-                $inc: { total_blood_units: 1 }, 
-                $set: { last_updated: new Date() } 
-            },
-            { 
-                returnDocument: 'after', 
-                upsert: true 
-            }
-        );
-        
-        const totalUnits = statsRes.value ? statsRes.value.total_blood_units : 1;
-        console.log('Step 10: MongoDB stats updated ✓', { totalUnits });
+        const current = await storage.units.findById(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, message: 'Unit not found' });
+        }
+        if (current.status !== UNIT_STATUSES.AVAILABLE) {
+            return res.status(409).json({ success: false, message: `This unit was already ${current.status}` });
+        }
+        if (status === UNIT_STATUSES.ISSUED && isExpired(current)) {
+            return res.status(409).json({ success: false, message: 'Expired units can only be discarded' });
+        }
 
-        console.log('Step 11: Preparing response...');
-        console.log(`🩸 New donor registered: ${fullName.trim()} (${bloodGroup})`);
+        const unit = await storage.units.update(current.id, { status, statusChangedAt: new Date() });
+        await audit.record(req, ACTIONS.UNIT_UPDATE, { entityId: unit.id, before: current, after: unit });
+        req.log.info('Blood unit updated', { unitId: unit.id, status, user: req.user.username });
 
-        console.log('Step 12: Sending 201 response...');
-        res.status(201).json({
+        res.json({ success: true, message: `Unit ${status}`, data: toPublicUnit(unit) });
+
+    } catch (error) {
+        req.log.error('Error updating blood unit', { err: error });
+        return respondError(res, 500, 'Error updating blood unit', error);
+    }
+});
+
+// ============================================
+// COMPATIBILITY MATCHER
+// ============================================
+
+// Donor groups a recipient can receive a component from, by preference, with
+// the usable units and completed donations of those groups
+app.get('/api/compatibility', requireRole(ROLES.DESK), requireStorage, async (req, res) => {
+    try {
+        const { bloodGroup, component = 'prbc' } = req.query;
+        if (!VALID_BLOOD_GROUPS.includes(bloodGroup)) {
+            return res.status(400).json({ success: false, message: 'Invalid blood group' });
+        }
+        if (!isComponent(component)) {
+            return res.status(400).json({ success: false, message: `Invalid component. Use one of: ${Object.keys(COMPONENTS).join(', ')}` });
+        }
+
+        const now = new Date();
+        const groups = compatibleGroups(bloodGroup, component);
+        const groupNames = groups.map(group => group.bloodGroup);
+        const [units, donors] = await Promise.all([
+            storage.units.list({
+                filter: { status: UNIT_STATUSES.AVAILABLE, bloodGroup: groupNames, component, expiresFrom: new Date(now.getTime() + 1) },
+                limit: MAX_UNIT_PAGE
+            }),
+            storage.donors.list({
+                filter: { status: STATUSES.COMPLETED, bloodGroup: groupNames },
+                sort: 'newest',
+                after: null,
+                limit: MAX_MATCHED_DONORS
+            })
+        ]);
+
+        // Best group first; units keep soonest expiry and donors newest first within a group
+        const byPreference = (a, b) => groupNames.indexOf(a.bloodGroup) - groupNames.indexOf(b.bloodGroup);
+
+        res.json({
             success: true,
-            message: 'Donation registered successfully',
             data: {
-                donor: {
-                    fullName: fullName.trim(),
-                    bloodGroup: bloodGroup
-                },
-                totalUnits: totalUnits
+                at: now,
+                bloodGroup,
+                component,
+                groups: groups.map(group => ({
+                    ...group,
+                    units: units.filter(unit => unit.bloodGroup === group.bloodGroup).length
+                })),
+                units: units.sort(byPreference).map(unit => toPublicUnit(unit, now)),
+                donors: donors.sort(byPreference).map(toStaffListDonor)
             }
         });
 
-        console.log('=== /api/donate SUCCESS ===\n');
-        
     } catch (error) {
-        console.error('\n=== /api/donate ERROR ===');
-        console.error('Error occurred during donor registration');
-        console.error('Error type:', error.constructor.name);
-        console.error('Error message:', error.message);
-        console.error('Full stack:', error.stack);
-        console.error('=========================\n');
-        return respondError(res, 500, 'Server error. Please try again later.', error);
+        req.log.error('Error matching blood groups', { err: error });
+        return respondError(res, 500, 'Error matching blood groups', error);
     }
 });
 
-// Get statistics
-app.get('/api/stats', async (req, res) => {
+// ============================================
+// BOOKINGS (DONORS' MANAGE LINKS)
+// ============================================
+
+/**
+ * Middleware: loads the donor whose booking link was used (`req.donor`)
+ */
+async function loadBooking(req, res, next) {
     try {
-        console.log('Entering /api/stats handler');
-        
-        if (!statsCollection) {
-            return res.status(500).json({ 
-                success: false, 
-                message: 'Database not configured' 
-            });
+        const donorId = verifyBookingToken(req.params.token);
+        const donor = donorId ? await storage.donors.findById(donorId) : null;
+        if (!donor || !donor.booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
         }
-        
-        const doc = await statsCollection.findOne({ identifier: 'global' });
-        const total = doc ? parseInt(doc.total_blood_units || 0, 10) : 0;
-        const lastUpdated = doc ? doc.last_updated : null;
-        
-        console.log('Stats fetched:', { total, lastUpdated });
-        
-        res.json({ 
-            success: true, 
-            data: { 
-                totalBloodUnits: total, 
-                lastUpdated: lastUpdated 
-            } 
+        req.donor = donor;
+        next();
+    } catch (error) {
+        req.log.error('Error loading booking', { err: error });
+        return respondError(res, 500, 'Error loading booking', error);
+    }
+}
+
+/**
+ * Whether a donor can still cancel or move their booking (not yet arrived)
+ */
+function isBookingChangeable(donor) {
+    return donor.status === STATUSES.REGISTERED && donor.booking !== BOOKINGS.CANCELLED;
+}
+
+/**
+ * What a donor's booking page shows: their slot, their place on its waitlist
+ * and the drive's upcoming slots they could move to
+ */
+async function toBookingView(donor) {
+    const now = new Date();
+    const [slot, event] = await Promise.all([
+        donor.slotId ? storage.slots.findById(donor.slotId) : null,
+        donor.eventId ? storage.events.findById(donor.eventId) : null
+    ]);
+    const slots = event ? await storage.slots.listByEvent(event.id) : [];
+
+    // Waitlisted donors who registered before this one, plus this one
+    let waitlistPosition = null;
+    if (donor.booking === BOOKINGS.WAITLISTED && donor.status === STATUSES.REGISTERED && donor.slotId) {
+        waitlistPosition = await storage.donors.count({
+            slotId: donor.slotId,
+            booking: BOOKINGS.WAITLISTED,
+            status: STATUSES.REGISTERED,
+            to: new Date(new Date(donor.donatedAt).getTime() + 1)
         });
-        
+    }
+
+    return {
+        donor: { fullName: donor.fullName, bloodGroup: donor.bloodGroup, status: donor.status },
+        event: event && { slug: event.slug, name: event.name, venue: event.venue },
+        booking: {
+            status: donor.booking,
+            slot: slot && toPublicSlot(slot),
+            waitlistPosition,
+            changeable: isBookingChangeable(donor)
+        },
+        slots: slots.filter(s => new Date(s.endsAt) > now).map(s => toPublicSlot(s))
+    };
+}
+
+// A donor's booking, opened from the link they got when registering
+app.get('/api/bookings/:token', requireRole(ROLES.VIEWER), requireStorage, loadBooking, async (req, res) => {
+    try {
+        res.json({ success: true, data: await toBookingView(req.donor) });
     } catch (error) {
-        console.error('Error fetching stats:', error.stack);
-        return respondError(res, 500, 'Error fetching statistics', error);
+        req.log.error('Error fetching booking', { err: error });
+        return respondError(res, 500, 'Error fetching booking', error);
     }
 });
 
-// Sync stats (recount from donors collection)
-app.post('/api/sync-stats', async (req, res) => {
+// Move a booking to another slot of the same drive that still has a free bed
+app.patch('/api/bookings/:token', requireRole(ROLES.VIEWER), requireStorage, loadBooking, async (req, res) => {
     try {
-        console.log('Entering /api/sync-stats handler');
-        
-        if (!donorsCollection || !statsCollection) {
-            return res.status(500).json({ 
-                success: false, 
-                message: 'Database not configured' 
-            });
+        const current = req.donor;
+        if (!isBookingChangeable(current)) {
+            return res.status(409).json({ success: false, message: 'This booking can no longer be changed' });
         }
-        
-        const donorCount = await donorsCollection.countDocuments();
-        console.log('Total donors counted:', donorCount);
-        
-        await statsCollection.updateOne(
-            { identifier: 'global' },
-            { 
-                $set: { 
-                    total_blood_units: donorCount, 
-                    last_updated: new Date() 
-                } 
-            },
-            { upsert: true }
-        );
-        
-        console.log('Stats synced successfully');
-        
-        res.json({ 
-            success: true, 
-            message: `Stats synced. Total donors: ${donorCount}`, 
-            data: { totalBloodUnits: donorCount } 
-        });
-        
+
+        const { slotId } = req.body || {};
+        const slot = slotId ? await storage.slots.findById(String(slotId)) : null;
+        if (!slot || slot.eventId !== current.eventId) {
+            return res.status(400).json({ success: false, message: 'Invalid time slot' });
+        }
+        if (new Date(slot.endsAt) <= new Date()) {
+            return res.status(400).json({ success: false, message: 'That time slot has already ended' });
+        }
+        if (slot.id === current.slotId) {
+            return res.status(400).json({ success: false, message: 'You are already booked into that slot' });
+        }
+
+        const result = await bookings.reschedule(current, slot);
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+        await audit.record(req, ACTIONS.BOOKING_MOVE, { entityId: current.id, before: current, after: result.donor, actorRole: 'donor' });
+        await recordPromotions(req, result.promoted);
+        req.log.info('Booking moved', { donorId: current.id, fromSlotId: current.slotId, toSlotId: slot.id });
+
+        res.json({ success: true, message: 'Booking moved', data: await toBookingView(result.donor) });
+
     } catch (error) {
-        console.error('Error syncing stats:', error.stack);
-        return respondError(res, 500, 'Error syncing statistics', error);
+        req.log.error('Error moving booking', { err: error });
+        return respondError(res, 500, 'Error moving booking', error);
     }
 });
 
-// Get recent donors
-app.get('/api/donors', async (req, res) => {
+// Cancel a booking; the bed goes to the first donor on the slot's waitlist
+app.delete('/api/bookings/:token', requireRole(ROLES.VIEWER), requireStorage, loadBooking, async (req, res) => {
     try {
-        console.log('Entering /api/donors handler, query:', req.query);
-        
-        if (!donorsCollection) {
-            return res.status(500).json({ 
-                success: false, 
-                message: 'Database not configured' 
-            });
+        const current = req.donor;
+        if (!isBookingChangeable(current)) {
+            return res.status(409).json({ success: false, message: 'This booking can no longer be changed' });
         }
-        
-        const limit = parseInt(req.query.limit) || 10;
-        console.log('Fetching donors with limit:', limit);
-        
-        const docs = await donorsCollection
-            .find()
-            .sort({ donatedAt: -1 })
-            .limit(limit)
-            .toArray();
-        
-        const mapped = docs.map(d => ({ 
-            fullName: d.fullName, 
-            bloodGroup: d.bloodGroup, 
-            donatedAt: d.donatedAt 
-        }));
-        
-        console.log(`Fetched ${mapped.length} donors`);
-        
-        res.json({ success: true, data: mapped });
-        
+
+        const result = await bookings.cancel(current);
+        if (!result.donor) {
+            return res.status(409).json({ success: false, message: 'Your booking was changed in the meantime. Please reload the page.' });
+        }
+        await audit.record(req, ACTIONS.BOOKING_CANCEL, { entityId: current.id, before: current, after: result.donor, actorRole: 'donor' });
+        await recordPromotions(req, result.promoted);
+        req.log.info('Booking cancelled', { donorId: current.id, slotId: current.slotId });
+
+        res.json({ success: true, message: 'Booking cancelled', data: await toBookingView(result.donor) });
+
     } catch (error) {
-        console.error('Error fetching donors:', error.stack);
-        return respondError(res, 500, 'Error fetching donors', error);
+        req.log.error('Error cancelling booking', { err: error });
+        return respondError(res, 500, 'Error cancelling booking', error);
     }
 });
 
@@ -436,9 +2450,19 @@ app.get('/api/donors', async (req, res) => {
 // PAGE ROUTES
 // ============================================
 
-// Serve registration page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../public/index.html'));
+// Serve registration page, with a form token for the device
+app.get('/', async (req, res, next) => {
+    try {
+        const html = await fs.promises.readFile(INDEX_PAGE, 'utf8');
+        const { device } = deviceIdFor(req, res);
+        res.set('Cache-Control', 'no-store');
+        // Over the new-device limit the page comes without a token, and
+        // fetching one from /api/form-token says why
+        if (!device) return res.type('html').send(html);
+        res.type('html').send(html.replace(FORM_TOKEN_PLACEHOLDER, `<meta name="form-token" content="${issueFormToken(device)}">`));
+    } catch (error) {
+        next(error);
+    }
 });
 
 // Serve thank you page
@@ -451,6 +2475,16 @@ app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/dashboard.html'));
 });
 
+// Serve the booking page donors reach from their manage link
+app.get('/booking', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/booking.html'));
+});
+
+// Serve staff console (drives and history)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/admin.html'));
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).sendFile(path.join(__dirname, '../public/index.html'));
@@ -458,7 +2492,7 @@ app.use((req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Server error:', err);
+    (req.log || logger).error('Unhandled request error', { err });
     res.status(500).json({ success: false, message: 'Internal server error' });
 });
 
@@ -467,16 +2501,15 @@ app.use((err, req, res, next) => {
 // ============================================
 
 async function startServer() {
-    await initMongo();
+    await initStorage();
 
     app.listen(PORT, () => {
-        console.log('========================================');
-        console.log('🩸 Blood Donation Event Website');
-        console.log('========================================');
-        console.log(`🚀 Server running on http://localhost:${PORT}`);
-        console.log(`📝 Registration: http://localhost:${PORT}/`);
-        console.log(`📊 Dashboard: http://localhost:${PORT}/dashboard`);
-        console.log('========================================');
+        logger.info('Server running', {
+            url: `http://localhost:${PORT}`,
+            dashboard: `http://localhost:${PORT}/dashboard`,
+            backend: storage.name,
+            logLevel: logger.level
+        });
     });
 }
 
@@ -489,12 +2522,10 @@ if (require.main === module) {
 // Export handler at top-level so Vercel detects exports even if initialization is delayed.
 module.exports = async function vercelHandler(req, res) {
     try {
-        if (!mongoClient) {
-            await initMongo();
-        }
+        await initStorage();
         return app(req, res);
     } catch (e) {
-        console.error('Error in serverless handler init:', e && e.stack ? e.stack : e);
+        logger.error('Error in serverless handler init', { err: e });
         return respondError(res, 500, 'Server error during initialization', e);
     }
 };
@@ -510,23 +2541,23 @@ module.exports.default = vercelHandler;
 module.exports.handler = vercelHandler;
 
 // Global error handlers for debugging
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason && reason.stack ? reason.stack : reason);
+process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { err: reason });
 });
 
 process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err && err.stack ? err.stack : err);
+    logger.error('Uncaught exception', { err });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-    console.log('SIGTERM received, shutting down gracefully...');
-    await shutdownMongo();
+    logger.info('SIGTERM received, shutting down gracefully');
+    await shutdownStorage();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-    console.log('SIGINT received, shutting down gracefully...');
-    await shutdownMongo();
+    logger.info('SIGINT received, shutting down gracefully');
+    await shutdownStorage();
     process.exit(0);
 });
@@ -0,0 +1,118 @@
+/**
+ * Storage Adapter
+ * Chooses the donors/stats repository implementation from STORAGE_BACKEND.
+ *
+ * Every backend returns an object of the same shape:
+ *
+ *   name                       'mongo' | 'memory' | 'postgres'
+ *   init() / close()           connect and disconnect
+ *   isReady()                  true once init() has succeeded
+ *   status()                   details for /api/health
+ *
+ *   donors.insert(donor)       -> donor (with string `id`)
+ *   donors.insertMany(donors)  -> inserted donors, in order
+ *   donors.list(query)         -> one page of donors (see ./query.js)
+ *   donors.count(filter)       -> number of donors matching the filter
+ *   donors.breakdown(filter)   -> counts per blood group, year, age band,
+ *                                 department and class (see ./query.js)
+ *   donors.timeline(filter, { bucketMs, offsetMs })
+ *                              -> donors per time bucket, oldest first (see ./query.js)
+ *   donors.findById(id)        -> donor | null
+ *   donors.update(id, changes, expected?)
+ *                              -> updated donor | null (also null, and nothing
+ *                                 changed, when a field differs from `expected`)
+ *   donors.remove(id)          -> removed donor | null
+ *
+ *   events.list()              -> all events, latest start first
+ *   events.findById(id)        -> event | null
+ *   events.findBySlug(slug)    -> event | null
+ *   events.findActive()        -> the active event | null
+ *   events.insert(event)       -> event (with string `id`, inactive)
+ *   events.update(id, changes) -> updated event | null
+ *   events.setActive(id)       -> makes one event active and every other inactive (null: none)
+ *
+ *   slots.listByEvent(eventId) -> an event's time slots, earliest first
+ *   slots.findById(id)         -> slot | null
+ *   slots.insert(slot)         -> slot (with string `id`, nothing booked)
+ *   slots.update(id, changes)  -> updated slot | null
+ *   slots.remove(id)           -> removed slot | null
+ *   slots.reserve(id)          -> slot with one more bed booked | null when full (atomic)
+ *   slots.release(id)          -> slot with one bed freed | null
+ *
+ *   stats.get(eventId?)                -> { totalBloodUnits, lastUpdated }
+ *   stats.increment(amount, eventId?)  -> { totalBloodUnits, lastUpdated }
+ *   stats.set(total, eventId?)         -> { totalBloodUnits, lastUpdated }
+ *   (without an eventId these are the all-time totals)
+ *
+ *   units.list({ filter, limit }) -> blood units, soonest expiry first (see ./query.js)
+ *   units.findById(id)         -> unit | null
+ *   units.findByBagId(bagId)   -> unit | null
+ *   units.insert(unit)         -> unit (with string `id`)
+ *   units.update(id, changes)  -> updated unit | null
+ *   units.stock(at)            -> available units not expired at `at`, counted per
+ *                                 blood group and component (see ./query.js)
+ *
+ *   settings.get(key)          -> the saved value (any JSON) | null
+ *   settings.set(key, value)   -> value, replacing what was saved under key
+ *
+ *   audit.append(entry)        -> entry (with string `id`); entries are never changed
+ *   audit.list(query)          -> entries matching the filter, newest first (see ./query.js)
+ *
+ * Donors use the camelCase field names the API already exposes
+ * (fullName, bloodGroup, age, year, donatedAt, eventId), the lifecycle
+ * fields status, registeredAt and statusChangedAt, the questionnaire outcome:
+ * eligibility (null when not screened), deferredUntil and deferralReasons
+ * (rule ids), the slot booking: slotId and booking (null without one),
+ * nameDisplay (how public screens show the name; missing means 'full'),
+ * department (null when not asked), details (answers to the extra fields of
+ * the registration form, by key; missing or null without any), undated (true
+ * for imported donors whose sheet had no date; missing means false) and the contact details: phoneEncrypted, emailEncrypted, phoneConsentAt and
+ * emailConsentAt (see ../contact.js; backends store them as given).
+ * Events have id, slug, name, venue, startsAt, endsAt, goal, active and createdAt.
+ * Slots have id, eventId, startsAt, endsAt, capacity (donor beds) and booked.
+ * Blood units are described in ../inventory.js; removing a donor leaves their
+ * units with a null donorId.
+ * Audit entries are described in ../audit.js.
+ */
+
+const createMongoStorage = require('./mongo');
+const createMemoryStorage = require('./memory');
+const createPostgresStorage = require('./postgres');
+
+const BACKENDS = ['mongo', 'memory', 'postgres'];
+
+/**
+ * Picks the backend name. An explicit STORAGE_BACKEND wins; otherwise Mongo is
+ * used when MONGODB_URI is set and the in-memory store when it is not.
+ * @param {object} env - Environment variables
+ * @returns {string}
+ */
+function resolveBackend(env) {
+    const requested = (env.STORAGE_BACKEND || '').trim().toLowerCase();
+    if (requested) {
+        if (!BACKENDS.includes(requested)) {
+            throw new Error(`Unknown STORAGE_BACKEND "${requested}". Use one of: ${BACKENDS.join(', ')}`);
+        }
+        return requested;
+    }
+    return env.MONGODB_URI ? 'mongo' : 'memory';
+}
+
+/**
+ * Creates the configured storage backend
+ * @param {object} [env=process.env] - Environment variables
+ */
+function createStorage(env = process.env) {
+    const backend = resolveBackend(env);
+
+    switch (backend) {
+        case 'postgres':
+            return createPostgresStorage({ connectionString: env.DATABASE_URL });
+        case 'memory':
+            return createMemoryStorage({ file: env.STORAGE_FILE });
+        default:
+            return createMongoStorage({ uri: env.MONGODB_URI });
+    }
+}
+
+module.exports = { createStorage, BACKENDS };
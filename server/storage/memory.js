@@ -0,0 +1,448 @@
+/**
+ * In-Memory / JSON-File Storage Backend
+ * Keeps donors, events, slots, blood units, stats, settings and the audit log in process memory. When a file path is given the
+ * data is loaded from and saved back to that JSON file, which is enough for
+ * local demos and offline drives on a single laptop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { SORTS, DEFAULT_SORT, matchesFilter, matchesUnitFilter, matchesAuditFilter, ageBandFor, bucketStart, classLabel, legacyStatus, statsIdentifier } = require('./query');
+
+// Fields stored as ISO strings in the JSON file that should come back as Dates
+const DATE_FIELDS = ['donatedAt', 'registeredAt', 'statusChangedAt', 'deferredUntil', 'lastUpdated', 'startsAt', 'endsAt', 'createdAt', 'phoneConsentAt', 'emailConsentAt', 'at', 'collectedAt', 'expiresAt'];
+
+function reviveDates(obj) {
+    DATE_FIELDS.forEach(field => {
+        if (obj[field]) obj[field] = new Date(obj[field]);
+    });
+    return obj;
+}
+
+/**
+ * Gives donors saved before statuses existed a status and registration time
+ */
+function migrateDonor(donor) {
+    if (!donor.status) {
+        donor.status = legacyStatus(donor);
+        donor.registeredAt = donor.registeredAt || donor.donatedAt;
+        donor.statusChangedAt = donor.statusChangedAt || donor.donatedAt;
+    }
+    return donor;
+}
+
+function compareValues(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+/**
+ * Orders donors by a sort field, then by numeric id
+ */
+function compareDonors(a, b, field) {
+    return compareValues(a[field], b[field]) || (Number(a.id) - Number(b.id));
+}
+
+/**
+ * Creates the in-memory storage backend
+ * @param {object} options
+ * @param {string} [options.file] - Optional JSON file to persist data to
+ */
+function createMemoryStorage({ file } = {}) {
+    const state = {
+        nextId: 1,
+        donors: [],
+        stats: { totalBloodUnits: 0, lastUpdated: new Date() },
+        nextEventId: 1,
+        events: [],
+        nextSlotId: 1,
+        slots: [],
+        nextUnitId: 1,
+        units: [],
+        // Per-event stats, keyed by statsIdentifier(eventId)
+        eventStats: {},
+        nextAuditId: 1,
+        audit: [],
+        // Admin settings, keyed by name
+        settings: {}
+    };
+    let ready = false;
+
+    // Writes are chained so concurrent requests never interleave partial files
+    let writeQueue = Promise.resolve();
+
+    function persist() {
+        if (!file) return Promise.resolve();
+
+        writeQueue = writeQueue.then(async () => {
+            const tmp = `${file}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+            await fs.promises.rename(tmp, file);
+        }).catch(e => {
+            logger.error('Failed to write storage file', { file, err: e });
+        });
+        return writeQueue;
+    }
+
+    async function init() {
+        if (file) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            try {
+                const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                state.nextId = saved.nextId || 1;
+                state.donors = (saved.donors || []).map(reviveDates).map(migrateDonor);
+                state.stats = reviveDates(saved.stats || state.stats);
+                state.nextEventId = saved.nextEventId || 1;
+                state.events = (saved.events || []).map(reviveDates);
+                state.nextSlotId = saved.nextSlotId || 1;
+                state.slots = (saved.slots || []).map(reviveDates);
+                state.nextUnitId = saved.nextUnitId || 1;
+                state.units = (saved.units || []).map(reviveDates);
+                state.eventStats = saved.eventStats || {};
+                Object.values(state.eventStats).forEach(reviveDates);
+                state.nextAuditId = saved.nextAuditId || 1;
+                state.audit = (saved.audit || []).map(reviveDates);
+                state.settings = saved.settings || {};
+                logger.info('Loaded storage file', { file, donors: state.donors.length });
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+                logger.info('Storage file not found, starting with an empty store', { file });
+            }
+        } else {
+            logger.warn('Using in-memory storage without STORAGE_FILE. Data is lost when the server stops.');
+        }
+        ready = true;
+    }
+
+    async function close() {
+        await writeQueue;
+    }
+
+    const copy = obj => ({ ...obj });
+
+    /**
+     * The stats record for an event, or the all-time one
+     */
+    function statsFor(eventId) {
+        if (!eventId) return state.stats;
+        const key = statsIdentifier(eventId);
+        if (!state.eventStats[key]) {
+            state.eventStats[key] = { totalBloodUnits: 0, lastUpdated: null };
+        }
+        return state.eventStats[key];
+    }
+
+    return {
+        name: 'memory',
+        init,
+        close,
+
+        isReady() {
+            return ready;
+        },
+
+        status() {
+            return {
+                type: file ? 'JSON file' : 'In-memory',
+                configured: true,
+                connected: ready,
+                file: file || null
+            };
+        },
+
+        donors: {
+            async insert(donor) {
+                const doc = { id: String(state.nextId++), ...donor };
+                state.donors.push(doc);
+                await persist();
+                return copy(doc);
+            },
+
+            async insertMany(donors) {
+                const docs = donors.map(donor => ({ id: String(state.nextId++), ...donor }));
+                state.donors.push(...docs);
+                await persist();
+                return docs.map(copy);
+            },
+
+            async list({ filter, sort = DEFAULT_SORT, after = null, limit }) {
+                const { field, direction } = SORTS[sort];
+                const afterKey = after && { [field]: after.value, id: after.id };
+
+                return state.donors
+                    .filter(d => matchesFilter(d, filter))
+                    .filter(d => !afterKey || compareDonors(d, afterKey, field) * direction > 0)
+                    .sort((a, b) => compareDonors(a, b, field) * direction)
+                    .slice(0, limit)
+                    .map(copy);
+            },
+
+            async count(filter) {
+                return state.donors.filter(d => matchesFilter(d, filter)).length;
+            },
+
+            async breakdown(filter) {
+                const result = { bloodGroup: {}, year: {}, ageBand: {}, department: {}, class: {} };
+                const bump = (counts, key) => { counts[key] = (counts[key] || 0) + 1; };
+
+                state.donors.filter(d => matchesFilter(d, filter)).forEach(d => {
+                    bump(result.bloodGroup, d.bloodGroup);
+                    bump(result.year, d.year);
+                    bump(result.ageBand, ageBandFor(d.age));
+                    if (d.department) {
+                        bump(result.department, d.department);
+                        bump(result.class, classLabel(d.year, d.department));
+                    }
+                });
+                return result;
+            },
+
+            async timeline(filter, { bucketMs, offsetMs = 0 }) {
+                const counts = new Map();
+                state.donors.filter(d => matchesFilter(d, filter)).forEach(d => {
+                    const start = bucketStart(d.donatedAt, bucketMs, offsetMs).getTime();
+                    counts.set(start, (counts.get(start) || 0) + 1);
+                });
+                return [...counts.keys()]
+                    .sort((a, b) => a - b)
+                    .map(start => ({ start: new Date(start), count: counts.get(start) }));
+            },
+
+            async findById(id) {
+                const doc = state.donors.find(d => d.id === String(id));
+                return doc ? copy(doc) : null;
+            },
+
+            async update(id, changes, expected = {}) {
+                const doc = state.donors.find(d => d.id === String(id));
+                if (!doc) return null;
+                if (Object.keys(expected).some(field => (doc[field] || null) !== expected[field])) return null;
+                Object.assign(doc, changes);
+                await persist();
+                return copy(doc);
+            },
+
+            async remove(id) {
+                const index = state.donors.findIndex(d => d.id === String(id));
+                if (index === -1) return null;
+                const [doc] = state.donors.splice(index, 1);
+                state.units.forEach(u => {
+                    if (u.donorId === doc.id) u.donorId = null;
+                });
+                await persist();
+                return copy(doc);
+            }
+        },
+
+        events: {
+            async list() {
+                return [...state.events]
+                    .sort((a, b) => compareValues(b.startsAt, a.startsAt) || (Number(b.id) - Number(a.id)))
+                    .map(copy);
+            },
+
+            async findById(id) {
+                const doc = state.events.find(e => e.id === String(id));
+                return doc ? copy(doc) : null;
+            },
+
+            async findBySlug(slug) {
+                const doc = state.events.find(e => e.slug === slug);
+                return doc ? copy(doc) : null;
+            },
+
+            async findActive() {
+                const doc = state.events.find(e => e.active);
+                return doc ? copy(doc) : null;
+            },
+
+            async insert(event) {
+                const doc = { id: String(state.nextEventId++), ...event, active: false, createdAt: new Date() };
+                state.events.push(doc);
+                await persist();
+                return copy(doc);
+            },
+
+            async update(id, changes) {
+                const doc = state.events.find(e => e.id === String(id));
+                if (!doc) return null;
+                Object.assign(doc, changes);
+                await persist();
+                return copy(doc);
+            },
+
+            async setActive(id) {
+                state.events.forEach(e => { e.active = e.id === String(id); });
+                await persist();
+            }
+        },
+
+        slots: {
+            async listByEvent(eventId) {
+                return state.slots
+                    .filter(s => s.eventId === String(eventId))
+                    .sort((a, b) => compareValues(a.startsAt, b.startsAt) || (Number(a.id) - Number(b.id)))
+                    .map(copy);
+            },
+
+            async findById(id) {
+                const doc = state.slots.find(s => s.id === String(id));
+                return doc ? copy(doc) : null;
+            },
+
+            async insert(slot) {
+                const doc = { id: String(state.nextSlotId++), ...slot, booked: 0 };
+                state.slots.push(doc);
+                await persist();
+                return copy(doc);
+            },
+
+            async update(id, changes) {
+                const doc = state.slots.find(s => s.id === String(id));
+                if (!doc) return null;
+                Object.assign(doc, changes);
+                await persist();
+                return copy(doc);
+            },
+
+            async remove(id) {
+                const index = state.slots.findIndex(s => s.id === String(id));
+                if (index === -1) return null;
+                const [doc] = state.slots.splice(index, 1);
+                state.donors.forEach(d => {
+                    if (d.slotId === doc.id) d.slotId = null;
+                });
+                await persist();
+                return copy(doc);
+            },
+
+            async reserve(id) {
+                // Checked and booked before the first await, so no other request can interleave
+                const doc = state.slots.find(s => s.id === String(id));
+                if (!doc || doc.booked >= doc.capacity) return null;
+                doc.booked += 1;
+                await persist();
+                return copy(doc);
+            },
+
+            async release(id) {
+                const doc = state.slots.find(s => s.id === String(id));
+                if (!doc) return null;
+                doc.booked = Math.max(0, doc.booked - 1);
+                await persist();
+                return copy(doc);
+            }
+        },
+
+        units: {
+            async list({ filter, limit } = {}) {
+                return state.units
+                    .filter(u => matchesUnitFilter(u, filter))
+                    .sort((a, b) => compareValues(a.expiresAt, b.expiresAt) || (Number(a.id) - Number(b.id)))
+                    .slice(0, limit)
+                    .map(copy);
+            },
+
+            async findById(id) {
+                const doc = state.units.find(u => u.id === String(id));
+                return doc ? copy(doc) : null;
+            },
+
+            async findByBagId(bagId) {
+                const doc = state.units.find(u => u.bagId === bagId);
+                return doc ? copy(doc) : null;
+            },
+
+            async insert(unit) {
+                const now = new Date();
+                const doc = { id: String(state.nextUnitId++), ...unit, statusChangedAt: now, createdAt: now };
+                state.units.push(doc);
+                await persist();
+                return copy(doc);
+            },
+
+            async update(id, changes) {
+                const doc = state.units.find(u => u.id === String(id));
+                if (!doc) return null;
+                Object.assign(doc, changes);
+                await persist();
+                return copy(doc);
+            },
+
+            async stock(at) {
+                const counts = new Map();
+                state.units
+                    .filter(u => matchesUnitFilter(u, { status: 'available' }) && u.expiresAt > at)
+                    .forEach(u => {
+                        const key = `${u.bloodGroup}|${u.component}`;
+                        const row = counts.get(key) || { bloodGroup: u.bloodGroup, component: u.component, units: 0, volumeMl: 0 };
+                        row.units += 1;
+                        row.volumeMl += u.volumeMl;
+                        counts.set(key, row);
+                    });
+                return [...counts.values()];
+            }
+        },
+
+        stats: {
+            async get(eventId) {
+                return copy(statsFor(eventId));
+            },
+
+            async increment(amount = 1, eventId) {
+                const stats = statsFor(eventId);
+                stats.totalBloodUnits += amount;
+                stats.lastUpdated = new Date();
+                await persist();
+                return copy(stats);
+            },
+
+            async set(total, eventId) {
+                const stats = statsFor(eventId);
+                stats.totalBloodUnits = total;
+                stats.lastUpdated = new Date();
+                await persist();
+                return copy(stats);
+            }
+        },
+
+        settings: {
+            async get(key) {
+                return Object.prototype.hasOwnProperty.call(state.settings, key)
+                    ? JSON.parse(JSON.stringify(state.settings[key]))
+                    : null;
+            },
+
+            async set(key, value) {
+                state.settings[key] = JSON.parse(JSON.stringify(value));
+                await persist();
+                return value;
+            }
+        },
+
+        audit: {
+            async append(entry) {
+                const doc = { id: String(state.nextAuditId++), ...entry };
+                state.audit.push(doc);
+                await persist();
+                return copy(doc);
+            },
+
+            async list({ filter = {}, before = null, limit = 50 } = {}) {
+                if (before !== null && !/^\d+$/.test(before)) return [];
+                const results = [];
+                // Entries are kept in the order they were appended, so walk back from the newest
+                for (let i = state.audit.length - 1; i >= 0 && results.length < limit; i--) {
+                    const entry = state.audit[i];
+                    if (before !== null && Number(entry.id) >= Number(before)) continue;
+                    if (matchesAuditFilter(entry, filter)) results.push(copy(entry));
+                }
+                return results;
+            }
+        }
+    };
+}
+
+module.exports = createMemoryStorage;
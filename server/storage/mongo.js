@@ -0,0 +1,622 @@
+/**
+ * MongoDB Storage Backend
+ * Donors, events, slots, blood units, stats, settings and the audit log live in the `donors`, `events`,
+ * `slots`, `blood_units`, `stats`, `settings` and `audit_log` collections of the database named in MONGODB_URI
+ * (MongoDB Atlas in production).
+ */
+
+const { MongoClient, ObjectId } = require('mongodb');
+const { logger } = require('../logger');
+const { SORTS, DEFAULT_SORT, AGE_BANDS, DEFERRED_OUTCOMES, escapeRegex, statsIdentifier } = require('./query');
+
+/**
+ * Converts a Mongo donor or event document to the shared shape (string `id`)
+ */
+function toRecord(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: String(_id), ...rest };
+}
+
+/**
+ * Converts a Mongo stats document to the shared stats shape
+ */
+function toStats(doc) {
+    return {
+        totalBloodUnits: doc ? parseInt(doc.total_blood_units || 0, 10) : 0,
+        lastUpdated: doc ? doc.last_updated : null
+    };
+}
+
+/**
+ * Parses a donor id, returning null for anything that isn't a valid ObjectId
+ */
+function toObjectId(id) {
+    return ObjectId.isValid(id) && String(new ObjectId(id)) === String(id) ? new ObjectId(id) : null;
+}
+
+// Matches one value, or any of an array of them
+const oneOrMany = value => (Array.isArray(value) ? { $in: value } : value);
+
+/**
+ * Builds a Mongo query from a donor list filter
+ */
+function toDonorQuery(filter = {}) {
+    const query = {};
+    if (filter.eventId) query.eventId = filter.eventId;
+    if (filter.bloodGroup) query.bloodGroup = oneOrMany(filter.bloodGroup);
+    if (filter.year) query.year = filter.year;
+    if (filter.from || filter.to) {
+        query.donatedAt = {};
+        if (filter.from) query.donatedAt.$gte = filter.from;
+        if (filter.to) query.donatedAt.$lt = filter.to;
+    }
+    if (filter.search) {
+        query.fullName = { $regex: escapeRegex(filter.search), $options: 'i' };
+    }
+    if (filter.status) query.status = oneOrMany(filter.status);
+    if (filter.slotId) query.slotId = filter.slotId;
+    if (filter.booking) query.booking = filter.booking;
+    if (filter.dated) query.undated = { $ne: true };
+    return query;
+}
+
+/**
+ * Builds a Mongo query from a blood unit filter
+ */
+function toUnitQuery(filter = {}) {
+    const query = {};
+    if (filter.status) query.status = oneOrMany(filter.status);
+    if (filter.bloodGroup) query.bloodGroup = oneOrMany(filter.bloodGroup);
+    if (filter.component) query.component = oneOrMany(filter.component);
+    if (filter.donorId) query.donorId = filter.donorId;
+    if (filter.expiresFrom || filter.expiresTo) {
+        query.expiresAt = {};
+        if (filter.expiresFrom) query.expiresAt.$gte = filter.expiresFrom;
+        if (filter.expiresTo) query.expiresAt.$lt = filter.expiresTo;
+    }
+    return query;
+}
+
+/**
+ * Logs runtime details that help diagnose Atlas TLS/DNS failures
+ */
+function logConnectDiagnostics(uri, connectErr) {
+    logger.error('MongoDB connect() failed', {
+        err: connectErr,
+        nodeVersion: process.version,
+        opensslVersion: process.versions.openssl || 'unknown'
+    });
+
+    // Try to extract hostname for DNS lookup if using SRV or standard URI
+    try {
+        // Remove protocol and credentials
+        const hostPart = uri.replace(/^mongodb(?:\+srv)?:\/\//, '').split('/')[0];
+        const hostCandidate = hostPart.split('@').pop().split(':')[0];
+        if (hostCandidate) {
+            const dns = require('dns');
+            dns.lookup(hostCandidate, (err, address, family) => {
+                if (err) {
+                    logger.error('MongoDB DNS lookup failed', { host: hostCandidate, err });
+                } else {
+                    logger.error('MongoDB host resolved', { host: hostCandidate, address, family });
+                }
+            });
+        }
+    } catch (dx) {
+        logger.error('MongoDB hostname extraction failed', { err: dx });
+    }
+}
+
+/**
+ * Creates the MongoDB storage backend
+ * @param {object} options
+ * @param {string} options.uri - MongoDB connection string
+ */
+function createMongoStorage({ uri }) {
+    let client = null;
+    let db = null;
+    let donorsCollection = null;
+    let eventsCollection = null;
+    let slotsCollection = null;
+    let unitsCollection = null;
+    let auditCollection = null;
+    let statsCollection = null;
+    let settingsCollection = null;
+
+    async function init() {
+        if (!uri) {
+            logger.error('MONGODB_URI not provided. Database will not work.');
+            return;
+        }
+
+        logger.info('Connecting to MongoDB Atlas');
+
+        // Add conservative connection options to improve TLS/server selection behavior
+        const clientOpts = {
+            // Enforce TLS (SRV URIs imply TLS but be explicit)
+            tls: true,
+            // Shorter server selection timeout so failures surface quickly in logs
+            serverSelectionTimeoutMS: 10000,
+            connectTimeoutMS: 10000,
+            socketTimeoutMS: 30000
+        };
+
+        client = new MongoClient(uri, clientOpts);
+
+        try {
+            await client.connect();
+        } catch (connectErr) {
+            logConnectDiagnostics(uri, connectErr);
+            // Re-throw so the caller logs and surfaces the problem in deploy logs
+            throw connectErr;
+        }
+
+        // Get database (from URI or default to 'blood_donation')
+        db = client.db();
+        donorsCollection = db.collection('donors');
+        eventsCollection = db.collection('events');
+        slotsCollection = db.collection('slots');
+        unitsCollection = db.collection('blood_units');
+        auditCollection = db.collection('audit_log');
+        statsCollection = db.collection('stats');
+        settingsCollection = db.collection('settings');
+
+        logger.info('Connected to MongoDB Atlas');
+
+        // Ensure stats document exists with initial value
+        const statsDoc = await statsCollection.findOne({ identifier: 'global' });
+        if (!statsDoc) {
+            await statsCollection.insertOne({
+                identifier: 'global',
+                total_blood_units: 0,
+                last_updated: new Date()
+            });
+            logger.info('Created initial stats document');
+        }
+
+        // Donors saved before statuses existed (see legacyStatus in ./query.js)
+        const migrated = await donorsCollection.updateMany(
+            { status: { $exists: false } },
+            [{
+                $set: {
+                    status: { $cond: [{ $in: ['$eligibility', DEFERRED_OUTCOMES] }, 'deferred', 'completed'] },
+                    registeredAt: '$donatedAt',
+                    statusChangedAt: '$donatedAt'
+                }
+            }]
+        );
+        if (migrated.modifiedCount > 0) {
+            logger.info('Gave existing donors a status', { donors: migrated.modifiedCount });
+        }
+
+        // Create indexes for performance
+        await donorsCollection.createIndex({ donatedAt: -1 });
+        await donorsCollection.createIndex({ bloodGroup: 1 });
+        await donorsCollection.createIndex({ fullName: 1 });
+        await donorsCollection.createIndex({ eventId: 1, donatedAt: -1 });
+        await donorsCollection.createIndex({ status: 1, donatedAt: -1 });
+        await donorsCollection.createIndex({ slotId: 1, booking: 1, donatedAt: 1 });
+        await eventsCollection.createIndex({ slug: 1 }, { unique: true });
+        await slotsCollection.createIndex({ eventId: 1, startsAt: 1 });
+        await unitsCollection.createIndex({ bagId: 1 }, { unique: true });
+        await unitsCollection.createIndex({ status: 1, bloodGroup: 1, expiresAt: 1 });
+        await unitsCollection.createIndex({ donorId: 1 });
+        await auditCollection.createIndex({ action: 1, _id: -1 });
+        await auditCollection.createIndex({ entity: 1, entityId: 1, _id: -1 });
+        await auditCollection.createIndex({ actor: 1, _id: -1 });
+        logger.info('Database indexes ensured');
+    }
+
+    async function close() {
+        if (client) {
+            await client.close();
+            logger.info('MongoDB connection closed');
+        }
+    }
+
+    return {
+        name: 'mongo',
+        init,
+        close,
+
+        isReady() {
+            return !!donorsCollection && !!statsCollection;
+        },
+
+        status() {
+            return {
+                type: 'MongoDB Atlas',
+                configured: !!client,
+                connected: !!db,
+                collections: {
+                    donors: !!donorsCollection,
+                    events: !!eventsCollection,
+                    slots: !!slotsCollection,
+                    blood_units: !!unitsCollection,
+                    audit_log: !!auditCollection,
+                    stats: !!statsCollection,
+                    settings: !!settingsCollection
+                }
+            };
+        },
+
+        donors: {
+            async insert(donor) {
+                const doc = { ...donor };
+                const result = await donorsCollection.insertOne(doc);
+                return toRecord({ ...doc, _id: result.insertedId });
+            },
+
+            async insertMany(donors) {
+                if (donors.length === 0) return [];
+                const docs = donors.map(donor => ({ ...donor }));
+                const result = await donorsCollection.insertMany(docs, { ordered: true });
+                return docs.map((doc, i) => toRecord({ ...doc, _id: result.insertedIds[i] }));
+            },
+
+            async list({ filter, sort = DEFAULT_SORT, after = null, limit }) {
+                const { field, direction } = SORTS[sort];
+                let query = toDonorQuery(filter);
+
+                if (after) {
+                    const afterId = toObjectId(after.id);
+                    if (!afterId) return [];
+                    const op = direction < 0 ? '$lt' : '$gt';
+                    query = {
+                        $and: [query, {
+                            $or: [
+                                { [field]: { [op]: after.value } },
+                                { [field]: after.value, _id: { [op]: afterId } }
+                            ]
+                        }]
+                    };
+                }
+
+                const docs = await donorsCollection
+                    .find(query)
+                    .sort({ [field]: direction, _id: direction })
+                    .limit(limit)
+                    .toArray();
+                return docs.map(toRecord);
+            },
+
+            async count(filter) {
+                return donorsCollection.countDocuments(toDonorQuery(filter));
+            },
+
+            async breakdown(filter) {
+                const match = { $match: toDonorQuery(filter) };
+                const toCounts = rows => Object.fromEntries(rows.map(r => [r._id, r.count]));
+
+                // Sorting on bloodGroup first lets the group stage walk the bloodGroup index
+                const withDepartment = { $match: { department: { $type: 'string' } } };
+                const [bloodGroups, years, ageBands, departments, classes] = await Promise.all([
+                    donorsCollection.aggregate([
+                        match,
+                        { $sort: { bloodGroup: 1 } },
+                        { $group: { _id: '$bloodGroup', count: { $sum: 1 } } }
+                    ]).toArray(),
+                    donorsCollection.aggregate([
+                        match,
+                        { $group: { _id: '$year', count: { $sum: 1 } } }
+                    ]).toArray(),
+                    donorsCollection.aggregate([
+                        match,
+                        {
+                            $bucket: {
+                                groupBy: '$age',
+                                boundaries: [...AGE_BANDS.map(b => b.min), Number.MAX_SAFE_INTEGER],
+                                default: 'Unknown',
+                                output: { count: { $sum: 1 } }
+                            }
+                        }
+                    ]).toArray(),
+                    donorsCollection.aggregate([
+                        match,
+                        withDepartment,
+                        { $group: { _id: '$department', count: { $sum: 1 } } }
+                    ]).toArray(),
+                    donorsCollection.aggregate([
+                        match,
+                        withDepartment,
+                        // Same label as classLabel in ./query.js
+                        { $group: { _id: { $concat: ['$year', ' ', '$department'] }, count: { $sum: 1 } } }
+                    ]).toArray()
+                ]);
+
+                // $bucket ids are lower boundaries; translate them to band labels
+                const bandLabel = id => (AGE_BANDS.find(b => b.min === id) || { label: 'Unknown' }).label;
+
+                return {
+                    bloodGroup: toCounts(bloodGroups),
+                    year: toCounts(years),
+                    ageBand: toCounts(ageBands.map(r => ({ _id: bandLabel(r._id), count: r.count }))),
+                    department: toCounts(departments),
+                    class: toCounts(classes)
+                };
+            },
+
+            async timeline(filter, { bucketMs, offsetMs = 0 }) {
+                // Bucket number of each donation, counted from the epoch in local time
+                const bucket = { $floor: { $divide: [{ $add: [{ $toLong: '$donatedAt' }, offsetMs] }, bucketMs] } };
+                const rows = await donorsCollection.aggregate([
+                    { $match: toDonorQuery(filter) },
+                    { $group: { _id: bucket, count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ]).toArray();
+                return rows.map(r => ({ start: new Date(r._id * bucketMs - offsetMs), count: r.count }));
+            },
+
+            async findById(id) {
+                const _id = toObjectId(id);
+                return _id ? toRecord(await donorsCollection.findOne({ _id })) : null;
+            },
+
+            async update(id, changes, expected = {}) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await donorsCollection.findOneAndUpdate(
+                    { ...expected, _id },
+                    { $set: changes },
+                    { returnDocument: 'after' }
+                );
+                return toRecord(doc);
+            },
+
+            async remove(id) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await donorsCollection.findOneAndDelete({ _id });
+                if (doc) {
+                    await unitsCollection.updateMany({ donorId: String(_id) }, { $set: { donorId: null } });
+                }
+                return toRecord(doc);
+            }
+        },
+
+        events: {
+            async list() {
+                const docs = await eventsCollection.find().sort({ startsAt: -1, _id: -1 }).toArray();
+                return docs.map(toRecord);
+            },
+
+            async findById(id) {
+                const _id = toObjectId(id);
+                return _id ? toRecord(await eventsCollection.findOne({ _id })) : null;
+            },
+
+            async findBySlug(slug) {
+                return toRecord(await eventsCollection.findOne({ slug }));
+            },
+
+            async findActive() {
+                return toRecord(await eventsCollection.findOne({ active: true }));
+            },
+
+            async insert(event) {
+                const doc = { ...event, active: false, createdAt: new Date() };
+                const result = await eventsCollection.insertOne(doc);
+                return toRecord({ ...doc, _id: result.insertedId });
+            },
+
+            async update(id, changes) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await eventsCollection.findOneAndUpdate(
+                    { _id },
+                    { $set: changes },
+                    { returnDocument: 'after' }
+                );
+                return toRecord(doc);
+            },
+
+            async setActive(id) {
+                const _id = id ? toObjectId(id) : null;
+                await eventsCollection.updateMany(
+                    _id ? { _id: { $ne: _id }, active: true } : { active: true },
+                    { $set: { active: false } }
+                );
+                if (_id) {
+                    await eventsCollection.updateOne({ _id }, { $set: { active: true } });
+                }
+            }
+        },
+
+        slots: {
+            async listByEvent(eventId) {
+                const docs = await slotsCollection.find({ eventId: String(eventId) }).sort({ startsAt: 1, _id: 1 }).toArray();
+                return docs.map(toRecord);
+            },
+
+            async findById(id) {
+                const _id = toObjectId(id);
+                return _id ? toRecord(await slotsCollection.findOne({ _id })) : null;
+            },
+
+            async insert(slot) {
+                const doc = { ...slot, booked: 0 };
+                const result = await slotsCollection.insertOne(doc);
+                return toRecord({ ...doc, _id: result.insertedId });
+            },
+
+            async update(id, changes) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await slotsCollection.findOneAndUpdate(
+                    { _id },
+                    { $set: changes },
+                    { returnDocument: 'after' }
+                );
+                return toRecord(doc);
+            },
+
+            async remove(id) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await slotsCollection.findOneAndDelete({ _id });
+                if (doc) {
+                    await donorsCollection.updateMany({ slotId: String(_id) }, { $set: { slotId: null } });
+                }
+                return toRecord(doc);
+            },
+
+            async reserve(id) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                // Matches only while a bed is free, so the check and the increment are one atomic step
+                const doc = await slotsCollection.findOneAndUpdate(
+                    { _id, $expr: { $lt: ['$booked', '$capacity'] } },
+                    { $inc: { booked: 1 } },
+                    { returnDocument: 'after' }
+                );
+                return toRecord(doc);
+            },
+
+            async release(id) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await slotsCollection.findOneAndUpdate(
+                    { _id, booked: { $gt: 0 } },
+                    { $inc: { booked: -1 } },
+                    { returnDocument: 'after' }
+                );
+                return doc ? toRecord(doc) : toRecord(await slotsCollection.findOne({ _id }));
+            }
+        },
+
+        units: {
+            async list({ filter, limit = 0 } = {}) {
+                const docs = await unitsCollection.find(toUnitQuery(filter))
+                    .sort({ expiresAt: 1, _id: 1 })
+                    .limit(limit)
+                    .toArray();
+                return docs.map(toRecord);
+            },
+
+            async findById(id) {
+                const _id = toObjectId(id);
+                return _id ? toRecord(await unitsCollection.findOne({ _id })) : null;
+            },
+
+            async findByBagId(bagId) {
+                return toRecord(await unitsCollection.findOne({ bagId }));
+            },
+
+            async insert(unit) {
+                const now = new Date();
+                const doc = { ...unit, statusChangedAt: now, createdAt: now };
+                const result = await unitsCollection.insertOne(doc);
+                return toRecord({ ...doc, _id: result.insertedId });
+            },
+
+            async update(id, changes) {
+                const _id = toObjectId(id);
+                if (!_id) return null;
+                const doc = await unitsCollection.findOneAndUpdate(
+                    { _id },
+                    { $set: changes },
+                    { returnDocument: 'after' }
+                );
+                return toRecord(doc);
+            },
+
+            async stock(at) {
+                const rows = await unitsCollection.aggregate([
+                    { $match: { status: 'available', expiresAt: { $gt: at } } },
+                    {
+                        $group: {
+                            _id: { bloodGroup: '$bloodGroup', component: '$component' },
+                            units: { $sum: 1 },
+                            volumeMl: { $sum: '$volumeMl' }
+                        }
+                    }
+                ]).toArray();
+                return rows.map(r => ({ bloodGroup: r._id.bloodGroup, component: r._id.component, units: r.units, volumeMl: r.volumeMl }));
+            }
+        },
+
+        stats: {
+            async get(eventId) {
+                return toStats(await statsCollection.findOne({ identifier: statsIdentifier(eventId) }));
+            },
+
+            async increment(amount = 1, eventId) {
+                const doc = await statsCollection.findOneAndUpdate(
+                    { identifier: statsIdentifier(eventId) },
+                    {
+                        $inc: { total_blood_units: amount },
+                        $set: { last_updated: new Date() }
+                    },
+                    {
+                        returnDocument: 'after',
+                        upsert: true
+                    }
+                );
+                return toStats(doc);
+            },
+
+            async set(total, eventId) {
+                const lastUpdated = new Date();
+                await statsCollection.updateOne(
+                    { identifier: statsIdentifier(eventId) },
+                    {
+                        $set: {
+                            total_blood_units: total,
+                            last_updated: lastUpdated
+                        }
+                    },
+                    { upsert: true }
+                );
+                return { totalBloodUnits: total, lastUpdated };
+            }
+        },
+
+        settings: {
+            async get(key) {
+                const doc = await settingsCollection.findOne({ _id: key });
+                return doc ? doc.value : null;
+            },
+
+            async set(key, value) {
+                await settingsCollection.updateOne(
+                    { _id: key },
+                    { $set: { value, updatedAt: new Date() } },
+                    { upsert: true }
+                );
+                return value;
+            }
+        },
+
+        audit: {
+            async append(entry) {
+                const doc = { ...entry };
+                const result = await auditCollection.insertOne(doc);
+                return toRecord({ ...doc, _id: result.insertedId });
+            },
+
+            async list({ filter = {}, before = null, limit = 50 } = {}) {
+                const query = {};
+                if (filter.action) query.action = Array.isArray(filter.action) ? { $in: filter.action } : filter.action;
+                if (filter.entity) query.entity = filter.entity;
+                if (filter.entityId) query.entityId = filter.entityId;
+                if (filter.actor) query.actor = filter.actor;
+                if (filter.from || filter.to) {
+                    query.at = {};
+                    if (filter.from) query.at.$gte = filter.from;
+                    if (filter.to) query.at.$lt = filter.to;
+                }
+                if (before !== null) {
+                    const beforeId = toObjectId(before);
+                    if (!beforeId) return [];
+                    query._id = { $lt: beforeId };
+                }
+                // ObjectIds grow with insertion time, so _id order is append order
+                const docs = await auditCollection.find(query).sort({ _id: -1 }).limit(limit).toArray();
+                return docs.map(toRecord);
+            }
+        }
+    };
+}
+
+module.exports = createMongoStorage;
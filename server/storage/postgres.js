@@ -0,0 +1,821 @@
+/**
+ * Postgres Storage Backend
+ * Uses the `events`, `slots`, `donors`, `blood_units`, `stats`, `settings` and `audit_log` tables from server/schema.sql, which is
+ * applied on startup (every statement in it is idempotent).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { SORTS, DEFAULT_SORT, AGE_BANDS, statsIdentifier } = require('./query');
+
+const SCHEMA_FILE = path.join(__dirname, '../schema.sql');
+
+const DONOR_COLUMNS = 'id, event_id, full_name, blood_group, age, year, donated_at, status, registered_at, status_changed_at, eligibility, deferred_until, deferral_reasons, slot_id, booking, phone_encrypted, email_encrypted, phone_consent_at, email_consent_at, name_display, department, details, undated';
+
+// Columns written on insert, in the order toDonorValues returns them
+const DONOR_INSERT_COLUMNS = 'event_id, full_name, blood_group, age, year, donated_at, status, registered_at, status_changed_at, eligibility, deferred_until, deferral_reasons, slot_id, booking, phone_encrypted, email_encrypted, phone_consent_at, email_consent_at, name_display, department, details, undated';
+
+// Maps shared donor field names to donors table columns
+const DONOR_FIELD_COLUMNS = {
+    fullName: 'full_name',
+    bloodGroup: 'blood_group',
+    age: 'age',
+    year: 'year',
+    donatedAt: 'donated_at',
+    status: 'status',
+    statusChangedAt: 'status_changed_at',
+    deferredUntil: 'deferred_until',
+    slotId: 'slot_id',
+    booking: 'booking',
+    nameDisplay: 'name_display',
+    department: 'department',
+    details: 'details'
+};
+
+// Rows per INSERT statement in bulk inserts (keeps under Postgres' parameter limit)
+const INSERT_BATCH_SIZE = 500;
+
+const EVENT_COLUMNS = 'id, slug, name, venue, starts_at, ends_at, goal, active, created_at';
+
+const SLOT_COLUMNS = 'id, event_id, starts_at, ends_at, capacity, booked';
+
+const UNIT_COLUMNS = 'id, bag_id, donor_id, event_id, blood_group, component, volume_ml, collected_at, expires_at, status, status_changed_at, created_at';
+
+// Maps editable blood unit fields to blood_units table columns
+const UNIT_FIELD_COLUMNS = {
+    bloodGroup: 'blood_group',
+    status: 'status',
+    statusChangedAt: 'status_changed_at'
+};
+
+const AUDIT_COLUMNS = 'id, at, action, actor, actor_role, ip, request_id, entity, entity_id, before, after';
+
+// Maps editable slot fields to slots table columns
+const SLOT_FIELD_COLUMNS = {
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    capacity: 'capacity'
+};
+
+// Maps editable event fields to events table columns
+const EVENT_FIELD_COLUMNS = {
+    slug: 'slug',
+    name: 'name',
+    venue: 'venue',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    goal: 'goal'
+};
+
+/**
+ * Parses a donor id, returning null for anything that isn't a SERIAL id
+ */
+function toRowId(id) {
+    return /^\d+$/.test(String(id)) ? parseInt(id, 10) : null;
+}
+
+/**
+ * Builds WHERE conditions for a donor list filter, appending values to `params`
+ * @returns {string[]} SQL conditions to be joined with AND
+ */
+function toDonorConditions(filter = {}, params) {
+    const conditions = [];
+    const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (filter.eventId) conditions.push(`event_id = ${param(toRowId(filter.eventId))}`);
+    if (filter.bloodGroup) {
+        conditions.push(`blood_group IN (${[].concat(filter.bloodGroup).map(group => param(group)).join(', ')})`);
+    }
+    if (filter.year) conditions.push(`year = ${param(filter.year)}`);
+    if (filter.from) conditions.push(`donated_at >= ${param(filter.from)}`);
+    if (filter.to) conditions.push(`donated_at < ${param(filter.to)}`);
+    if (filter.search) {
+        const pattern = `%${filter.search.replace(/[\\%_]/g, '\\$&')}%`;
+        conditions.push(`full_name ILIKE ${param(pattern)}`);
+    }
+    if (filter.status) {
+        conditions.push(`status IN (${[].concat(filter.status).map(status => param(status)).join(', ')})`);
+    }
+    if (filter.slotId) conditions.push(`slot_id = ${param(toRowId(filter.slotId))}`);
+    if (filter.booking) conditions.push(`booking = ${param(filter.booking)}`);
+    if (filter.dated) conditions.push('NOT undated');
+    return conditions;
+}
+
+// CASE expression mapping age to its AGE_BANDS label
+const AGE_BAND_SQL = `CASE ${AGE_BANDS.map(b => (
+    b.max === Infinity
+        ? `WHEN age >= ${b.min} THEN '${b.label}'`
+        : `WHEN age BETWEEN ${b.min} AND ${b.max} THEN '${b.label}'`
+)).join(' ')} ELSE 'Unknown' END`;
+
+function whereClause(conditions) {
+    return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Converts a donors row to the shared donor shape
+ */
+function toDonor(row) {
+    if (!row) return null;
+    return {
+        id: String(row.id),
+        eventId: row.event_id === null || row.event_id === undefined ? null : String(row.event_id),
+        fullName: row.full_name,
+        bloodGroup: row.blood_group,
+        age: row.age,
+        year: row.year,
+        donatedAt: row.donated_at,
+        status: row.status,
+        registeredAt: row.registered_at,
+        statusChangedAt: row.status_changed_at,
+        eligibility: row.eligibility,
+        deferredUntil: row.deferred_until,
+        deferralReasons: row.deferral_reasons || [],
+        slotId: row.slot_id === null || row.slot_id === undefined ? null : String(row.slot_id),
+        booking: row.booking || null,
+        phoneEncrypted: row.phone_encrypted || null,
+        emailEncrypted: row.email_encrypted || null,
+        phoneConsentAt: row.phone_consent_at || null,
+        emailConsentAt: row.email_consent_at || null,
+        nameDisplay: row.name_display,
+        department: row.department || null,
+        details: row.details || null,
+        undated: Boolean(row.undated)
+    };
+}
+
+/**
+ * Values for DONOR_INSERT_COLUMNS from a donor in the shared shape
+ */
+function toDonorValues(donor) {
+    return [
+        toRowId(donor.eventId),
+        donor.fullName,
+        donor.bloodGroup,
+        donor.age,
+        donor.year,
+        donor.donatedAt,
+        donor.status,
+        donor.registeredAt || donor.donatedAt,
+        donor.statusChangedAt || donor.donatedAt,
+        donor.eligibility || null,
+        donor.deferredUntil || null,
+        donor.deferralReasons || [],
+        toRowId(donor.slotId),
+        donor.booking || null,
+        donor.phoneEncrypted || null,
+        donor.emailEncrypted || null,
+        donor.phoneConsentAt || null,
+        donor.emailConsentAt || null,
+        donor.nameDisplay || 'full',
+        donor.department || null,
+        donor.details ? JSON.stringify(donor.details) : null,
+        Boolean(donor.undated)
+    ];
+}
+
+/**
+ * Converts an audit_log row to the shared audit entry shape
+ */
+function toAuditEntry(row) {
+    return {
+        id: String(row.id),
+        at: row.at,
+        action: row.action,
+        actor: row.actor,
+        actorRole: row.actor_role,
+        ip: row.ip,
+        requestId: row.request_id,
+        entity: row.entity,
+        entityId: row.entity_id,
+        before: row.before,
+        after: row.after
+    };
+}
+
+/**
+ * Converts a slots row to the shared slot shape
+ */
+function toSlot(row) {
+    if (!row) return null;
+    return {
+        id: String(row.id),
+        eventId: String(row.event_id),
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        capacity: row.capacity,
+        booked: row.booked
+    };
+}
+
+/**
+ * Builds WHERE conditions for a blood unit filter, appending values to `params`
+ * @returns {string[]} SQL conditions to be joined with AND
+ */
+function toUnitConditions(filter = {}, params) {
+    const conditions = [];
+    const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const oneOf = (column, value) => `${column} IN (${[].concat(value).map(v => param(v)).join(', ')})`;
+
+    if (filter.status) conditions.push(oneOf('status', filter.status));
+    if (filter.bloodGroup) conditions.push(oneOf('blood_group', filter.bloodGroup));
+    if (filter.component) conditions.push(oneOf('component', filter.component));
+    if (filter.donorId) conditions.push(`donor_id = ${param(toRowId(filter.donorId))}`);
+    if (filter.expiresFrom) conditions.push(`expires_at >= ${param(filter.expiresFrom)}`);
+    if (filter.expiresTo) conditions.push(`expires_at < ${param(filter.expiresTo)}`);
+    return conditions;
+}
+
+/**
+ * Converts a blood_units row to the shared unit shape
+ */
+function toUnit(row) {
+    if (!row) return null;
+    return {
+        id: String(row.id),
+        bagId: row.bag_id,
+        donorId: row.donor_id === null || row.donor_id === undefined ? null : String(row.donor_id),
+        eventId: row.event_id === null || row.event_id === undefined ? null : String(row.event_id),
+        bloodGroup: row.blood_group,
+        component: row.component,
+        volumeMl: row.volume_ml,
+        collectedAt: row.collected_at,
+        expiresAt: row.expires_at,
+        status: row.status,
+        statusChangedAt: row.status_changed_at,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Converts an events row to the shared event shape
+ */
+function toEvent(row) {
+    if (!row) return null;
+    return {
+        id: String(row.id),
+        slug: row.slug,
+        name: row.name,
+        venue: row.venue,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        goal: row.goal,
+        active: row.active,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Converts a stats row to the shared stats shape
+ */
+function toStats(row) {
+    return {
+        totalBloodUnits: row ? parseInt(row.total_blood_units || 0, 10) : 0,
+        lastUpdated: row ? row.last_updated : null
+    };
+}
+
+/**
+ * Creates the Postgres storage backend
+ * @param {object} options
+ * @param {string} options.connectionString - Postgres connection string (DATABASE_URL)
+ */
+function createPostgresStorage({ connectionString }) {
+    let pool = null;
+    let ready = false;
+
+    async function init() {
+        if (!connectionString) {
+            logger.error('DATABASE_URL not provided. Database will not work.');
+            return;
+        }
+
+        // Required lazily so the other backends work without the `pg` package installed
+        const { Pool } = require('pg');
+        pool = new Pool({ connectionString });
+
+        logger.info('Connecting to Postgres');
+        await pool.query('SELECT 1');
+        logger.info('Connected to Postgres');
+
+        await pool.query(await fs.promises.readFile(SCHEMA_FILE, 'utf8'));
+        logger.info('Database schema ensured');
+
+        ready = true;
+    }
+
+    async function close() {
+        if (pool) {
+            await pool.end();
+            logger.info('Postgres pool closed');
+        }
+    }
+
+    return {
+        name: 'postgres',
+        init,
+        close,
+
+        isReady() {
+            return ready;
+        },
+
+        status() {
+            return {
+                type: 'Postgres',
+                configured: !!pool,
+                connected: ready
+            };
+        },
+
+        donors: {
+            async insert(donor) {
+                const values = toDonorValues(donor);
+                const result = await pool.query(
+                    `INSERT INTO donors (${DONOR_INSERT_COLUMNS})
+                     VALUES (${values.map((v, i) => `$${i + 1}`).join(', ')})
+                     RETURNING ${DONOR_COLUMNS}`,
+                    values
+                );
+                return toDonor(result.rows[0]);
+            },
+
+            async insertMany(donors) {
+                if (donors.length === 0) return [];
+
+                // One transaction, so a failure part-way leaves no rows behind
+                const client = await pool.connect();
+                try {
+                    await client.query('BEGIN');
+                    const inserted = [];
+                    for (let start = 0; start < donors.length; start += INSERT_BATCH_SIZE) {
+                        const batch = donors.slice(start, start + INSERT_BATCH_SIZE);
+                        const params = [];
+                        const rows = batch.map(donor => {
+                            const placeholders = toDonorValues(donor).map(value => {
+                                params.push(value);
+                                return `$${params.length}`;
+                            });
+                            return `(${placeholders.join(', ')})`;
+                        });
+                        const result = await client.query(
+                            `INSERT INTO donors (${DONOR_INSERT_COLUMNS})
+                             VALUES ${rows.join(', ')}
+                             RETURNING ${DONOR_COLUMNS}`,
+                            params
+                        );
+                        inserted.push(...result.rows.map(toDonor));
+                    }
+                    await client.query('COMMIT');
+                    return inserted;
+                } catch (e) {
+                    await client.query('ROLLBACK');
+                    throw e;
+                } finally {
+                    client.release();
+                }
+            },
+
+            async list({ filter, sort = DEFAULT_SORT, after = null, limit }) {
+                const { field, direction } = SORTS[sort];
+                const column = DONOR_FIELD_COLUMNS[field];
+                const order = direction < 0 ? 'DESC' : 'ASC';
+                const params = [];
+                const conditions = toDonorConditions(filter, params);
+
+                if (after) {
+                    const afterId = toRowId(after.id);
+                    if (afterId === null) return [];
+                    const op = direction < 0 ? '<' : '>';
+                    params.push(after.value, afterId);
+                    const v = `$${params.length - 1}`;
+                    const id = `$${params.length}`;
+                    conditions.push(`(${column} ${op} ${v} OR (${column} = ${v} AND id ${op} ${id}))`);
+                }
+
+                params.push(limit);
+                const result = await pool.query(
+                    `SELECT ${DONOR_COLUMNS} FROM donors ${whereClause(conditions)}
+                     ORDER BY ${column} ${order}, id ${order}
+                     LIMIT $${params.length}`,
+                    params
+                );
+                return result.rows.map(toDonor);
+            },
+
+            async count(filter) {
+                const params = [];
+                const conditions = toDonorConditions(filter, params);
+                const result = await pool.query(
+                    `SELECT COUNT(*)::int AS cnt FROM donors ${whereClause(conditions)}`,
+                    params
+                );
+                return result.rows[0].cnt;
+            },
+
+            async breakdown(filter) {
+                const params = [];
+                const where = whereClause(toDonorConditions(filter, params));
+                const countBy = async expr => {
+                    const result = await pool.query(
+                        `SELECT ${expr} AS key, COUNT(*)::int AS cnt FROM donors ${where} GROUP BY ${expr}`,
+                        params
+                    );
+                    // Donors without a department have a NULL department and class
+                    return Object.fromEntries(result.rows.filter(r => r.key !== null).map(r => [r.key, r.cnt]));
+                };
+
+                const [bloodGroup, year, ageBand, department, classes] = await Promise.all([
+                    countBy('blood_group'),
+                    countBy('year'),
+                    countBy(AGE_BAND_SQL),
+                    countBy('department'),
+                    // Same label as classLabel in ./query.js
+                    countBy(`year || ' ' || department`)
+                ]);
+                return { bloodGroup, year, ageBand, department, class: classes };
+            },
+
+            async timeline(filter, { bucketMs, offsetMs = 0 }) {
+                const params = [];
+                const where = whereClause(toDonorConditions(filter, params));
+                params.push(offsetMs, bucketMs);
+                const offset = `$${params.length - 1}`;
+                const size = `$${params.length}`;
+                // Bucket number of each donation, counted from the epoch in local time
+                const result = await pool.query(
+                    `SELECT FLOOR((EXTRACT(EPOCH FROM donated_at) * 1000 + ${offset}::double precision) / ${size}::double precision)::bigint AS bucket,
+                            COUNT(*)::int AS cnt
+                       FROM donors ${where}
+                      GROUP BY bucket
+                      ORDER BY bucket`,
+                    params
+                );
+                return result.rows.map(r => ({ start: new Date(Number(r.bucket) * bucketMs - offsetMs), count: r.cnt }));
+            },
+
+            async findById(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`SELECT ${DONOR_COLUMNS} FROM donors WHERE id = $1`, [rowId]);
+                return toDonor(result.rows[0]);
+            },
+
+            async update(id, changes, expected = {}) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+
+                const fields = Object.keys(changes).filter(f => DONOR_FIELD_COLUMNS[f]);
+                if (fields.length === 0) return this.findById(id);
+
+                const value = (field, v) => {
+                    if (field === 'slotId') return toRowId(v);
+                    if (field === 'details') return v === null ? null : JSON.stringify(v);
+                    return v;
+                };
+                const params = [rowId, ...fields.map(f => value(f, changes[f]))];
+                const assignments = fields.map((f, i) => `${DONOR_FIELD_COLUMNS[f]} = $${i + 2}`);
+                let where = 'id = $1';
+                Object.keys(expected).filter(f => DONOR_FIELD_COLUMNS[f]).forEach(f => {
+                    if (expected[f] === null) {
+                        where += ` AND ${DONOR_FIELD_COLUMNS[f]} IS NULL`;
+                    } else {
+                        params.push(value(f, expected[f]));
+                        where += ` AND ${DONOR_FIELD_COLUMNS[f]} = $${params.length}`;
+                    }
+                });
+                const result = await pool.query(
+                    `UPDATE donors SET ${assignments.join(', ')} WHERE ${where} RETURNING ${DONOR_COLUMNS}`,
+                    params
+                );
+                return toDonor(result.rows[0]);
+            },
+
+            async remove(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`DELETE FROM donors WHERE id = $1 RETURNING ${DONOR_COLUMNS}`, [rowId]);
+                return toDonor(result.rows[0]);
+            }
+        },
+
+        events: {
+            async list() {
+                const result = await pool.query(
+                    `SELECT ${EVENT_COLUMNS} FROM events ORDER BY starts_at DESC, id DESC`
+                );
+                return result.rows.map(toEvent);
+            },
+
+            async findById(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = $1`, [rowId]);
+                return toEvent(result.rows[0]);
+            },
+
+            async findBySlug(slug) {
+                const result = await pool.query(`SELECT ${EVENT_COLUMNS} FROM events WHERE slug = $1`, [slug]);
+                return toEvent(result.rows[0]);
+            },
+
+            async findActive() {
+                const result = await pool.query(`SELECT ${EVENT_COLUMNS} FROM events WHERE active LIMIT 1`);
+                return toEvent(result.rows[0]);
+            },
+
+            async insert(event) {
+                const result = await pool.query(
+                    `INSERT INTO events (slug, name, venue, starts_at, ends_at, goal)
+                     VALUES ($1, $2, $3, $4, $5, $6)
+                     RETURNING ${EVENT_COLUMNS}`,
+                    [event.slug, event.name, event.venue, event.startsAt, event.endsAt, event.goal]
+                );
+                return toEvent(result.rows[0]);
+            },
+
+            async update(id, changes) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+
+                const fields = Object.keys(changes).filter(f => EVENT_FIELD_COLUMNS[f]);
+                if (fields.length === 0) return this.findById(id);
+
+                const assignments = fields.map((f, i) => `${EVENT_FIELD_COLUMNS[f]} = $${i + 2}`);
+                const result = await pool.query(
+                    `UPDATE events SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${EVENT_COLUMNS}`,
+                    [rowId, ...fields.map(f => changes[f])]
+                );
+                return toEvent(result.rows[0]);
+            },
+
+            async setActive(id) {
+                const rowId = id ? toRowId(id) : null;
+                // Deactivate first so the single-active index never sees two active rows
+                const client = await pool.connect();
+                try {
+                    await client.query('BEGIN');
+                    await client.query('UPDATE events SET active = FALSE WHERE active');
+                    if (rowId !== null) {
+                        await client.query('UPDATE events SET active = TRUE WHERE id = $1', [rowId]);
+                    }
+                    await client.query('COMMIT');
+                } catch (e) {
+                    await client.query('ROLLBACK');
+                    throw e;
+                } finally {
+                    client.release();
+                }
+            }
+        },
+
+        slots: {
+            async listByEvent(eventId) {
+                const eventRowId = toRowId(eventId);
+                if (eventRowId === null) return [];
+                const result = await pool.query(
+                    `SELECT ${SLOT_COLUMNS} FROM slots WHERE event_id = $1 ORDER BY starts_at, id`,
+                    [eventRowId]
+                );
+                return result.rows.map(toSlot);
+            },
+
+            async findById(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`SELECT ${SLOT_COLUMNS} FROM slots WHERE id = $1`, [rowId]);
+                return toSlot(result.rows[0]);
+            },
+
+            async insert(slot) {
+                const result = await pool.query(
+                    `INSERT INTO slots (event_id, starts_at, ends_at, capacity)
+                     VALUES ($1, $2, $3, $4)
+                     RETURNING ${SLOT_COLUMNS}`,
+                    [toRowId(slot.eventId), slot.startsAt, slot.endsAt, slot.capacity]
+                );
+                return toSlot(result.rows[0]);
+            },
+
+            async update(id, changes) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+
+                const fields = Object.keys(changes).filter(f => SLOT_FIELD_COLUMNS[f]);
+                if (fields.length === 0) return this.findById(id);
+
+                const assignments = fields.map((f, i) => `${SLOT_FIELD_COLUMNS[f]} = $${i + 2}`);
+                const result = await pool.query(
+                    `UPDATE slots SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${SLOT_COLUMNS}`,
+                    [rowId, ...fields.map(f => changes[f])]
+                );
+                return toSlot(result.rows[0]);
+            },
+
+            async remove(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`DELETE FROM slots WHERE id = $1 RETURNING ${SLOT_COLUMNS}`, [rowId]);
+                return toSlot(result.rows[0]);
+            },
+
+            async reserve(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                // The row lock taken by UPDATE makes the capacity check and the increment atomic
+                const result = await pool.query(
+                    `UPDATE slots SET booked = booked + 1 WHERE id = $1 AND booked < capacity RETURNING ${SLOT_COLUMNS}`,
+                    [rowId]
+                );
+                return toSlot(result.rows[0]);
+            },
+
+            async release(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(
+                    `UPDATE slots SET booked = GREATEST(booked - 1, 0) WHERE id = $1 RETURNING ${SLOT_COLUMNS}`,
+                    [rowId]
+                );
+                return toSlot(result.rows[0]);
+            }
+        },
+
+        units: {
+            async list({ filter, limit } = {}) {
+                const params = [];
+                const conditions = toUnitConditions(filter, params);
+                let sql = `SELECT ${UNIT_COLUMNS} FROM blood_units ${whereClause(conditions)} ORDER BY expires_at, id`;
+                if (limit) {
+                    params.push(limit);
+                    sql += ` LIMIT $${params.length}`;
+                }
+                const result = await pool.query(sql, params);
+                return result.rows.map(toUnit);
+            },
+
+            async findById(id) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+                const result = await pool.query(`SELECT ${UNIT_COLUMNS} FROM blood_units WHERE id = $1`, [rowId]);
+                return toUnit(result.rows[0]);
+            },
+
+            async findByBagId(bagId) {
+                const result = await pool.query(`SELECT ${UNIT_COLUMNS} FROM blood_units WHERE bag_id = $1`, [bagId]);
+                return toUnit(result.rows[0]);
+            },
+
+            async insert(unit) {
+                const result = await pool.query(
+                    `INSERT INTO blood_units (bag_id, donor_id, event_id, blood_group, component, volume_ml, collected_at, expires_at, status)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     RETURNING ${UNIT_COLUMNS}`,
+                    [
+                        unit.bagId, toRowId(unit.donorId), toRowId(unit.eventId), unit.bloodGroup, unit.component,
+                        unit.volumeMl, unit.collectedAt, unit.expiresAt, unit.status
+                    ]
+                );
+                return toUnit(result.rows[0]);
+            },
+
+            async update(id, changes) {
+                const rowId = toRowId(id);
+                if (rowId === null) return null;
+
+                const fields = Object.keys(changes).filter(f => UNIT_FIELD_COLUMNS[f]);
+                if (fields.length === 0) return this.findById(id);
+
+                const assignments = fields.map((f, i) => `${UNIT_FIELD_COLUMNS[f]} = $${i + 2}`);
+                const result = await pool.query(
+                    `UPDATE blood_units SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${UNIT_COLUMNS}`,
+                    [rowId, ...fields.map(f => changes[f])]
+                );
+                return toUnit(result.rows[0]);
+            },
+
+            async stock(at) {
+                const result = await pool.query(
+                    `SELECT blood_group, component, COUNT(*) AS units, SUM(volume_ml) AS volume_ml
+                     FROM blood_units
+                     WHERE status = 'available' AND expires_at > $1
+                     GROUP BY blood_group, component`,
+                    [at]
+                );
+                return result.rows.map(row => ({
+                    bloodGroup: row.blood_group,
+                    component: row.component,
+                    units: parseInt(row.units, 10),
+                    volumeMl: parseInt(row.volume_ml, 10)
+                }));
+            }
+        },
+
+        stats: {
+            async get(eventId) {
+                const result = await pool.query(
+                    `SELECT total_blood_units, last_updated FROM stats WHERE identifier = $1`,
+                    [statsIdentifier(eventId)]
+                );
+                return toStats(result.rows[0]);
+            },
+
+            async increment(amount = 1, eventId) {
+                const result = await pool.query(
+                    `INSERT INTO stats (identifier, total_blood_units, last_updated)
+                     VALUES ($2, $1, NOW())
+                     ON CONFLICT (identifier) DO UPDATE
+                     SET total_blood_units = stats.total_blood_units + EXCLUDED.total_blood_units,
+                         last_updated = NOW()
+                     RETURNING total_blood_units, last_updated`,
+                    [amount, statsIdentifier(eventId)]
+                );
+                return toStats(result.rows[0]);
+            },
+
+            async set(total, eventId) {
+                const result = await pool.query(
+                    `INSERT INTO stats (identifier, total_blood_units, last_updated)
+                     VALUES ($2, $1, NOW())
+                     ON CONFLICT (identifier) DO UPDATE
+                     SET total_blood_units = EXCLUDED.total_blood_units,
+                         last_updated = NOW()
+                     RETURNING total_blood_units, last_updated`,
+                    [total, statsIdentifier(eventId)]
+                );
+                return toStats(result.rows[0]);
+            }
+        },
+
+        settings: {
+            async get(key) {
+                const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+                return result.rows[0] ? result.rows[0].value : null;
+            },
+
+            async set(key, value) {
+                await pool.query(
+                    `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2::jsonb, CURRENT_TIMESTAMP)
+                     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+                    [key, JSON.stringify(value)]
+                );
+                return value;
+            }
+        },
+
+        audit: {
+            async append(entry) {
+                const result = await pool.query(
+                    `INSERT INTO audit_log (at, action, actor, actor_role, ip, request_id, entity, entity_id, before, after)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10::jsonb)
+                     RETURNING ${AUDIT_COLUMNS}`,
+                    [
+                        entry.at, entry.action, entry.actor, entry.actorRole, entry.ip, entry.requestId,
+                        entry.entity, entry.entityId,
+                        entry.before === null ? null : JSON.stringify(entry.before),
+                        entry.after === null ? null : JSON.stringify(entry.after)
+                    ]
+                );
+                return toAuditEntry(result.rows[0]);
+            },
+
+            async list({ filter = {}, before = null, limit = 50 } = {}) {
+                const params = [];
+                const param = value => {
+                    params.push(value);
+                    return `$${params.length}`;
+                };
+                const conditions = [];
+                if (filter.action) {
+                    conditions.push(`action IN (${[].concat(filter.action).map(action => param(action)).join(', ')})`);
+                }
+                if (filter.entity) conditions.push(`entity = ${param(filter.entity)}`);
+                if (filter.entityId) conditions.push(`entity_id = ${param(filter.entityId)}`);
+                if (filter.actor) conditions.push(`actor = ${param(filter.actor)}`);
+                if (filter.from) conditions.push(`at >= ${param(filter.from)}`);
+                if (filter.to) conditions.push(`at < ${param(filter.to)}`);
+                if (before !== null) {
+                    const beforeId = toRowId(before);
+                    if (beforeId === null) return [];
+                    conditions.push(`id < ${param(beforeId)}`);
+                }
+
+                const result = await pool.query(
+                    `SELECT ${AUDIT_COLUMNS} FROM audit_log ${whereClause(conditions)} ORDER BY id DESC LIMIT ${param(limit)}`,
+                    params
+                );
+                return result.rows.map(toAuditEntry);
+            }
+        }
+    };
+}
+
+module.exports = createPostgresStorage;
@@ -0,0 +1,213 @@
+/**
+ * Donor List Queries
+ * Sort orders, cursor encoding and in-process filtering shared by the
+ * storage backends, so every backend pages through donors the same way.
+ *
+ * A list query looks like:
+ *   {
+ *     filter: { eventId, bloodGroup, year, from, to, search, status, slotId, booking, dated },
+ *     sort: 'newest' | 'oldest' | 'name' | 'name_desc',
+ *     after: { value, id } | null,   // decoded cursor
+ *     limit: number
+ *   }
+ *
+ * Paging is keyset-based: results are ordered by the sort field and then by
+ * id, and `after` holds both values of the last row already returned.
+ *
+ * Breakdowns count donors matching a filter per blood group, year and age
+ * band: { bloodGroup: { 'O+': 12, ... }, year: { FY: 4, ... }, ageBand: { '18-20': 9, ... } },
+ * and, for donors who gave a department, per department and per class
+ * (see classLabel): { department: { Computer: 7 }, class: { 'SY Computer': 3 } }
+ *
+ * Timelines count donors matching a filter per time bucket of donatedAt
+ * (see bucketStart), as [{ start, count }] oldest first, leaving out empty
+ * buckets. The filter's from/to keep the count on the donatedAt index.
+ *
+ * `status` is one donor status or an array of them (see server/lifecycle.js),
+ * and `bloodGroup` is one blood group or an array of them.
+ * `slotId` and `booking` find a slot's bookings (see server/bookings.js).
+ * `dated: true` leaves out imported donors whose sheet had no date (their
+ * `undated` flag is set and donatedAt is the time of the import).
+ *
+ * Stats are kept once for all donations ('global') and once per event.
+ *
+ * Audit log entries (see server/audit.js) are listed newest first, filtered by
+ *   { action, entity, entityId, actor, from, to }
+ * where `action` is one action or an array of them, and paged with `before`,
+ * the id of the last entry already returned.
+ *
+ * Blood units (see server/inventory.js) are listed soonest expiry first,
+ * filtered by
+ *   { status, bloodGroup, component, donorId, expiresFrom, expiresTo }
+ * where `status`, `bloodGroup` and `component` are one value or an array of
+ * them, and expiresFrom/expiresTo bound expiresAt (from inclusive, to exclusive).
+ * Stock counts the available units not yet expired at a time, per blood
+ * group and component: [{ bloodGroup, component, units, volumeMl }].
+ */
+
+const SORTS = {
+    newest: { field: 'donatedAt', direction: -1 },
+    oldest: { field: 'donatedAt', direction: 1 },
+    name: { field: 'fullName', direction: 1 },
+    name_desc: { field: 'fullName', direction: -1 }
+};
+
+const DEFAULT_SORT = 'newest';
+
+// Eligibility outcomes of donors who were turned away (see server/eligibility.js)
+const DEFERRED_OUTCOMES = ['temporarily_deferred', 'permanently_deferred'];
+
+/**
+ * Status for a donor saved before statuses existed: everyone then counted as
+ * having donated, apart from those the questionnaire deferred
+ */
+function legacyStatus(donor) {
+    return DEFERRED_OUTCOMES.includes(donor.eligibility) ? 'deferred' : 'completed';
+}
+
+// Fields holding dates, which cursors carry as ISO strings
+const DATE_SORT_FIELDS = ['donatedAt'];
+
+// Age bands for the breakdown statistics (inclusive bounds; the last is open-ended)
+const AGE_BANDS = [
+    { label: '18-20', min: 18, max: 20 },
+    { label: '21-25', min: 21, max: 25 },
+    { label: '26-35', min: 26, max: 35 },
+    { label: '36-45', min: 36, max: 45 },
+    { label: '46+', min: 46, max: Infinity }
+];
+
+/**
+ * Start of the time bucket holding `date`. Buckets are `bucketMs` long and
+ * aligned to midnight at `offsetMs` from UTC, so hourly and daily buckets
+ * follow the drive's local clock.
+ * @returns {Date}
+ */
+function bucketStart(date, bucketMs, offsetMs = 0) {
+    const time = new Date(date).getTime();
+    return new Date(Math.floor((time + offsetMs) / bucketMs) * bucketMs - offsetMs);
+}
+
+/**
+ * Key of the stats record for an event, or of the all-time totals when no event is given
+ * @param {string|null} [eventId]
+ */
+function statsIdentifier(eventId) {
+    return eventId ? `event:${eventId}` : 'global';
+}
+
+/**
+ * Returns the AGE_BANDS label for an age, or 'Unknown'
+ */
+function ageBandFor(age) {
+    const band = AGE_BANDS.find(b => age >= b.min && age <= b.max);
+    return band ? band.label : 'Unknown';
+}
+
+/**
+ * Names a class by academic year and department ("SY Computer")
+ */
+function classLabel(year, department) {
+    return `${year} ${department}`;
+}
+
+/**
+ * Encodes the position after `donor` for the given sort as an opaque cursor
+ * @param {object} donor - Last donor on the page
+ * @param {string} sort - Key of SORTS
+ * @returns {string}
+ */
+function encodeCursor(donor, sort) {
+    const { field } = SORTS[sort];
+    const value = donor[field] instanceof Date ? donor[field].toISOString() : donor[field];
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: donor.id })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @param {string} sort - Sort the cursor must have been issued for
+ * @returns {{value: *, id: string}|null} null when the cursor is malformed or for another sort
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (parsed.s !== sort || parsed.id === undefined || parsed.v === undefined) return null;
+
+        const { field } = SORTS[sort];
+        const value = DATE_SORT_FIELDS.includes(field) ? new Date(parsed.v) : parsed.v;
+        if (value instanceof Date && isNaN(value)) return null;
+
+        return { value, id: String(parsed.id) };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ */
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Tests a donor against a list filter (used by the in-memory backend)
+ */
+function matchesFilter(donor, filter = {}) {
+    if (filter.eventId && donor.eventId !== filter.eventId) return false;
+    if (filter.bloodGroup && ![].concat(filter.bloodGroup).includes(donor.bloodGroup)) return false;
+    if (filter.year && donor.year !== filter.year) return false;
+    if (filter.from && donor.donatedAt < filter.from) return false;
+    if (filter.to && donor.donatedAt >= filter.to) return false;
+    if (filter.search && !donor.fullName.toLowerCase().includes(filter.search.toLowerCase())) return false;
+    if (filter.status && ![].concat(filter.status).includes(donor.status)) return false;
+    if (filter.slotId && donor.slotId !== filter.slotId) return false;
+    if (filter.booking && donor.booking !== filter.booking) return false;
+    if (filter.dated && donor.undated) return false;
+    return true;
+}
+
+/**
+ * Tests a blood unit against a unit filter (used by the in-memory backend)
+ */
+function matchesUnitFilter(unit, filter = {}) {
+    if (filter.status && ![].concat(filter.status).includes(unit.status)) return false;
+    if (filter.bloodGroup && ![].concat(filter.bloodGroup).includes(unit.bloodGroup)) return false;
+    if (filter.component && ![].concat(filter.component).includes(unit.component)) return false;
+    if (filter.donorId && unit.donorId !== filter.donorId) return false;
+    if (filter.expiresFrom && unit.expiresAt < filter.expiresFrom) return false;
+    if (filter.expiresTo && unit.expiresAt >= filter.expiresTo) return false;
+    return true;
+}
+
+/**
+ * Tests an entry against an audit filter (used by the in-memory backend)
+ */
+function matchesAuditFilter(entry, filter = {}) {
+    if (filter.action && ![].concat(filter.action).includes(entry.action)) return false;
+    if (filter.entity && entry.entity !== filter.entity) return false;
+    if (filter.entityId && entry.entityId !== filter.entityId) return false;
+    if (filter.actor && entry.actor !== filter.actor) return false;
+    if (filter.from && entry.at < filter.from) return false;
+    if (filter.to && entry.at >= filter.to) return false;
+    return true;
+}
+
+module.exports = {
+    SORTS,
+    DEFAULT_SORT,
+    AGE_BANDS,
+    DEFERRED_OUTCOMES,
+    legacyStatus,
+    statsIdentifier,
+    ageBandFor,
+    classLabel,
+    bucketStart,
+    encodeCursor,
+    decodeCursor,
+    escapeRegex,
+    matchesFilter,
+    matchesUnitFilter,
+    matchesAuditFilter
+};
@@ -0,0 +1,104 @@
+/**
+ * Donation Timeline
+ * Completed donations per 15 minutes, hour or day, so organisers can see
+ * when the rush happens and move volunteers around. Buckets follow the
+ * viewer's clock: the dashboard sends its UTC offset, and a day bucket runs
+ * from local midnight to midnight.
+ *
+ * The storage backends count the non-empty buckets (donors.timeline); this
+ * module checks the query, fills in the empty buckets and finds the peak.
+ */
+
+const { bucketStart } = require('./storage/query');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Bucket sizes, and how far back the timeline goes when no `from` is given
+const BUCKETS = {
+    '15m': { ms: 15 * MINUTE, window: 6 * HOUR },
+    '1h': { ms: HOUR, window: DAY },
+    '1d': { ms: DAY, window: 30 * DAY }
+};
+const DEFAULT_BUCKET = '1h';
+
+// Most buckets one timeline may have (e.g. 20 days of hourly buckets)
+const MAX_BUCKETS = 500;
+
+// Furthest time zones from UTC, in minutes
+const MAX_UTC_OFFSET = 14 * 60;
+
+/**
+ * Validates the GET /api/stats/timeline query string
+ * @param {object} query - req.query
+ * @param {function(string, object): Date|null|undefined} parseDate - Parses a date parameter
+ * @param {Date} [now]
+ * @returns {{error: string}|{value: {bucket: string, bucketMs: number, offsetMs: number, from: Date, to: Date}}}
+ *   from is moved back to the start of its bucket
+ */
+function parseTimelineQuery(query, parseDate, now = new Date()) {
+    const bucket = query.bucket || DEFAULT_BUCKET;
+    if (!BUCKETS[bucket]) {
+        return { error: `Invalid bucket. Use one of: ${Object.keys(BUCKETS).join(', ')}` };
+    }
+    const { ms: bucketMs, window } = BUCKETS[bucket];
+
+    let offsetMinutes = 0;
+    if (query.utcOffset !== undefined && query.utcOffset !== '') {
+        offsetMinutes = Number(query.utcOffset);
+        if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > MAX_UTC_OFFSET) {
+            return { error: 'utcOffset must be whole minutes from UTC, between -840 and 840' };
+        }
+    }
+    const offsetMs = offsetMinutes * MINUTE;
+
+    const to = parseDate(query.to, { endOfDay: true });
+    if (to === null) return { error: 'Invalid to date' };
+    const from = parseDate(query.from);
+    if (from === null) return { error: 'Invalid from date' };
+
+    const end = to || now;
+    const start = bucketStart(from || new Date(end.getTime() - window + bucketMs), bucketMs, offsetMs);
+    if (start >= end) {
+        return { error: 'from must be before to' };
+    }
+    if ((end - start) / bucketMs > MAX_BUCKETS) {
+        return { error: `That range has more than ${MAX_BUCKETS} ${bucket} buckets; use a larger bucket or a shorter range` };
+    }
+
+    return { value: { bucket, bucketMs, offsetMs, from: start, to: end } };
+}
+
+/**
+ * Fills in the empty buckets between `from` and `to`
+ * @param {Array<{start: Date, count: number}>} rows - Non-empty buckets from donors.timeline
+ * @param {object} range - { from, to, bucketMs } from parseTimelineQuery
+ * @returns {Array<{start: Date, count: number}>}
+ */
+function fillBuckets(rows, { from, to, bucketMs }) {
+    const counts = new Map(rows.map(row => [new Date(row.start).getTime(), row.count]));
+    const series = [];
+    for (let time = from.getTime(); time < to.getTime(); time += bucketMs) {
+        series.push({ start: new Date(time), count: counts.get(time) || 0 });
+    }
+    return series;
+}
+
+/**
+ * The bucket with the most donations (the earliest on a tie), or null when
+ * there were none
+ */
+function peakBucket(series) {
+    return series.reduce((peak, entry) => (entry.count > (peak ? peak.count : 0) ? entry : peak), null);
+}
+
+module.exports = {
+    HOUR,
+    BUCKETS,
+    DEFAULT_BUCKET,
+    MAX_BUCKETS,
+    parseTimelineQuery,
+    fillBuckets,
+    peakBucket
+};
@@ -6,6 +6,9 @@
 const testDNS = require('./test-dns');
 const testConnection = require('./test-db-connection');
 const testEnv = require('./test-env');
+const testInventory = require('./test-inventory');
+const testCompatibility = require('./test-compatibility');
+const testBookings = require('./test-bookings');
 
 async function runAllTests() {
     console.log('\n');
@@ -17,12 +20,15 @@ async function runAllTests() {
     const results = {
         env: false,
         dns: false,
-        connection: false
+        connection: false,
+        inventory: false,
+        compatibility: false,
+        bookings: false
     };
     
     // Test 1: Environment Variables
     try {
-        console.log('TEST 1/3: Environment Variables\n');
+        console.log('TEST 1/6: Environment Variables\n');
         results.env = testEnv();
         console.log('\n');
     } catch (error) {
@@ -32,7 +38,7 @@ async function runAllTests() {
     
     // Test 2: DNS Resolution
     try {
-        console.log('TEST 2/3: DNS Resolution\n');
+        console.log('TEST 2/6: DNS Resolution\n');
         results.dns = await testDNS();
         console.log('\n');
     } catch (error) {
@@ -42,13 +48,43 @@ async function runAllTests() {
     
     // Test 3: Database Connection
     try {
-        console.log('TEST 3/3: Database Connection\n');
+        console.log('TEST 3/6: Database Connection\n');
         results.connection = await testConnection();
         console.log('\n');
     } catch (error) {
         console.error('❌ Connection test crashed:', error.message);
         console.log('\n');
     }
+
+    // Test 4: Blood Inventory Rules
+    try {
+        console.log('TEST 4/6: Blood Inventory Rules\n');
+        results.inventory = testInventory();
+        console.log('\n');
+    } catch (error) {
+        console.error('❌ Inventory test crashed:', error.message);
+        console.log('\n');
+    }
+
+    // Test 5: Blood Compatibility Rules
+    try {
+        console.log('TEST 5/6: Blood Compatibility Rules\n');
+        results.compatibility = testCompatibility();
+        console.log('\n');
+    } catch (error) {
+        console.error('❌ Compatibility test crashed:', error.message);
+        console.log('\n');
+    }
+
+    // Test 6: Slot Bookings
+    try {
+        console.log('TEST 6/6: Slot Bookings\n');
+        results.bookings = await testBookings();
+        console.log('\n');
+    } catch (error) {
+        console.error('❌ Booking test crashed:', error.message);
+        console.log('\n');
+    }
     
     // Summary
     console.log('\n');
@@ -59,9 +95,12 @@ async function runAllTests() {
     console.log(`Environment Variables: ${results.env ? '✅ PASS' : '❌ FAIL'}`);
     console.log(`DNS Resolution:        ${results.dns ? '✅ PASS' : '❌ FAIL'}`);
     console.log(`Database Connection:   ${results.connection ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Inventory Rules:       ${results.inventory ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Compatibility Rules:   ${results.compatibility ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Slot Bookings:         ${results.bookings ? '✅ PASS' : '❌ FAIL'}`);
     console.log();
     
-    const allPassed = results.env && results.dns && results.connection;
+    const allPassed = results.env && results.dns && results.connection && results.inventory && results.compatibility && results.bookings;
     
     if (allPassed) {
         console.log('✅ ALL TESTS PASSED!');
@@ -106,6 +145,27 @@ async function runAllTests() {
             console.log('- Check if firewall is blocking port 5432');
             console.log();
         }
+
+        if (!results.inventory) {
+            console.log('Inventory Rules Issue:');
+            console.log('- server/inventory.js checks components, expiry or stock wrongly (see TEST 4 above)');
+            console.log('- Run it alone: node tests/test-inventory.js');
+            console.log();
+        }
+
+        if (!results.compatibility) {
+            console.log('Compatibility Rules Issue:');
+            console.log('- server/compatibility.js matches donor groups wrongly (see TEST 5 above)');
+            console.log('- Run it alone: node tests/test-compatibility.js');
+            console.log();
+        }
+
+        if (!results.bookings) {
+            console.log('Slot Bookings Issue:');
+            console.log('- server/bookings.js hands freed beds to the waitlist wrongly (see TEST 6 above)');
+            console.log('- Run it alone: node tests/test-bookings.js');
+            console.log();
+        }
     }
     
     return allPassed;
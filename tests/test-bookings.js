@@ -0,0 +1,101 @@
+/**
+ * Slot Booking Test
+ * Checks that beds freed in a full slot go to the waitlist (server/bookings.js),
+ * using the in-memory storage backend
+ */
+
+const createMemoryStorage = require('../server/storage/memory');
+const { BOOKINGS, createBookings } = require('../server/bookings');
+const { STATUSES } = require('../server/lifecycle');
+
+async function testBookings() {
+    console.log('=== Slot Booking Test ===\n');
+
+    let allGood = true;
+    const check = (ok, label, detail) => {
+        if (ok) {
+            console.log(`✅ ${label}`);
+        } else {
+            console.error(`❌ ${label}: ${detail}`);
+            allGood = false;
+        }
+    };
+
+    const storage = createMemoryStorage();
+    const bookings = createBookings(storage);
+
+    // A one-bed slot taken by the first donor, with two donors waiting behind them
+    const slot = await storage.slots.insert({
+        eventId: '1',
+        startsAt: new Date('2026-03-14T09:00:00.000Z'),
+        endsAt: new Date('2026-03-14T10:00:00.000Z'),
+        capacity: 1
+    });
+    const register = async (fullName, registeredAt) => storage.donors.insert({
+        fullName,
+        bloodGroup: 'O+',
+        age: 20,
+        year: '2nd',
+        eventId: '1',
+        status: STATUSES.REGISTERED,
+        registeredAt,
+        statusChangedAt: registeredAt,
+        donatedAt: registeredAt,
+        slotId: slot.id,
+        booking: await bookings.reserve(slot)
+    });
+    const holder = await register('Bed Holder', new Date('2026-03-14T08:00:00.000Z'));
+    const first = await register('First Waiting', new Date('2026-03-14T08:05:00.000Z'));
+    const second = await register('Second Waiting', new Date('2026-03-14T08:10:00.000Z'));
+
+    console.log('Full slot:');
+    check(holder.booking === BOOKINGS.CONFIRMED, 'The first donor gets the bed', `got ${holder.booking}`);
+    check(
+        first.booking === BOOKINGS.WAITLISTED && second.booking === BOOKINGS.WAITLISTED,
+        'Later donors join the waitlist',
+        `got ${first.booking} and ${second.booking}`
+    );
+
+    console.log('\nDeleting a screened donor:');
+    await storage.donors.update(holder.id, { status: STATUSES.SCREENED });
+    const removed = await storage.donors.remove(holder.id);
+    const promoted = await bookings.release(removed);
+    check(
+        promoted.length === 1 && promoted[0].id === first.id,
+        'The oldest waitlisted donor is moved up',
+        `moved up ${JSON.stringify(promoted.map(d => d.fullName))}`
+    );
+    const firstNow = await storage.donors.findById(first.id);
+    const secondNow = await storage.donors.findById(second.id);
+    check(firstNow.booking === BOOKINGS.CONFIRMED, 'They now hold the bed', `got ${firstNow.booking}`);
+    check(secondNow.booking === BOOKINGS.WAITLISTED, 'The next donor keeps waiting', `got ${secondNow.booking}`);
+    const slotNow = await storage.slots.findById(slot.id);
+    check(slotNow.booked === 1, 'The slot stays full', `booked ${slotNow.booked} of ${slotNow.capacity}`);
+
+    console.log('\nDeleting a donor who already donated:');
+    await storage.donors.update(first.id, { status: STATUSES.COMPLETED });
+    const donated = await storage.donors.remove(first.id);
+    check((await bookings.release(donated)).length === 0, 'Nobody is moved up', 'the bed was handed on');
+    check(
+        (await storage.donors.findById(second.id)).booking === BOOKINGS.WAITLISTED,
+        'The waitlisted donor keeps waiting',
+        'they were given the used bed'
+    );
+
+    console.log('\nDeleting a waitlisted donor:');
+    const waiting = await storage.donors.remove(second.id);
+    check((await bookings.release(waiting)).length === 0, 'No bed is freed', 'a bed was handed on');
+    const slotAfter = await storage.slots.findById(slot.id);
+    check(slotAfter.booked === 1, 'The slot count is unchanged', `booked ${slotAfter.booked} of ${slotAfter.capacity}`);
+
+    console.log(`\n${allGood ? '✅' : '❌'} Slot bookings ${allGood ? 'hold' : 'are broken'}`);
+    return allGood;
+}
+
+if (require.main === module) {
+    testBookings().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
+
+module.exports = testBookings;
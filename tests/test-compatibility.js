@@ -0,0 +1,108 @@
+/**
+ * Blood Compatibility Test
+ * Checks the ABO/Rh rules of server/compatibility.js for every component
+ */
+
+const { parseGroup, isCompatible, compatibleGroups } = require('../server/compatibility');
+
+const ALL_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Compatible donor groups in order of preference
+const EXPECTED_GROUPS = [
+    ['O-', 'prbc', ['O-']],
+    ['O+', 'prbc', ['O+', 'O-']],
+    ['B-', 'prbc', ['B-', 'O-']],
+    ['A+', 'prbc', ['A+', 'A-', 'O+', 'O-']],
+    ['AB+', 'prbc', ['AB+', 'AB-', 'A+', 'B+', 'A-', 'B-', 'O+', 'O-']],
+    ['AB-', 'prbc', ['AB-', 'A-', 'B-', 'O-']],
+    ['A+', 'whole_blood', ['A+', 'A-']],
+    ['B-', 'whole_blood', ['B-']],
+    ['O-', 'plasma', ['O-', 'O+', 'A-', 'B-', 'A+', 'B+', 'AB-', 'AB+']],
+    ['A+', 'plasma', ['A+', 'A-', 'AB+', 'AB-']],
+    ['AB-', 'plasma', ['AB-', 'AB+']],
+    ['B-', 'platelets', ['B-', 'AB-']],
+    ['O+', 'platelets', ['O+', 'O-', 'A+', 'B+', 'A-', 'B-', 'AB+', 'AB-']]
+];
+
+// [donor, recipient, component, compatible]
+const EXPECTED_PAIRS = [
+    ['O-', 'AB+', 'prbc', true],
+    ['AB+', 'O-', 'prbc', false],
+    ['A+', 'A-', 'prbc', false],
+    ['AB+', 'O-', 'plasma', true],
+    ['O+', 'A+', 'plasma', false],
+    ['A+', 'A-', 'plasma', true],
+    ['O-', 'A-', 'whole_blood', false],
+    ['A+', 'A-', 'platelets', false],
+    ['O-', 'B-', 'unknown', false],
+    ['O-', 'B-', 'toString', false],
+    ['O-', 'B-', '__proto__', false],
+    ['O-', 'B-', 'constructor', false],
+    ['C+', 'B-', 'prbc', false]
+];
+
+function testCompatibility() {
+    console.log('=== Blood Compatibility Test ===\n');
+
+    let allGood = true;
+    const check = (ok, label, detail) => {
+        if (ok) {
+            console.log(`✅ ${label}`);
+        } else {
+            console.error(`❌ ${label}: ${detail}`);
+            allGood = false;
+        }
+    };
+
+    console.log('Group parsing:');
+    const parsed = parseGroup('AB-');
+    check(parsed && parsed.abo === 'AB' && parsed.positive === false, 'AB- is AB, Rh-negative', JSON.stringify(parsed));
+    check(parseGroup('C+') === null, 'Unknown groups are rejected', JSON.stringify(parseGroup('C+')));
+
+    console.log('\nDonor groups by preference:');
+    EXPECTED_GROUPS.forEach(([recipient, component, expected]) => {
+        const groups = compatibleGroups(recipient, component);
+        const actual = groups.map(group => group.bloodGroup);
+        check(
+            actual.join(' ') === expected.join(' '),
+            `${component} for ${recipient}: ${expected.join(' ')}`,
+            `got ${actual.join(' ') || 'nothing'}`
+        );
+        const identical = groups.filter(group => group.match === 'identical').map(group => group.bloodGroup);
+        check(identical.join() === recipient, `${component} for ${recipient}: only ${recipient} is identical`, `got ${identical.join() || 'none'}`);
+    });
+
+    console.log('\nDonor and recipient pairs:');
+    EXPECTED_PAIRS.forEach(([donor, recipient, component, expected]) => {
+        const actual = isCompatible(donor, recipient, component);
+        check(actual === expected, `${donor} → ${recipient} (${component}): ${expected ? 'compatible' : 'incompatible'}`, `got ${actual}`);
+    });
+
+    console.log('\nRules agree with the preference lists:');
+    ['prbc', 'whole_blood', 'plasma', 'platelets'].forEach(component => {
+        const mismatches = [];
+        ALL_GROUPS.forEach(recipient => {
+            const listed = compatibleGroups(recipient, component).map(group => group.bloodGroup);
+            ALL_GROUPS.forEach(donor => {
+                if (listed.includes(donor) !== isCompatible(donor, recipient, component)) {
+                    mismatches.push(`${donor} → ${recipient}`);
+                }
+            });
+        });
+        check(mismatches.length === 0, `${component}: every pair`, mismatches.join(', '));
+    });
+    ['unknown', 'toString', '__proto__', 'constructor'].forEach(component => {
+        const groups = compatibleGroups('B-', component);
+        check(groups.length === 0, `"${component}" is not a component and matches nothing`, `got ${groups.map(group => group.bloodGroup).join(' ')}`);
+    });
+
+    console.log(`\n${allGood ? '✅' : '❌'} Compatibility rules ${allGood ? 'hold' : 'are broken'}`);
+    return allGood;
+}
+
+if (require.main === module) {
+    const success = testCompatibility();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = testCompatibility;
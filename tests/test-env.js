@@ -7,7 +7,7 @@ function testEnvironmentVariables() {
     console.log('=== Environment Variables Test ===\n');
     
     const requiredVars = ['DATABASE_URL'];
-    const optionalVars = ['DEBUG', 'NODE_ENV', 'PORT'];
+    const optionalVars = ['LOG_LEVEL', 'NODE_ENV', 'PORT'];
     let allGood = true;
     
     console.log('Required Variables:');
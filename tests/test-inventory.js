@@ -0,0 +1,65 @@
+/**
+ * Blood Inventory Test
+ * Checks component names, expiry and stock counting in server/inventory.js
+ */
+
+const { DAY, COMPONENTS, UNIT_STATUSES, isComponent, expiryFor, isExpired, summariseStock } = require('../server/inventory');
+
+function testInventory() {
+    console.log('=== Blood Inventory Test ===\n');
+
+    let allGood = true;
+    const check = (ok, label, detail) => {
+        if (ok) {
+            console.log(`✅ ${label}`);
+        } else {
+            console.error(`❌ ${label}: ${detail}`);
+            allGood = false;
+        }
+    };
+
+    console.log('Component names:');
+    Object.keys(COMPONENTS).forEach(component => {
+        check(isComponent(component), `${component} is a component`, 'rejected');
+    });
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'valueOf', 'PRBC', '', undefined, ['prbc']].forEach(key => {
+        check(!isComponent(key), `${JSON.stringify(key)} is not a component`, 'accepted');
+    });
+
+    console.log('\nExpiry:');
+    const collectedAt = new Date('2026-03-14T05:00:00.000Z');
+    Object.entries(COMPONENTS).forEach(([component, { shelfLifeDays }]) => {
+        const expiresAt = expiryFor(component, collectedAt);
+        check(
+            expiresAt - collectedAt === shelfLifeDays * DAY,
+            `${component} keeps ${shelfLifeDays} days`,
+            `got ${expiresAt.toISOString()}`
+        );
+    });
+    const unit = { status: UNIT_STATUSES.AVAILABLE, expiresAt: new Date('2026-03-19T05:00:00.000Z') };
+    check(!isExpired(unit, new Date('2026-03-19T04:59:59.999Z')), 'A unit is usable until its expiry', 'expired early');
+    check(isExpired(unit, new Date('2026-03-19T05:00:00.000Z')), 'A unit expires at its expiry time', 'still usable');
+    check(!isExpired({ ...unit, status: UNIT_STATUSES.ISSUED }, new Date('2026-04-01')), 'Issued units are never expired', 'expired');
+
+    console.log('\nStock:');
+    const stock = summariseStock([
+        { bloodGroup: 'O-', component: 'prbc', units: 2, volumeMl: 560 },
+        { bloodGroup: 'O-', component: 'plasma', units: 1, volumeMl: 220 },
+        { bloodGroup: 'O-', component: 'toString', units: 5, volumeMl: 500 },
+        { bloodGroup: 'C+', component: 'prbc', units: 5, volumeMl: 500 }
+    ], ['O-', 'A+']);
+    const oNeg = stock.groups[0];
+    check(stock.total === 3 && stock.volumeMl === 780, 'Totals count known groups and components only', `got ${stock.total} units, ${stock.volumeMl} ml`);
+    check(oNeg.components.prbc === 2 && oNeg.components.plasma === 1, 'O- counts per component', JSON.stringify(oNeg.components));
+    check(stock.groups[1].units === 0, 'Groups without stock are listed with zero', JSON.stringify(stock.groups[1]));
+
+    console.log(`\n${allGood ? '✅' : '❌'} Inventory rules ${allGood ? 'hold' : 'are broken'}`);
+    return allGood;
+}
+
+if (require.main === module) {
+    const success = testInventory();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = testInventory;